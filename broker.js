@@ -0,0 +1,25 @@
+import 'dotenv/config';
+import { TcpBroker } from './src/core/event/transports/index.js';
+
+// Event broker for EventBusSystems on other processes or hosts; point them
+// at it with config.eventBroker = { host, port }
+const { EVENT_BROKER_HOST = "127.0.0.1", EVENT_BROKER_PORT = 4300 } = process.env;
+
+const broker = new TcpBroker({ host: EVENT_BROKER_HOST, port: Number(EVENT_BROKER_PORT) });
+
+broker.on('client:connected', ({ clientId }) => console.log(`Client connected: ${clientId}`));
+broker.on('client:disconnected', ({ clientId }) => console.log(`Client disconnected: ${clientId}`));
+broker.on('message:dropped', ({ clientId }) => console.warn(`Dropped a message for ${clientId}`));
+
+broker.listen()
+  .then(({ address, port }) => {
+    console.log(`Event broker listening on ${address}:${port}`);
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => broker.close());
+    }
+  })
+  .catch((err) => {
+    console.error('Failed to start event broker:', err);
+    process.exit(1);
+  });
@@ -42,11 +42,38 @@ async function startServer() {
     await once(server, "listening");
     address = `http://localhost:${server.address().port}`;
 
+    // Hot-swap the component built from the changed file, if any
+    const replaceComponents = async (file) => {
+      const { container } = appInstance;
+      const names = container.findBySource(file);
+      if (names.length === 0) return false;
+
+      for (const mod of devServer.moduleGraph.getModulesByFile(file) || []) {
+        devServer.moduleGraph.invalidateModule(mod);
+      }
+      const updated = await devServer.ssrLoadModule(file);
+
+      for (const name of names) {
+        const { exportName } = container.components.get(name).options.source;
+        await container.replace(name, updated[exportName]);
+        console.log(`Replaced component ${name}`);
+      }
+      return true;
+    };
+
     // Listen for file changes to trigger a rebuild
-    devServer.watcher.on('change', (file) => {
-      console.log(`File changed: ${file}. Rebuilding app...`);
+    devServer.watcher.on('change', async (file) => {
+      console.log(`File changed: ${file}.`);
+      if (!appInstance) return;
+
+      try {
+        if (await replaceComponents(file)) return;
+      } catch (err) {
+        console.error('Hot replacement failed, rebuilding app:', err);
+      }
+
+      console.log('Rebuilding app...');
       appInstance = null;  // This will trigger a rebuild on the next request
-      console.log(`App rebuilt`);
     });
   }
 
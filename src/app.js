@@ -15,10 +15,17 @@ export async function buildApp() {
   const container = new CoreContainer();
 
   // Register core systems in proper order
-  container.register('errorSystem', createErrorSystem);
+  // source lets the dev server hot-replace a system when its file changes
+  container.register('errorSystem', createErrorSystem, {
+    source: { path: 'src/core/errors/ErrorSystem.js', exportName: 'createErrorSystem' }
+  });
   container.register('config', () => ({}));
-  container.register('eventBusSystem', createEventBusSystem);
-  container.register('moduleSystem', createModuleSystem);
+  container.register('eventBusSystem', createEventBusSystem, {
+    source: { path: 'src/core/event/EventBusSystem.js', exportName: 'createEventBusSystem' }
+  });
+  container.register('moduleSystem', createModuleSystem, {
+    source: { path: 'src/core/module/ModuleSystem.js', exportName: 'createModuleSystem' }
+  });
 
   // Create Fastify instance with error serialization
   const fastify = Fastify({
@@ -33,9 +40,24 @@ export async function buildApp() {
     }
   });
 
+  fastify.decorate('container', container);
+
   // Setup Fastify error handling - THIS LINE IS PRESENT
   setupErrorHandler(fastify);
 
+  // Request-scoped container: scoped components live for one request
+  fastify.decorateRequest('scope', null);
+  fastify.addHook('onRequest', async (request) => {
+    request.scope = container.createScope();
+    request.scope.register('request', request);
+  });
+
+  const disposeScope = async (request) => {
+    await request.scope?.dispose();
+  };
+  fastify.addHook('onResponse', disposeScope);
+  fastify.addHook('onRequestAbort', disposeScope);
+
   // Initialize the container
   try {
     await container.initialize();
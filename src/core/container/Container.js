@@ -1,16 +1,41 @@
 // src/core/container/Container.js
 
 import { EventEmitter } from 'events';
+import { readdir, readFile, access } from 'fs/promises';
+import { join, basename, resolve as resolvePath } from 'path';
+import { pathToFileURL } from 'url';
 import { CoreError, ConfigError, ServiceError } from '../errors/index.js';
 // import { ValidationService } from '../validation/ValidationService.js';
 
+/**
+ * Component lifetimes
+ * - singleton: one instance per container that owns the registration
+ * - scoped: one instance per scope created with createScope()
+ * - transient: a new instance on every resolve
+ */
+export const Lifetime = {
+  SINGLETON: 'singleton',
+  SCOPED: 'scoped',
+  TRANSIENT: 'transient'
+};
+
 export class CoreContainer extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [options] - Container options
+   * @param {CoreContainer} [options.parent] - Parent container (set for scopes)
+   */
+  constructor(options = {}) {
     super();
     this.components = new Map();
     this.instances = new Map();
     this.dependencies = new Map();
+    this.aliases = new Map();
+    this.interceptors = [];
     this.manifests = new Map();
+    this.pending = new Map();
+    this.tracked = [];
+    this.parent = options.parent || null;
+    this.disposed = false;
     this.initialized = false;
   }
 
@@ -35,21 +60,36 @@ export class CoreContainer extends EventEmitter {
    * @param {string} name - Component name
    * @param {Class} Component - Component constructor
    * @param {object} options - Registration options
+   * @param {string} [options.lifetime] - singleton, scoped or transient
+   * @param {string[]} [options.tags] - Tags the component is registered under
    */
   register(name, Component, options = {}) {
-    if (this.components.has(name)) {
+    if (this.components.has(name) || this.aliases.has(name)) {
       throw new ConfigError(
         'DUPLICATE_COMPONENT',
         `Component ${name} is already registered`
       );
     }
 
+    // Legacy singleton: false maps to the transient lifetime
+    const lifetime = options.lifetime ||
+      (options.singleton === false ? Lifetime.TRANSIENT : Lifetime.SINGLETON);
+
+    if (!Object.values(Lifetime).includes(lifetime)) {
+      throw new ConfigError(
+        'INVALID_LIFETIME',
+        `Invalid lifetime ${lifetime} for component ${name}`
+      );
+    }
+
     // Store component definition
     this.components.set(name, {
       Component,
       options: {
-        singleton: true,
-        ...options
+        ...options,
+        lifetime,
+        singleton: lifetime === Lifetime.SINGLETON,
+        tags: [].concat(options.tags || [])
       }
     });
 
@@ -60,6 +100,368 @@ export class CoreContainer extends EventEmitter {
     return this;
   }
 
+  /**
+   * Register an alternative name for a component
+   * @param {string} alias - Alias name, e.g. 'logger'
+   * @param {string} target - Component or alias it points at, e.g. 'pinoLogger'
+   */
+  alias(alias, target) {
+    if (this.components.has(alias) || this.aliases.has(alias)) {
+      throw new ConfigError(
+        'DUPLICATE_ALIAS',
+        `${alias} is already registered`
+      );
+    }
+
+    this.aliases.set(alias, target);
+    if (this.resolveAlias(alias) === undefined) {
+      this.aliases.delete(alias);
+      throw new ConfigError(
+        'CIRCULAR_ALIAS',
+        `Alias ${alias} points back at itself through ${target}`
+      );
+    }
+
+    this.emit('alias:registered', { alias, target });
+    return this;
+  }
+
+  /**
+   * Follow aliases to the component name they point at
+   * @private
+   * @param {string} name - Component or alias name
+   * @returns {string|undefined} - Component name, undefined for alias cycles
+   */
+  resolveAlias(name) {
+    const seen = new Set();
+    let current = name;
+
+    for (;;) {
+      const target = this.findAliasTarget(current);
+      if (target === undefined) return current;
+      if (seen.has(current)) return undefined;
+      seen.add(current);
+      current = target;
+    }
+  }
+
+  /**
+   * Look up an alias in this container or its ancestors
+   * @private
+   */
+  findAliasTarget(name) {
+    if (this.aliases.has(name)) return this.aliases.get(name);
+    return this.parent ? this.parent.findAliasTarget(name) : undefined;
+  }
+
+  /**
+   * Get the names of all components registered under a tag
+   * @param {string} tag - Tag name
+   * @returns {string[]} - Component names in registration order
+   */
+  getTagged(tag) {
+    const inherited = this.parent ? this.parent.getTagged(tag) : [];
+    const own = Array.from(this.components.entries())
+      .filter(([, { options }]) => options.tags.includes(tag))
+      .map(([name]) => name);
+
+    return [...new Set([...inherited, ...own])];
+  }
+
+  /**
+   * Resolve all components registered under a tag
+   * @param {string} tag - Tag name
+   * @returns {Promise<Array>} - Instances in registration order
+   */
+  async resolveTagged(tag) {
+    const instances = [];
+    for (const name of this.getTagged(tag)) {
+      instances.push(await this.resolve(name));
+    }
+    return instances;
+  }
+
+  /**
+   * List the components a registration depends on
+   * Aliases are followed and tags expanded; optional dependencies that
+   * are not registered are left out
+   * @private
+   * @param {string} name - Component name
+   * @returns {Array<{name: string, registered: boolean}>}
+   */
+  getDependencyTargets(name) {
+    const targets = [];
+
+    for (const dep of this.dependencies.get(name) || []) {
+      const descriptor = normalizeDependency(dep);
+
+      if (descriptor.tag) {
+        for (const tagged of this.getTagged(descriptor.tag)) {
+          targets.push({ name: tagged, registered: true });
+        }
+        continue;
+      }
+
+      const target = this.resolveAlias(descriptor.name);
+      const registered = Boolean(this.findOwner(target));
+      if (registered || !descriptor.optional) {
+        targets.push({ name: target, registered });
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Register a method interceptor for resolved instances
+   * Hooks receive an invocation { component, method, args, instance }:
+   * - before(invocation): return a value to skip the method and use it as
+   *   result; may be async, in which case the call waits for it
+   * - after(invocation): sees invocation.result, return a value to replace it
+   * - error(invocation): sees invocation.error, return a value to recover
+   * @param {object} interceptor - Object with before, after and/or error hooks
+   * @param {object} [options] - Which instances and methods to intercept
+   * @param {string} [options.component] - Only this component
+   * @param {string} [options.tag] - Only components registered under this tag
+   * @param {string[]} [options.methods] - Only these methods
+   */
+  addInterceptor(interceptor, options = {}) {
+    const hooks = ['before', 'after', 'error'];
+    if (!interceptor || !hooks.some(hook => typeof interceptor[hook] === 'function')) {
+      throw new ConfigError(
+        'INVALID_INTERCEPTOR',
+        'Interceptor must define a before, after or error hook'
+      );
+    }
+
+    this.interceptors.push({
+      interceptor,
+      component: options.component,
+      tag: options.tag,
+      methods: options.methods
+    });
+
+    this.emit('interceptor:registered', { interceptor, ...options });
+    return this;
+  }
+
+  /**
+   * Get the interceptors that apply to a component, parents first
+   * @private
+   * @param {string} name - Component name
+   */
+  getInterceptors(name) {
+    const inherited = this.parent ? this.parent.getInterceptors(name) : [];
+    const tags = this.findOwner(name)?.components.get(name).options.tags || [];
+
+    const own = this.interceptors.filter(entry => {
+      if (entry.component && entry.component !== name) return false;
+      if (entry.tag && !tags.includes(entry.tag)) return false;
+      return true;
+    });
+
+    return [...inherited, ...own];
+  }
+
+  /**
+   * Wrap an instance so its methods run through the matching interceptors
+   * @private
+   * @param {string} name - Component name
+   * @param {*} instance - Resolved instance
+   * @returns {*} - Proxy, or the instance itself when nothing applies
+   */
+  applyInterceptors(name, instance) {
+    const entries = this.getInterceptors(name);
+    if (entries.length === 0 || instance === null || typeof instance !== 'object') {
+      return instance;
+    }
+
+    const wrapped = new Map();
+
+    return new Proxy(instance, {
+      get(target, property) {
+        // Getters and methods run against the instance itself, so private
+        // fields and built-ins such as Map keep working behind the proxy
+        const value = Reflect.get(target, property, target);
+        if (typeof value !== 'function' || property === 'constructor') {
+          return value;
+        }
+
+        const interceptors = entries
+          .filter(({ methods }) => !methods || methods.includes(property))
+          .map(({ interceptor }) => interceptor);
+
+        // Keep method identity stable across property reads
+        if (wrapped.get(property)?.original !== value) {
+          const method = interceptors.length === 0
+            ? value.bind(target)
+            : function (...args) {
+              const invocation = { component: name, method: property, args, instance: target };
+              return invoke(interceptors, invocation, () => value.apply(target, invocation.args));
+            };
+          wrapped.set(property, { original: value, method });
+        }
+
+        return wrapped.get(property).method;
+      }
+    });
+  }
+
+  /**
+   * Get every component that depends on a component, directly or transitively
+   * @param {string} name - Component name
+   * @returns {string[]} - Dependent component names
+   */
+  getDependents(name) {
+    const dependents = new Set();
+    const queue = [this.resolveAlias(name) ?? name];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const candidate of this.components.keys()) {
+        if (dependents.has(candidate)) continue;
+        const targets = this.getDependencyTargets(candidate);
+        if (targets.some(dep => dep.name === current)) {
+          dependents.add(candidate);
+          queue.push(candidate);
+        }
+      }
+    }
+
+    return Array.from(dependents);
+  }
+
+  /**
+   * Replace a registered component, e.g. with a test fake
+   * The cached instance and the instances of all dependents are dropped
+   * and created again on the next resolve
+   * @param {string} name - Component name or alias
+   * @param {*} replacement - Class, factory or object to use instead
+   * @param {object} [options] - Registration options merged over the current ones
+   * @returns {string[]} - Names of the dropped instances
+   */
+  override(name, replacement, options = {}) {
+    const target = this.resolveAlias(name) ?? name;
+    const registration = this.components.get(target);
+
+    if (!registration) {
+      throw new ServiceError(
+        'UNKNOWN_COMPONENT',
+        `Component ${target} is not registered`
+      );
+    }
+
+    this.components.set(target, {
+      Component: replacement,
+      options: { ...registration.options, ...options }
+    });
+    this.dependencies.set(target, replacement?.dependencies || []);
+
+    const dropped = [target, ...this.getDependents(target)]
+      .filter(component => this.instances.delete(component));
+
+    this.emit('component:overridden', { name: target, dropped });
+    return dropped;
+  }
+
+  /**
+   * Hot-replace a component in a running container
+   * The live instances of the component and its dependents are shut down
+   * (dependents first), the registration is swapped, and the same
+   * components are resolved and initialized again. Everything else keeps
+   * running untouched.
+   * @param {string} name - Component name or alias
+   * @param {*} Component - New class, factory or object
+   * @param {object} [options] - Registration options merged over the current ones
+   * @returns {Promise<string[]>} - Names of the recreated components
+   */
+  async replace(name, Component, options = {}) {
+    const target = this.resolveAlias(name) ?? name;
+    if (!this.components.has(target)) {
+      throw new ServiceError(
+        'UNKNOWN_COMPONENT',
+        `Component ${target} is not registered`
+      );
+    }
+
+    const affected = new Set([target, ...this.getDependents(target)]);
+    const live = this.resolveDependencyOrder()
+      .filter(component => affected.has(component) && this.instances.has(component));
+
+    await this.disposeInstances(
+      [...live].reverse().map(component => ({
+        name: component,
+        instance: this.instances.get(component)
+      }))
+    );
+
+    this.override(target, Component, options);
+
+    try {
+      for (const component of live) {
+        await this.resolve(component);
+      }
+    } catch (error) {
+      throw new ServiceError(
+        'REPLACE_FAILED',
+        `Failed to replace component ${target}`,
+        { originalError: error }
+      );
+    }
+
+    this.emit('component:replaced', { name: target, recreated: live });
+    return live;
+  }
+
+  /**
+   * Find components registered with a source file
+   * @param {string} file - Path of a changed file
+   * @returns {string[]} - Names of the components built from that file
+   */
+  findBySource(file) {
+    const changed = resolvePath(file);
+    return Array.from(this.components.entries())
+      .filter(([, { options }]) => options.source?.path && resolvePath(options.source.path) === changed)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Capture registrations, aliases and cached instances
+   * @returns {object} - Snapshot to pass to restore()
+   */
+  snapshot() {
+    return {
+      components: new Map(this.components),
+      dependencies: new Map(this.dependencies),
+      aliases: new Map(this.aliases),
+      instances: new Map(this.instances),
+      initialized: this.initialized
+    };
+  }
+
+  /**
+   * Put the container back into the state captured by snapshot()
+   * Instances created after the snapshot are dropped, not shut down
+   * @param {object} snapshot - Snapshot from snapshot()
+   */
+  restore(snapshot) {
+    if (!snapshot?.components || !snapshot?.instances) {
+      throw new ConfigError(
+        'INVALID_SNAPSHOT',
+        'restore() requires a snapshot created by snapshot()'
+      );
+    }
+
+    this.components = new Map(snapshot.components);
+    this.dependencies = new Map(snapshot.dependencies);
+    this.aliases = new Map(snapshot.aliases);
+    this.instances = new Map(snapshot.instances);
+    this.pending.clear();
+    this.initialized = snapshot.initialized;
+
+    this.emit('container:restored');
+  }
+
   /**
    * Discover components in a directory
    * @param {string} type - Component type
@@ -82,6 +484,15 @@ export class CoreContainer extends EventEmitter {
         try {
           const component = await this.loadComponent(path, manifest);
           if (component) {
+            this.register(component.name, component.implementation, {
+              ...component.config.options,
+              type,
+              config: component.config,
+              source: {
+                path: join(path, component.config.main || 'index.js'),
+                exportName: 'default'
+              }
+            });
             discoveredComponents.set(component.name, component);
           }
         } catch (error) {
@@ -110,7 +521,7 @@ export class CoreContainer extends EventEmitter {
       if (config.enabled === false) return null;
 
       await this.validateConfig(config, manifest.configSchema);
-      const implementation = await this.loadImplementation(path);
+      const implementation = await this.loadImplementation(path, config);
 
       return {
         name: config.name,
@@ -126,31 +537,211 @@ export class CoreContainer extends EventEmitter {
     }
   }
 
+  /**
+   * List component directories below a base path
+   * @private
+   * @param {string} basePath - Base directory path
+   * @returns {Promise<string[]>} - Absolute component directory paths
+   */
+  async scanDirectory(basePath) {
+    const root = resolvePath(basePath);
+    const entries = await readdir(root, { withFileTypes: true });
+
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => join(root, entry.name))
+      .sort();
+  }
+
+  /**
+   * Load a component config from config.json or config.js
+   * @private
+   * @param {string} path - Component directory
+   * @returns {Promise<object>} - Component config
+   */
+  async loadConfig(path) {
+    const jsonPath = join(path, 'config.json');
+    if (await this.fileExists(jsonPath)) {
+      const config = JSON.parse(await readFile(jsonPath, 'utf8'));
+      return { name: basename(path), ...config };
+    }
+
+    const jsPath = join(path, 'config.js');
+    if (await this.fileExists(jsPath)) {
+      const module = await import(pathToFileURL(jsPath).href);
+      const config = typeof module.default === 'function'
+        ? await module.default()
+        : module.default;
+      return { name: basename(path), ...config };
+    }
+
+    throw new ConfigError(
+      'MISSING_CONFIG',
+      `No config.json or config.js found in ${path}`
+    );
+  }
+
+  /**
+   * Validate a component config against a manifest schema
+   * @private
+   * @param {object} config - Component config
+   * @param {object} schema - Manifest config schema
+   */
+  async validateConfig(config, schema = {}) {
+    if (!schema) return true;
+
+    const validationErrors = [];
+
+    for (const field of schema.required || []) {
+      if (config[field] === undefined) {
+        validationErrors.push({ field, message: `${field} is required` });
+      }
+    }
+
+    for (const [field, rules] of Object.entries(schema.properties || {})) {
+      const value = config[field];
+      if (value === undefined) continue;
+
+      const actualType = Array.isArray(value) ? 'array' : typeof value;
+      if (rules.type && actualType !== rules.type) {
+        validationErrors.push({
+          field,
+          message: `${field} must be of type ${rules.type}`
+        });
+      } else if (rules.enum && !rules.enum.includes(value)) {
+        validationErrors.push({
+          field,
+          message: `${field} must be one of: ${rules.enum.join(', ')}`
+        });
+      }
+    }
+
+    if (validationErrors.length > 0) {
+      throw new ConfigError(
+        'VALIDATION_FAILED',
+        `Invalid config for component ${config.name}`,
+        { validationErrors }
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Load a component implementation from its entry file
+   * @private
+   * @param {string} path - Component directory
+   * @param {object} config - Component config (main defaults to index.js)
+   * @returns {Promise<*>} - Default export of the entry file
+   */
+  async loadImplementation(path, config = {}) {
+    const entryPath = join(path, config.main || 'index.js');
+    const module = await import(pathToFileURL(entryPath).href);
+
+    if (module.default === undefined) {
+      throw new ConfigError(
+        'MISSING_IMPLEMENTATION',
+        `${entryPath} has no default export`
+      );
+    }
+
+    return module.default;
+  }
+
+  /**
+   * Check whether a file exists
+   * @private
+   */
+  async fileExists(path) {
+    try {
+      await access(path);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Get an instance of a component
    * @param {string} name - Component name
    */
   async resolve(name) {
-    if (!this.components.has(name)) {
+    if (this.disposed) {
+      throw new ServiceError(
+        'SCOPE_DISPOSED',
+        `Cannot resolve ${name} from a disposed scope`
+      );
+    }
+
+    name = this.resolveAlias(name) ?? name;
+    const owner = this.findOwner(name);
+    if (!owner) {
       throw new ServiceError(
         'UNKNOWN_COMPONENT',
         `Component ${name} is not registered`
       );
     }
   
-    const { Component, options } = this.components.get(name);
+    const { Component, options } = owner.components.get(name);
+
+    // Singletons live in the container that registered them
+    if (options.lifetime === Lifetime.SINGLETON && owner !== this) {
+      return owner.resolve(name);
+    }
+
+    if (options.lifetime === Lifetime.SCOPED && !this.parent) {
+      throw new ServiceError(
+        'SCOPE_REQUIRED',
+        `Component ${name} is scoped and must be resolved from a scope`
+      );
+    }
   
-    // Return existing instance for singletons
-    if (options.singleton && this.instances.has(name)) {
+    // Return existing instance for singletons and scoped components
+    if (options.lifetime !== Lifetime.TRANSIENT && this.instances.has(name)) {
       return this.instances.get(name);
     }
-  
+
+    if (options.lifetime === Lifetime.TRANSIENT) {
+      return this.createInstance(name, owner);
+    }
+
+    // Share an in-flight creation between concurrent resolves
+    if (this.pending.has(name)) {
+      return this.pending.get(name);
+    }
+
+    const creation = this.createInstance(name, owner);
+    this.pending.set(name, creation);
+    try {
+      return await creation;
+    } finally {
+      this.pending.delete(name);
+    }
+  }
+
+  /**
+   * Create an instance, initializing and caching it as needed
+   * @private
+   * @param {string} name - Component name
+   * @param {CoreContainer} owner - Container holding the registration
+   */
+  async createInstance(name, owner) {
+    const { Component, options } = owner.components.get(name);
+
     // Resolve dependencies first
-    const deps = this.dependencies.get(name) || [];
+    const deps = owner.dependencies.get(name) || [];
     const resolvedDeps = {};
   
     for (const dep of deps) {
-      resolvedDeps[dep] = await this.resolve(dep);
+      const { key, name: depName, tag, optional } = normalizeDependency(dep);
+
+      if (tag) {
+        resolvedDeps[key] = await this.resolveTagged(tag);
+      } else if (optional && !this.findOwner(this.resolveAlias(depName))) {
+        resolvedDeps[key] = undefined;
+      } else {
+        resolvedDeps[key] = await this.resolve(depName);
+      }
     }
   
     // Handle different component types
@@ -166,46 +757,250 @@ export class CoreContainer extends EventEmitter {
     } else {
       instance = Component;
     }
+
+    instance = this.applyInterceptors(name, instance);
   
     // Initialize if container is initialized
     if (this.initialized && typeof instance.initialize === 'function') {
-      await instance.initialize();
+      await this.runPhase(name, 'initialize', () => instance.initialize());
     }
   
-    // Cache singleton instance
-    if (options.singleton) {
+    // Cache singleton and scoped instances
+    if (options.lifetime !== Lifetime.TRANSIENT) {
       this.instances.set(name, instance);
     }
+
+    this.trackInstance(name, instance, options.lifetime);
   
     this.emit('component:resolved', { name, instance });
     return instance;
   }
+
+  /**
+   * Find the container holding the registration for a component
+   * @private
+   * @param {string} name - Component name
+   * @returns {CoreContainer|null} - This container, an ancestor, or null
+   */
+  findOwner(name) {
+    if (this.components.has(name)) return this;
+    return this.parent ? this.parent.findOwner(name) : null;
+  }
+
+  /**
+   * Run a lifecycle method with the registration's timeout and retry policy
+   * Retries only apply to initialization
+   * @private
+   * @param {string} name - Component name
+   * @param {string} phase - 'initialize' or 'shutdown'
+   * @param {Function} task - Calls the lifecycle method
+   * @param {number} [deadline] - Upper bound for the timeout in ms
+   */
+  async runPhase(name, phase, task, deadline = Infinity) {
+    const { options } = this.findOwner(name).components.get(name);
+    const configured = typeof options.timeout === 'object'
+      ? options.timeout?.[phase]
+      : options.timeout;
+    const timeout = Math.min(configured ?? Infinity, deadline);
+    const retry = phase === 'initialize' ? options.retry : undefined;
+    const attempts = retry?.attempts ?? 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await withTimeout(task(), timeout, () => new ServiceError(
+          'TIMEOUT',
+          `Component ${name} timed out during ${phase} after ${timeout}ms`,
+          { component: name, phase, timeout }
+        ));
+      } catch (error) {
+        if (attempt >= attempts) throw error;
+
+        this.emit('component:retry', { name, phase, attempt, error });
+        await delay(getBackoffDelay(retry.backoff, attempt));
+      }
+    }
+  }
+
+  /**
+   * Create a child scope that inherits all registrations
+   * Scoped components are cached per scope and disposed with it
+   * @returns {CoreContainer} - The new scope
+   */
+  createScope() {
+    const scope = new CoreContainer({ parent: this });
+    scope.initialized = this.initialized;
+    this.emit('scope:created', { scope });
+    return scope;
+  }
+
+  /**
+   * Remember an instance this container has to dispose later
+   * Instances are kept in creation order, so disposing them newest first
+   * shuts each one down before whatever it depends on. Scopes hold
+   * everything they create; the root container holds its singletons and
+   * tracks disposable transients weakly, so dropped instances can still
+   * be garbage collected
+   * @private
+   */
+  trackInstance(name, instance, lifetime) {
+    if (!getDisposeMethod(instance)) return;
+
+    if (this.parent || lifetime === Lifetime.SINGLETON) {
+      this.tracked.push({ name, target: instance });
+      return;
+    }
+
+    this.tracked.push({ name, target: new WeakRef(instance) });
+    if (this.tracked.length % 100 === 0) {
+      this.tracked = this.tracked.filter(
+        ({ target }) => !(target instanceof WeakRef) || target.deref() !== undefined
+      );
+    }
+  }
+
+  /**
+   * Get tracked instances that are still alive, newest first
+   * @private
+   */
+  getTrackedInstances() {
+    return this.tracked
+      .map(({ name, target }) => ({
+        name,
+        instance: target instanceof WeakRef ? target.deref() : target
+      }))
+      .filter(({ instance }) => instance !== undefined)
+      .reverse();
+  }
+
+  /**
+   * Dispose a scope, shutting down its instances in reverse creation order
+   * @param {object} [options] - Same options as shutdown()
+   */
+  async dispose(options = {}) {
+    if (!this.parent) {
+      return this.shutdown(options);
+    }
+    if (this.disposed) return;
+    this.disposed = true;
+
+    await this.disposeInstances(this.getTrackedInstances(), options.timeout);
+
+    this.tracked = [];
+    this.instances.clear();
+    this.initialized = false;
+    this.emit('scope:disposed');
+  }
+
+  /**
+   * Call shutdown() or dispose() on instances, in the given order
+   * Failures are reported through shutdown:error and do not stop the rest
+   * @private
+   * @param {Array<{name: string, instance: *}>} entries - Instances to dispose
+   * @param {number} [timeout] - Overall deadline in ms
+   */
+  async disposeInstances(entries, timeout) {
+    const deadline = Date.now() + (timeout ?? Infinity);
+    let deadlineReached = false;
+
+    for (const { name, instance } of entries) {
+      const method = getDisposeMethod(instance);
+      if (!method) continue;
+
+      const remaining = deadline - Date.now();
+      if (deadlineReached || remaining <= 0) {
+        this.emit('shutdown:error', {
+          component: name,
+          skipped: true,
+          error: new ServiceError(
+            'SHUTDOWN_DEADLINE_EXCEEDED',
+            `Skipped shutdown of ${name}, deadline of ${timeout}ms exceeded`,
+            { component: name, phase: 'shutdown', timeout }
+          )
+        });
+        continue;
+      }
+
+      try {
+        await this.runPhase(name, 'shutdown', () => instance[method](), remaining);
+        this.emit('component:disposed', { name, instance });
+      } catch (error) {
+        // Cut off by the overall deadline rather than its own timeout
+        if (error.code === 'SERVICE_TIMEOUT' && error.details.timeout === remaining) {
+          deadlineReached = true;
+        }
+        // Log error but continue shutdown process
+        this.emit('shutdown:error', {
+          component: name,
+          error
+        });
+      }
+    }
+  }
+
   /**
    * Initialize all registered components
+   * Components in the same dependency level start in parallel
+   * @param {object} [options] - Initialization options
+   * @param {number} [options.concurrency=Infinity] - Max components starting at once
    */
-  async initialize() {
+  async initialize(options = {}) {
     if (this.initialized) {
       throw new ServiceError(
         'ALREADY_INITIALIZED',
         'Container is already initialized'
       );
     }
-    //console.log('Initializing Container...');
-    const order = this.resolveDependencyOrder();
 
-    for (const name of order) {
-      //console.log(`Resolving component: ${name}`);
-      const instance = await this.resolve(name);
-      if (typeof instance.initialize === 'function') {
-        //console.log(`Initializing component: ${name}`);
-        await instance.initialize();
-      }
+    const concurrency = options.concurrency ?? Infinity;
+    if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency > 0))) {
+      throw new ConfigError(
+        'INVALID_CONCURRENCY',
+        `Concurrency must be a positive integer, got ${concurrency}`
+      );
+    }
+
+    const levels = this.getInitializationLevels();
+
+    for (const [level, names] of levels.entries()) {
+      // Scoped components are created per scope, not at startup
+      const components = names.filter(
+        name => this.components.get(name).options.lifetime !== Lifetime.SCOPED
+      );
+      this.emit('initialization:level', { level, components });
+
+      await runWithConcurrency(components, concurrency, async (name) => {
+        const instance = await this.resolve(name);
+        if (typeof instance.initialize === 'function') {
+          await this.runPhase(name, 'initialize', () => instance.initialize());
+        }
+      });
     }
 
     this.initialized = true;
     this.emit('initialized');
+  }
+
+  /**
+   * Group components into dependency levels
+   * A component sits one level above its deepest dependency, so
+   * components in the same level never depend on each other
+   * @returns {string[][]} - Component names per level
+   */
+  getInitializationLevels() {
+    const order = this.resolveDependencyOrder();
+    const levelOf = new Map();
+    const levels = [];
+
+    for (const name of order) {
+      const level = this.getDependencyTargets(name).reduce(
+        (max, dep) => Math.max(max, levelOf.get(dep.name) + 1),
+        0
+      );
+      levelOf.set(name, level);
+      (levels[level] ||= []).push(name);
+    }
 
-    
+    return levels;
   }
 
   /**
@@ -215,32 +1010,34 @@ export class CoreContainer extends EventEmitter {
   resolveDependencyOrder() {
     const visited = new Set();
     const visiting = new Set();
+    const path = [];
     const order = [];
 
     const visit = (name) => {
       if (visited.has(name)) return;
       if (visiting.has(name)) {
+        const cycle = [...path.slice(path.indexOf(name)), name];
         throw new ConfigError(
           'CIRCULAR_DEPENDENCY',
-          `Circular dependency detected: ${name}`
+          `Circular dependency detected: ${cycle.join(' -> ')}`,
+          { cycle }
         );
       }
 
       visiting.add(name);
+      path.push(name);
       
-      const component = this.components.get(name);
-      const deps = this.dependencies.get(name) || [];
-      
-      for (const dep of deps) {
-        if (!this.components.has(dep)) {
+      for (const dep of this.getDependencyTargets(name)) {
+        if (!dep.registered) {
           throw new ConfigError(
             'MISSING_DEPENDENCY',
-            `Dependency ${dep} required by ${name} is not registered`
+            `Dependency ${dep.name} required by ${name} is not registered`
           );
         }
-        visit(dep);
+        visit(dep.name);
       }
       
+      path.pop();
       visiting.delete(name);
       visited.add(name);
       order.push(name);
@@ -270,27 +1067,285 @@ export class CoreContainer extends EventEmitter {
     return order;
   }
 
-async shutdown() {
-    // Shutdown in reverse dependency order
-    const order = this.resolveDependencyOrder().reverse();
-  
-    for (const name of order) {
-      const instance = this.instances.get(name);
-      if (instance && typeof instance.shutdown === 'function') {
-        try {
-          await instance.shutdown();
-        } catch (error) {
-          // Log error but continue shutdown process
-          this.emit('shutdown:error', { 
-            component: name, 
-            error 
-          });
+  /**
+   * Export the dependency graph
+   * Edges point from a component to the dependency it requires
+   * @param {string} [format='json'] - 'json', 'dot' or 'mermaid'
+   * @returns {object|string} - Graph object for json, source text otherwise
+   */
+  getDependencyGraph(format = 'json') {
+    const nodes = [];
+    const edges = [];
+    const missing = new Set();
+
+    for (const [name, { options }] of this.components) {
+      nodes.push({ id: name, lifetime: options.lifetime, registered: true });
+
+      for (const dep of this.getDependencyTargets(name)) {
+        edges.push({ from: name, to: dep.name });
+        if (!dep.registered) missing.add(dep.name);
+      }
+    }
+
+    for (const name of missing) {
+      nodes.push({ id: name, lifetime: null, registered: false });
+    }
+
+    switch (format) {
+      case 'json':
+        return { nodes, edges };
+
+      case 'dot': {
+        const lines = ['digraph dependencies {', '  rankdir=LR;'];
+        for (const node of nodes) {
+          const style = node.registered ? '' : ' [style=dashed]';
+          lines.push(`  ${JSON.stringify(node.id)}${style};`);
         }
+        for (const edge of edges) {
+          lines.push(`  ${JSON.stringify(edge.from)} -> ${JSON.stringify(edge.to)};`);
+        }
+        lines.push('}');
+        return lines.join('\n');
+      }
+
+      case 'mermaid': {
+        const ids = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+        const lines = ['graph LR'];
+        for (const node of nodes) {
+          const label = node.registered ? node.id : `${node.id} (missing)`;
+          lines.push(`  ${ids.get(node.id)}["${label.replace(/"/g, '#quot;')}"]`);
+        }
+        for (const edge of edges) {
+          lines.push(`  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+        }
+        return lines.join('\n');
       }
+
+      default:
+        throw new ConfigError(
+          'INVALID_FORMAT',
+          `Unsupported dependency graph format: ${format}`
+        );
     }
+  }
+
+  /**
+   * Shut down all components
+   * Singletons and tracked transients go in reverse creation order, so a
+   * component is shut down before the components it depends on
+   * @param {object} [options] - Shutdown options
+   * @param {number} [options.timeout] - Overall deadline in ms; components
+   *   not reached in time are skipped and reported through shutdown:error
+   */
+  async shutdown(options = {}) {
+    await this.disposeInstances(this.getTrackedInstances(), options.timeout);
   
+    this.tracked = [];
     this.instances.clear();
     this.initialized = false;
     this.emit('shutdown');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Name of the method that releases an instance's resources
+ * @private
+ * @returns {string|null} - 'shutdown', 'dispose' or null
+ */
+function getDisposeMethod(instance) {
+  if (typeof instance?.shutdown === 'function') return 'shutdown';
+  if (typeof instance?.dispose === 'function') return 'dispose';
+  return null;
+}
+
+/**
+ * Normalize a dependency declaration
+ * Accepts 'name', { name, optional, as } or { tag, as }
+ * @private
+ * @returns {{key: string, name?: string, tag?: string, optional: boolean}}
+ */
+function normalizeDependency(dep) {
+  if (typeof dep === 'string') {
+    return { key: dep, name: dep, optional: false };
+  }
+
+  if (dep && typeof dep === 'object' && (dep.name || dep.tag)) {
+    return {
+      key: dep.as || dep.name || dep.tag,
+      name: dep.name,
+      tag: dep.tag,
+      optional: Boolean(dep.optional)
+    };
+  }
+
+  throw new ConfigError(
+    'INVALID_DEPENDENCY',
+    `Invalid dependency declaration: ${JSON.stringify(dep)}`
+  );
+}
+
+/**
+ * Call a method through interceptor hooks
+ * Before hooks run in registration order, after and error hooks in reverse.
+ * Results that are promises get their after/error hooks chained. A before
+ * hook that returns a promise is awaited, and the call continues
+ * asynchronously; a before hook that throws goes to the error hooks
+ * @private
+ */
+function invoke(interceptors, invocation, call) {
+  const befores = interceptors.filter(({ before }) => before);
+  const reversed = [...interceptors].reverse();
+
+  const runAfter = (result) => {
+    invocation.result = result;
+    for (const { after } of reversed) {
+      if (!after) continue;
+      const replaced = after(invocation);
+      if (replaced !== undefined) invocation.result = replaced;
+    }
+    return invocation.result;
+  };
+
+  const runError = (error) => {
+    invocation.error = error;
+    for (const { error: onError } of reversed) {
+      if (!onError) continue;
+      const recovered = onError(invocation);
+      if (recovered !== undefined) return recovered;
+    }
+    throw invocation.error;
+  };
+
+  const runAfterAsync = async (value) => {
+    invocation.result = value;
+    for (const { after } of reversed) {
+      if (!after) continue;
+      const replaced = await after(invocation);
+      if (replaced !== undefined) invocation.result = replaced;
+    }
+    return invocation.result;
+  };
+
+  const runErrorAsync = async (error) => {
+    invocation.error = error;
+    for (const { error: onError } of reversed) {
+      if (!onError) continue;
+      const recovered = await onError(invocation);
+      if (recovered !== undefined) return recovered;
+    }
+    throw invocation.error;
+  };
+
+  // Returns { value } when a hook short-circuits, null otherwise, or a
+  // promise of either once a hook is async
+  const runBefore = (index) => {
+    for (let i = index; i < befores.length; i++) {
+      const shortCircuit = befores[i].before(invocation);
+      if (isThenable(shortCircuit)) {
+        return Promise.resolve(shortCircuit)
+          .then(value => (value !== undefined ? { value } : runBefore(i + 1)));
+      }
+      if (shortCircuit !== undefined) return { value: shortCircuit };
+    }
+    return null;
+  };
+
+  let outcome;
+  try {
+    outcome = runBefore(0);
+  } catch (error) {
+    return runError(error);
+  }
+
+  if (isThenable(outcome)) {
+    return outcome.then(
+      settled => (settled
+        ? settled.value
+        : Promise.resolve().then(call).then(runAfterAsync, runErrorAsync)),
+      runErrorAsync
+    );
+  }
+  if (outcome) return outcome.value;
+
+  let result;
+  try {
+    result = call();
+  } catch (error) {
+    return runError(error);
+  }
+
+  if (isThenable(result)) {
+    return result.then(runAfterAsync, runErrorAsync);
+  }
+
+  return runAfter(result);
+}
+
+/**
+ * Whether a value is a promise or promise-like
+ * @private
+ */
+function isThenable(value) {
+  return typeof value?.then === 'function';
+}
+
+/**
+ * Race a promise against a timer
+ * @private
+ */
+function withTimeout(promise, ms, createError) {
+  if (!Number.isFinite(ms)) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(createError()), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @private
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Backoff before the next attempt: a function of the attempt number,
+ * or a base delay in ms that doubles with every attempt
+ * @private
+ */
+function getBackoffDelay(backoff = 0, attempt) {
+  if (typeof backoff === 'function') return backoff(attempt);
+  return backoff * 2 ** (attempt - 1);
+}
+
+/**
+ * Run an async task over items with at most `limit` tasks in flight
+ * All tasks are settled before the first failure is rethrown
+ * @private
+ */
+async function runWithConcurrency(items, limit, task) {
+  const errors = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        await task(item);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+  };
+
+  const workerCount = Math.min(limit, items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+}
@@ -3,6 +3,7 @@
 import { IFrameworkIntegration } from '../IFrameworkIntegration.js';
 import { CoreError, ErrorCodes } from '../../index.js';
 import { ValidationError, NetworkError } from '../../types/index.js';
+import { runWithEventContext } from '../../../event/EventContext.js';
 
 export class FastifyIntegration extends IFrameworkIntegration {
   constructor() {
@@ -16,22 +17,30 @@ export class FastifyIntegration extends IFrameworkIntegration {
     }
 
     // Add error context to request
-    fastify.addHook('onRequest', async (request) => {
+    fastify.addHook('onRequest', (request, reply, done) => {
       if (!request) {
-        return;
+        return done();
       }
       
+      // Correlate events emitted for this request
+      const correlationId = request.headers?.['x-correlation-id'] || crypto.randomUUID();
+
       request.errorContext = {
         url: request?.url || '',
         method: request?.method || '',
-        id: request?.id
+        id: request?.id,
+        correlationId
       };
+
+      // The rest of the request runs inside done() and its context
+      runWithEventContext({ correlationId, causationId: request.id ?? correlationId }, done);
     });
 
     // Set error handler
     fastify.setErrorHandler(async (error, request, reply) => {
       const errorContext = {
         requestId: request?.id,
+        correlationId: request?.errorContext?.correlationId,
         timestamp: new Date().toISOString(),
         url: request?.url || '',
         method: request?.method || ''
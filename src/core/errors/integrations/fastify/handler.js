@@ -3,6 +3,7 @@
 import { IFrameworkIntegration } from '../IFrameworkIntegration.js';
 import { CoreError, ErrorCodes } from '../../index.js';
 import { ValidationError, NetworkError } from '../../types/index.js';
+import { runWithEventContext } from '../../../event/EventContext.js';
 
 class FastifyErrorHandler extends IFrameworkIntegration {
   constructor() {
@@ -19,14 +20,23 @@ class FastifyErrorHandler extends IFrameworkIntegration {
       throw new Error('Invalid fastify instance');
     }
 
-    fastify.addHook('onRequest', async (request) => {
-      if (!request) return;
+    fastify.addHook('onRequest', (request, reply, done) => {
+      if (!request) return done();
+
+      // Events emitted while handling the request are correlated with it;
+      // callers can continue their own trace with an x-correlation-id header
+      const correlationId = request.headers?.['x-correlation-id'] || crypto.randomUUID();
 
       request.errorContext = {
         url: request?.url || '',
         method: request?.method || '',
-        id: request?.id
+        id: request?.id,
+        correlationId
       };
+
+      // The rest of the request runs inside done(), so the context stays
+      // with it and does not leak into the code that called Fastify
+      runWithEventContext({ correlationId, causationId: request.id ?? correlationId }, done);
     });
 
     fastify.setErrorHandler(async (error, request, reply) => {
@@ -36,6 +46,7 @@ class FastifyErrorHandler extends IFrameworkIntegration {
 
       const errorContext = {
         requestId: request?.id,
+        correlationId: request?.errorContext?.correlationId,
         timestamp: new Date().toISOString(),
         url: request?.url || '',
         method: request?.method || ''
@@ -0,0 +1,65 @@
+// src/core/event/Clock.js
+
+/**
+ * Clocks used by CoreEventBus for delayed and scheduled delivery
+ *
+ * A clock provides now(), setTimeout(callback, ms) and clearTimeout(handle).
+ * The bus uses systemClock unless a clock is passed as the `clock`
+ * dependency, which lets tests control time with ManualClock.
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * Clock that only moves when advance() is called
+ */
+export class ManualClock {
+  /**
+   * @param {number|Date} [start=0] - Initial time
+   */
+  constructor(start = 0) {
+    this.time = start instanceof Date ? start.getTime() : start;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, ms) {
+    const id = this.nextId++;
+    this.timers.set(id, { id, at: this.time + Math.max(0, ms), callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Move time forward, running due timers in order
+   * Each callback is awaited, so work it starts has settled when this
+   * resolves. Timers scheduled by callbacks run too if they fall due.
+   * @param {number} ms - Milliseconds to advance
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+
+    for (;;) {
+      const [due] = Array.from(this.timers.values())
+        .filter(timer => timer.at <= target)
+        .sort((a, b) => a.at - b.at || a.id - b.id);
+      if (!due) break;
+
+      this.timers.delete(due.id);
+      this.time = due.at;
+      await due.callback();
+    }
+
+    this.time = target;
+  }
+}
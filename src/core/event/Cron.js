@@ -0,0 +1,246 @@
+// src/core/event/Cron.js
+
+import { CoreError } from '../errors/Error.js';
+
+/**
+ * Five-field cron expressions: minute hour day-of-month month day-of-week
+ *
+ * Each field accepts '*', numbers, ranges ('1-5'), lists ('1,15') and
+ * steps ('*\/15', '10-40/10'). Day-of-week runs 0-7 with both 0 and 7
+ * meaning Sunday. As in Vixie cron, when both day fields are restricted a
+ * day matches if either does. The @yearly, @monthly, @weekly, @daily and
+ * @hourly shortcuts are accepted too.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Enough jumps to cover many years of an expression that rarely matches
+const MAX_STEPS = 10000;
+
+// Longer than any DST shift, so a repeated hour lies within this of `after`
+const DST_WINDOW = 3 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression
+ * @returns {Object} - Parsed fields
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new CoreError('INVALID_CRON', `Cron expression must be a non-empty string, got ${String(expression)}`);
+  }
+
+  const source = SHORTCUTS[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new CoreError(
+      'INVALID_CRON',
+      `Cron expression ${expression} must have 5 fields, got ${parts.length}`
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map(
+    (part, index) => parseField(part, FIELDS[index], expression)
+  );
+
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return { expression, minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Find the first matching minute after a point in time
+ * @param {Object|string} cron - Parsed or raw cron expression
+ * @param {number} after - Timestamp in ms
+ * @param {Object} options - { utc: boolean } evaluates fields in UTC
+ *   instead of local time
+ * @returns {number} - Timestamp in ms, always later than `after`. In local
+ *   time, a wall-clock hour repeated by a DST fall-back runs twice when the
+ *   hour field is '*' or stepped ('*\/2'), as in Vixie cron; expressions
+ *   with fixed hours match once, at the first occurrence
+ */
+export function nextCronTime(cron, after, options = {}) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const next = nextFirstOccurrence(parsed, after, options.utc);
+
+  if (options.utc || !parsed.hour.wildcard) {
+    return next;
+  }
+  return nextRepeatedTime(parsed, after, next) ?? next;
+}
+
+/**
+ * Find the first matching minute after a point in time, taking each
+ * wall-clock time at its first occurrence
+ * @private
+ */
+function nextFirstOccurrence(parsed, after, utc) {
+  const { read, make } = calendar(utc);
+
+  let t = read(new Date(after));
+  let date = make(t.year, t.month, t.day, t.hour, t.minute + 1);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    t = read(date);
+
+    if (!parsed.month.values.has(t.month)) {
+      date = make(t.year, t.month + 1, 1, 0, 0);
+    } else if (!dayMatches(parsed, t)) {
+      date = make(t.year, t.month, t.day + 1, 0, 0);
+    } else if (!parsed.hour.values.has(t.hour)) {
+      date = make(t.year, t.month, t.day, t.hour + 1, 0);
+    } else if (!parsed.minute.values.has(t.minute) || date.getTime() <= after) {
+      // A wall-clock time repeated by a DST fall-back resolves to its first
+      // occurrence, which may already be past
+      date = make(t.year, t.month, t.day, t.hour, t.minute + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  throw new CoreError(
+    'INVALID_CRON',
+    `Cron expression ${parsed.expression} never matches`
+  );
+}
+
+/**
+ * Find a matching second occurrence of a wall-clock time repeated by a
+ * DST fall-back, between `after` and `before`
+ * Such a time can only come before the next first occurrence when `after`
+ * is close to the fall-back, so only minutes near one are checked
+ * @private
+ * @returns {number|null} - Timestamp in ms
+ */
+function nextRepeatedTime(parsed, after, before) {
+  const offset = time => new Date(time).getTimezoneOffset();
+  if (offset(after - DST_WINDOW) === offset(after + DST_WINDOW)) {
+    return null;
+  }
+
+  const { read, make } = calendar(false);
+  const end = Math.min(before, after + DST_WINDOW);
+
+  for (let time = Math.floor(after / MINUTE) * MINUTE + MINUTE; time < end; time += MINUTE) {
+    const t = read(new Date(time));
+    // Wall-clock times resolve to their first occurrence
+    const repeated = make(t.year, t.month, t.day, t.hour, t.minute).getTime() !== time;
+
+    if (repeated && parsed.month.values.has(t.month) && dayMatches(parsed, t) &&
+        parsed.hour.values.has(t.hour) && parsed.minute.values.has(t.minute)) {
+      return time;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @private
+ */
+function parseField(part, field, expression) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new CoreError(
+        'INVALID_CRON',
+        `Invalid ${field.name} "${item}" in cron expression ${expression}`
+      );
+    }
+
+    const [, star, from, to, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start = field.min;
+    let end = field.max;
+
+    if (!star) {
+      start = Number(from);
+      end = to !== undefined ? Number(to) : stepText !== undefined ? field.max : start;
+    }
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new CoreError(
+        'INVALID_CRON',
+        `Invalid ${field.name} "${item}" in cron expression ${expression}`
+      );
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard: part.startsWith('*') };
+}
+
+/**
+ * Day-of-month and day-of-week are ORed when both are restricted
+ * @private
+ */
+function dayMatches(cron, t) {
+  const dayOfMonth = cron.dayOfMonth.values.has(t.day);
+  const dayOfWeek = cron.dayOfWeek.values.has(t.weekday);
+
+  if (cron.dayOfMonth.wildcard || cron.dayOfWeek.wildcard) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Date accessors for local time or UTC
+ * Date normalizes overflowing fields, e.g. month 13 or minute 60
+ * @private
+ */
+function calendar(utc) {
+  if (utc) {
+    return {
+      read: (date) => ({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes()
+      }),
+      make: (year, month, day, hour, minute) =>
+        new Date(Date.UTC(year, month - 1, day, hour, minute))
+    };
+  }
+
+  return {
+    read: (date) => ({
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      weekday: date.getDay(),
+      hour: date.getHours(),
+      minute: date.getMinutes()
+    }),
+    make: (year, month, day, hour, minute) =>
+      new Date(year, month - 1, day, hour, minute)
+  };
+}
@@ -2,6 +2,20 @@
 
 import { EventEmitter } from 'events';
 import { CoreError } from '../errors/Error.js';
+import { NetworkError, ServiceError, ValidationError } from '../errors/index.js';
+import { TopicTrie } from './TopicTrie.js';
+import { EventLog } from './EventLog.js';
+import { FileQueueStore, MemoryQueueStore } from './stores/index.js';
+import { systemClock } from './Clock.js';
+import { nextCronTime, parseCron } from './Cron.js';
+import { validateSchema } from './SchemaValidator.js';
+import { contextForEvent, getEventContext, runWithEventContext } from './EventContext.js';
+
+// Longest delay setTimeout accepts; longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Events a subscription with a concurrency limit holds while it is busy
+const DEFAULT_BUFFER_SIZE = 1000;
 
 export class CoreEventBus extends EventEmitter {
   static dependencies = ['errorSystem', 'config'];
@@ -11,9 +25,29 @@ export class CoreEventBus extends EventEmitter {
     super();
     this.deps = deps;
     this.queues = new Map();
+    this.queueStore = deps.queueStore || createQueueStore(deps.config?.eventQueue);
+    this.retryPolicies = new Map();
+    this.defaultRetryPolicy = normalizeRetryPolicy(deps.config?.eventQueue?.retry);
+    this.deadLetters = new Map();
+    this.clock = deps.clock || systemClock;
+    this.schedules = new Map();
+    this.scheduleTimers = new Map();
+    this.schemas = new Map();
+    this.upcasters = new Map();
+    this.middleware = [];
+    this.strictSchemas = deps.config?.eventSchemas?.strict === true;
     this.subscriptions = new Map();
+    this.router = new TopicTrie();
+    this.responders = new Map();
+    this.responderRouter = new TopicTrie();
+    this.pendingRequests = new Map();
+    this.requestTimeout = deps.config?.requests?.timeout || 5000;
     this.history = new Map();
     this.maxHistorySize = deps.config?.eventHistory?.maxSize || 1000;
+    // Bounds history across all names; getHistory() reads a per-name index
+    this.eventLog = new EventLog({
+      capacity: deps.config?.eventHistory?.maxTotal || 10000
+    });
     this.initialized = false;
     
     // Enhanced state tracking aligned with other components
@@ -57,16 +91,50 @@ export class CoreEventBus extends EventEmitter {
         status: 'healthy',
         queueCount: this.queues.size,
         totalQueuedEvents,
-        queues: queueCounts
+        queues: queueCounts,
+        deadLetterCount: this.deadLetters.size
       };
     });
 
     // Register health check for subscriptions
     this.registerHealthCheck('subscriptions', async () => {
+      const subscriptions = Array.from(this.subscriptions.values());
+
+      // Subscriptions with a concurrency limit and their buffered events
+      const buffers = subscriptions
+        .filter(s => s.options?.concurrency)
+        .map(s => ({
+          id: s.id,
+          pattern: s.pattern,
+          active: s.active,
+          buffered: s.buffer.length,
+          bufferSize: s.options.bufferSize ?? DEFAULT_BUFFER_SIZE
+        }));
+
       return {
         status: 'healthy',
         count: this.subscriptions.size,
-        patterns: Array.from(this.subscriptions.values()).map(s => s.pattern)
+        patterns: subscriptions.map(s => s.pattern),
+        totalBuffered: buffers.reduce((total, b) => total + b.buffered, 0),
+        buffers
+      };
+    });
+
+    // Register health check for delayed and scheduled events
+    this.registerHealthCheck('schedules', async () => {
+      return {
+        status: 'healthy',
+        count: this.schedules.size,
+        schedules: this.getSchedules()
+      };
+    });
+
+    // Register health check for request/reply
+    this.registerHealthCheck('requests', async () => {
+      return {
+        status: 'healthy',
+        responders: this.responders.size,
+        pending: this.pendingRequests.size
       };
     });
   }
@@ -142,39 +210,8 @@ export class CoreEventBus extends EventEmitter {
       this.state.status = 'initializing';
       this.state.startTime = Date.now();
 
-      // Wildcard event support - special handler for '*' pattern
-      this.on('newListener', (event) => {
-        if (event === '*' && this.listenerCount('*') === 0) {
-          const wildcardHandler = (eventName, ...args) => {
-            if (eventName !== '*') {
-              this.emit('*', eventName, ...args);
-            }
-          };
-          
-          // Store the handler to be able to remove it later
-          this._wildcardHandler = wildcardHandler;
-          
-          // Dynamically listen to all events
-          this._originalEmit = this.emit;
-          this.emit = function(eventName, ...args) {
-            const result = this._originalEmit.call(this, eventName, ...args);
-            if (eventName !== '*') {
-              this._originalEmit.call(this, '*', eventName, ...args);
-            }
-            return result;
-          };
-        }
-      });
-
-      this.on('removeListener', (event) => {
-        if (event === '*' && this.listenerCount('*') === 0) {
-          // Restore original emit when no more wildcard listeners
-          if (this._originalEmit) {
-            this.emit = this._originalEmit;
-            this._originalEmit = null;
-          }
-        }
-      });
+      // Restore queued events that were never delivered
+      await this.restoreQueues();
 
       this.initialized = true;
       this.state.status = 'running';
@@ -228,20 +265,37 @@ export class CoreEventBus extends EventEmitter {
    * @param {string} eventName - Event name
    * @param {*} data - Event data
    * @param {Object} options - Emission options
-   * @returns {boolean} - Whether the event had listeners
+   * @param {number} [options.delay] - Emit after this many milliseconds
+   * @param {Date|number|string} [options.at] - Emit at this time
+   * @param {number} [options.version] - Payload version, latest by default
+   * @param {string} [options.correlationId] - Overrides the correlation ID
+   *   taken from the current context
+   * @param {string} [options.causationId] - Overrides the causation ID
+   *   taken from the current context
+   * @returns {boolean|string} - Whether the event had listeners, or the
+   *   schedule ID for delayed events
    */
   async emit(eventName, data, options = {}) {
     try {
-      const event = {
-        id: crypto.randomUUID(),
-        name: eventName,
-        data,
-        timestamp: new Date().toISOString(),
-        metadata: options.metadata || {}
-      };
+      this.validateEvent(eventName, data, options.version);
+
+      // Delayed delivery
+      if (options.delay !== undefined || options.at !== undefined) {
+        return await this.scheduleDelayed(eventName, data, options);
+      }
+
+      let event = this.createEvent(eventName, data, options);
+
+      // Middleware may change the envelope or cancel the event; without
+      // any, listeners are still called before emit() first yields
+      if (this.hasMiddleware('beforeEmit')) {
+        event = await this.runMiddleware('beforeEmit', event);
+        if (!event) return false;
+      }
 
       // Store in history
       this.trackEvent(event);
+      this.runAfterEmit(event);
 
       // Record metric
       this.recordMetric('eventbus.events.emitted', 1, {
@@ -255,7 +309,7 @@ export class CoreEventBus extends EventEmitter {
       }
 
       // Normal event emission
-      return super.emit(eventName, event);
+      return await this.deliver(event);
     } catch (error) {
       await this.handleError(error, {
         eventName,
@@ -267,140 +321,80 @@ export class CoreEventBus extends EventEmitter {
   }
 
   /**
-   * Enhanced subscription with pattern matching support
-   * @param {string} pattern - Event pattern (supports * wildcard)
-   * @param {Function} handler - Event handler
-   * @param {Object} options - Subscription options
-   * @returns {string} - Subscription ID
+   * Emit an event and wait for every matching subscription handler
+   * Handler failures are reported through handleError and returned as
+   * rejected results instead of being thrown
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data
+   * @param {Object} options - Emission options
+   * @param {string} [options.mode='parallel'] - 'parallel' or 'sequential'
+   * @returns {Promise<Array>} - One result per subscription:
+   *   { subscriptionId, pattern, status: 'fulfilled', value },
+   *   { subscriptionId, pattern, status: 'rejected', error } or, when the
+   *   subscription's filter, throttle or debounce kept the event from it,
+   *   { subscriptionId, pattern, status: 'skipped', reason }
    */
-  subscribe(pattern, handler, options = {}) {
+  async emitAsync(eventName, data, options = {}) {
     try {
-      const subscription = {
-        id: crypto.randomUUID(),
-        pattern,
-        handler,
-        options,
-        created: new Date().toISOString()
-      };
-
-      this.subscriptions.set(subscription.id, subscription);
-      
-      // Direct pattern match (no wildcards)
-      if (!pattern.includes('*')) {
-        this.on(pattern, handler);
-      } 
-      // Wildcard pattern
-      else if (pattern === '*') {
-        this.on('*', handler);
-      }
-      // Segment wildcard patterns
-      else {
-        // For patterns like 'user.*' or '*.created', create a regex matcher
-        const regexPattern = new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
-        
-        // Create a handler that checks the pattern
-        const patternHandler = (eventName, ...args) => {
-          if (regexPattern.test(eventName)) {
-            handler(...args);
-          }
-        };
-        
-        // Store the reference to the pattern handler
-        subscription.patternHandler = patternHandler;
-        this.on('*', patternHandler);
+      const { mode = 'parallel' } = options;
+      if (mode !== 'parallel' && mode !== 'sequential') {
+        throw new CoreError(
+          'INVALID_MODE',
+          `Emit mode must be 'parallel' or 'sequential', got ${mode}`
+        );
       }
 
-      // Record metric
-      this.recordMetric('eventbus.subscriptions', 1, {
-        pattern
-      });
+      this.validateEvent(eventName, data, options.version);
 
-      return subscription.id;
-    } catch (error) {
-      this.handleError(error, {
-        method: 'subscribe',
-        pattern,
-        options
-      });
-      throw error;
-    }
-  }
+      let event = this.createEvent(eventName, data, options);
 
-  /**
-   * Unsubscribe from events
-   * @param {string} subscriptionId - Subscription ID
-   * @returns {boolean} - Whether the subscription was removed
-   */
-  unsubscribe(subscriptionId) {
-    try {
-      const subscription = this.subscriptions.get(subscriptionId);
-      if (!subscription) {
-        return false;
+      if (this.hasMiddleware('beforeEmit')) {
+        event = await this.runMiddleware('beforeEmit', event);
+        if (!event) return [];
       }
 
-      const { pattern, handler, patternHandler } = subscription;
+      this.trackEvent(event);
+      this.runAfterEmit(event);
 
-      // Remove the appropriate handler
-      if (!pattern.includes('*')) {
-        this.removeListener(pattern, handler);
-      } else if (pattern === '*') {
-        this.removeListener('*', handler);
-      } else if (patternHandler) {
-        this.removeListener('*', patternHandler);
-      }
+      this.recordMetric('eventbus.events.emitted', 1, {
+        eventName,
+        queued: false,
+        mode
+      });
 
-      // Remove from subscriptions map
-      this.subscriptions.delete(subscriptionId);
+      const delivery = await this.prepareDelivery(event);
+      if (!delivery) return [];
 
-      // Record metric
-      this.recordMetric('eventbus.unsubscriptions', 1, {
-        pattern
-      });
+      const context = contextForEvent(delivery.event);
 
-      return true;
-    } catch (error) {
-      this.handleError(error, {
-        method: 'unsubscribe',
-        subscriptionId
+      // Raw listeners are notified as with emit() but not awaited
+      runWithEventContext(context, () => {
+        super.emit(eventName, delivery.latest);
+        if (this.listenerCount('*') > 0) {
+          super.emit('*', eventName, delivery.latest);
+        }
       });
-      throw error;
-    }
-  }
 
-  /**
-   * Queue events for delayed processing
-   * @param {Object} event - Event object
-   * @param {Object} options - Queue options
-   * @returns {Promise<boolean>} - Whether the event was queued
-   */
-  async queueEvent(event, options = {}) {
-    try {
-      const queue = this.queues.get(event.name) || [];
-      const queueItem = {
-        event,
-        options,
-        timestamp: new Date().toISOString()
-      };
-      
-      queue.push(queueItem);
-      this.queues.set(event.name, queue);
+      const subscriptions = this.matchSubscriptions(eventName);
+      const invoke = subscription => runWithEventContext(context, () => this.invokeSubscription(
+        subscription,
+        this.eventFor(subscription, delivery.event, delivery.latest)
+      ));
 
-      // Record metric
-      this.recordMetric('eventbus.queued', 1, {
-        eventName: event.name,
-        queueSize: queue.length
-      });
+      if (mode === 'parallel') {
+        return await Promise.all(subscriptions.map(invoke));
+      }
 
-      // Process queue if immediate
-      if (options.immediate) {
-        await this.processQueue(event.name);
+      const results = [];
+      for (const subscription of subscriptions) {
+        results.push(await invoke(subscription));
       }
-      
-      return true;
+      return results;
     } catch (error) {
       await this.handleError(error, {
-        method: 'queueEvent',
-        event,
+        method: 'emitAsync',
+        eventName,
+        data,
         options
       });
       throw error;
@@ -408,143 +402,1825 @@ export class CoreEventBus extends EventEmitter {
   }
 
   /**
-   * Process queued events
-   * @param {string} queueName - Queue name
-   * @returns {Promise<number>} - Number of processed events
+   * Alias of emitAsync()
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data
+   * @param {Object} options - Emission options
+   * @returns {Promise<Array>} - One result per subscription
    */
-  async processQueue(queueName) {
+  publish(eventName, data, options = {}) {
+    return this.emitAsync(eventName, data, options);
+  }
+
+  /**
+   * Deliver an event emitted by another bus, e.g. in another process
+   * The envelope is kept as is: it is recorded in history and delivered
+   * like a local emit, without beforeEmit middleware or schema validation,
+   * which already ran where it was emitted
+   * @param {Object} event - Event envelope
+   * @returns {Promise<boolean>} - Whether the event had listeners
+   */
+  async receive(event) {
     try {
-      const queue = this.queues.get(queueName) || [];
-      let processedCount = 0;
-      
-      const startTime = Date.now();
-      
-      while (queue.length > 0) {
-        const { event } = queue.shift();
-        await super.emit(event.name, event);
-        processedCount++;
+      if (typeof event?.id !== 'string' || typeof event.name !== 'string') {
+        throw new CoreError(
+          'INVALID_EVENT',
+          'Received events must have a string id and name'
+        );
       }
+      // Events recorded before versioning count as version 1
+      this.checkUpcastPath(event.name, event.version ?? 1);
 
-      this.queues.set(queueName, queue);
-
-      // Record metrics
-      this.recordMetric('eventbus.queue.processed', processedCount, {
-        queueName,
-        processingTime: Date.now() - startTime
+      this.trackEvent(event);
+      this.runAfterEmit(event);
+      this.recordMetric('eventbus.events.received', 1, {
+        eventName: event.name
       });
 
-      return processedCount;
+      return await this.deliver(event);
     } catch (error) {
       await this.handleError(error, {
-        method: 'processQueue',
-        queueName
+        method: 'receive',
+        eventName: event?.name
       });
       throw error;
     }
   }
 
   /**
-   * Process all queued events
-   * @returns {Promise<Object>} - Processing results
+   * Register a JSON Schema for an event's payload
+   * Emits of the event are validated against its latest version
+   * @param {string} eventName - Event name
+   * @param {Object} schema - JSON Schema, see SchemaValidator.js for the
+   *   supported keywords
+   * @param {Object} options - Schema options
+   * @param {number} [options.version=1] - Schema version
    */
-  async processAllQueues() {
-    try {
-      const results = {};
-      const queueNames = Array.from(this.queues.keys());
-      
-      for (const queueName of queueNames) {
-        results[queueName] = await this.processQueue(queueName);
-      }
-      
-      return results;
-    } catch (error) {
-      await this.handleError(error, {
-        method: 'processAllQueues'
-      });
-      throw error;
+  registerSchema(eventName, schema, options = {}) {
+    const { version = 1 } = options;
+
+    if (typeof eventName !== 'string' || !eventName) {
+      throw new CoreError('INVALID_SCHEMA', 'Schema event name must be a non-empty string');
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new CoreError('INVALID_SCHEMA', `Schema for ${eventName} must be an object`);
+    }
+    if (!Number.isInteger(version) || version < 1) {
+      throw new CoreError(
+        'INVALID_SCHEMA',
+        `Schema version for ${eventName} must be a positive integer, got ${version}`
+      );
+    }
+
+    const versions = this.schemas.get(eventName) || new Map();
+    if (versions.has(version)) {
+      throw new CoreError(
+        'DUPLICATE_SCHEMA',
+        `Schema version ${version} for ${eventName} is already registered`
+      );
     }
+
+    versions.set(version, schema);
+    this.schemas.set(eventName, versions);
+
+    this.recordMetric('eventbus.schemas', 1, {
+      eventName,
+      version
+    });
   }
 
   /**
-   * Track events in history
-   * @param {Object} event - Event object
+   * Get a registered schema
+   * @param {string} eventName - Event name
+   * @param {number} [version] - Schema version, latest when omitted
+   * @returns {Object|null} - { eventName, version, schema }
    */
-  trackEvent(event) {
-    const history = this.history.get(event.name) || [];
-    history.unshift(event);
+  getSchema(eventName, version) {
+    const versions = this.schemas.get(eventName);
+    if (!versions) return null;
 
-    // Trim history if needed
-    if (history.length > this.maxHistorySize) {
-      history.pop();
-    }
+    const selected = version ?? Math.max(...versions.keys());
+    const schema = versions.get(selected);
 
-    this.history.set(event.name, history);
-    
-    // Record metric
-    this.recordMetric('eventbus.history.size', history.length, {
-      eventName: event.name
-    });
+    return schema ? { eventName, version: selected, schema } : null;
   }
 
   /**
-   * Get event history
-   * @param {string} eventName - Event name
-   * @param {Object} options - History options
-   * @returns {Array} - Event history
+   * Turn strict mode on or off
+   * In strict mode emitting or subscribing to an event name without a
+   * registered schema is an error; system: events are exempt
+   * @param {boolean} enabled - Whether strict mode is on
    */
-  getHistory(eventName, options = {}) {
-    const history = this.history.get(eventName) || [];
-    
-    if (options.limit && options.limit > 0) {
-      return history.slice(0, options.limit);
-    }
-    
-    return history;
+  setStrictMode(enabled) {
+    this.strictSchemas = Boolean(enabled);
   }
 
   /**
-   * Get all event history
-   * @param {Object} options - History options
-   * @returns {Object} - All event history
+   * Check a payload against the schema of its version
+   * @private
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data
+   * @param {number} [version] - Payload version, latest when omitted
    */
-  getAllHistory(options = {}) {
-    const result = {};
-    
-    for (const [eventName, history] of this.history) {
-      result[eventName] = options.limit ? history.slice(0, options.limit) : history;
+  validateEvent(eventName, data, version) {
+    if (version !== undefined) {
+      this.checkUpcastPath(eventName, version);
+    }
+
+    const entry = this.getSchema(eventName, version);
+
+    if (!entry) {
+      if (version !== undefined && this.schemas.has(eventName)) {
+        throw new ValidationError(
+          'UNKNOWN_VERSION',
+          `Event ${eventName} has no schema version ${version}`,
+          { eventName, version }
+        );
+      }
+      if (this.strictSchemas && !String(eventName).startsWith('system:')) {
+        throw new ValidationError(
+          'UNKNOWN_EVENT',
+          `Event ${eventName} has no registered schema`,
+          { eventName }
+        );
+      }
+      return;
+    }
+
+    const validationErrors = validateSchema(entry.schema, data);
+    if (validationErrors.length > 0) {
+      throw new ValidationError(
+        'INVALID_PAYLOAD',
+        `Payload for ${eventName} does not match schema version ${entry.version}`,
+        { eventName, version: entry.version, validationErrors }
+      );
     }
-    
-    return result;
   }
 
   /**
-   * Clear history and queues
-   * @returns {Promise<void>}
+   * Register a function that migrates payloads one version forward
+   * Upcasters run when events are delivered or read from history, so
+   * stored events never need rewriting. They must be synchronous.
+   * @param {string} eventName - Event name
+   * @param {number} fromVersion - Version the upcaster reads
+   * @param {Function} upcaster - (data, event) => data for fromVersion + 1
    */
-  async reset() {
-    this.queues.clear();
-    this.history.clear();
-    
-    // Only remove event listeners, keep system listeners
-    const eventNames = this.eventNames().filter(name => !name.startsWith('system:'));
-    for (const eventName of eventNames) {
-      this.removeAllListeners(eventName);
+  registerUpcaster(eventName, fromVersion, upcaster) {
+    if (typeof upcaster !== 'function') {
+      throw new CoreError(
+        'INVALID_UPCASTER',
+        `Upcaster for ${eventName} must be a function`
+      );
     }
-    
-    // Record metric
-    this.recordMetric('eventbus.reset', 1);
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      throw new CoreError(
+        'INVALID_UPCASTER',
+        `Upcaster version for ${eventName} must be a positive integer, got ${fromVersion}`
+      );
+    }
+
+    const upcasters = this.upcasters.get(eventName) || new Map();
+    if (upcasters.has(fromVersion)) {
+      throw new CoreError(
+        'DUPLICATE_UPCASTER',
+        `Upcaster from version ${fromVersion} for ${eventName} is already registered`
+      );
+    }
+
+    upcasters.set(fromVersion, upcaster);
+    this.upcasters.set(eventName, upcasters);
   }
 
   /**
-   * Shutdown the event bus
-   * @returns {Promise<void>}
+   * Current version of an event: the highest schema version or the
+   * highest version upcasters lead to, 1 when neither exists
+   * @param {string} eventName - Event name
+   * @returns {number} - Latest version
    */
-  async shutdown() {
-    if (!this.initialized) return;
+  getLatestVersion(eventName) {
+    const schemaVersions = this.schemas.get(eventName)?.keys() || [];
+    const upcastVersions = Array.from(this.upcasters.get(eventName)?.keys() || [], v => v + 1);
 
-    try {
-      this.state.status = 'shutting_down';
-      await this.reset();
+    return Math.max(1, ...schemaVersions, ...upcastVersions);
+  }
+
+  /**
+   * Migrate an event to a version by chaining upcasters
+   * Events already at or past the version are returned unchanged; there
+   * is no downcasting. The original event is never modified.
+   * @param {Object} event - Event object
+   * @param {number} [version] - Target version, latest when omitted
+   * @returns {Object} - Event with migrated data and version
+   */
+  upcast(event, version) {
+    const target = version ?? this.getLatestVersion(event.name);
+    // Events recorded before versioning count as version 1
+    let current = event.version ?? 1;
+
+    if (current >= target) {
+      return event;
+    }
+
+    const upcasters = this.upcasters.get(event.name);
+    let data = event.data;
+
+    while (current < target) {
+      const upcaster = upcasters?.get(current);
+      if (!upcaster) {
+        throw new CoreError(
+          'MISSING_UPCASTER',
+          `No upcaster for ${event.name} from version ${current}`,
+          { eventName: event.name, version: current, target }
+        );
+      }
+
+      data = upcaster(data, event);
+      current++;
+    }
+
+    return { ...event, data, version: current };
+  }
+
+  /**
+   * Check that upcasters lead from one version of an event to another
+   * @private
+   * @param {string} eventName - Event name
+   * @param {number} from - Version of the payload
+   * @param {number} to - Version it is read at
+   * @returns {boolean}
+   */
+  hasUpcastPath(eventName, from, to) {
+    const upcasters = this.upcasters.get(eventName);
+    for (let version = from; version < to; version++) {
+      if (!upcasters?.has(version)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Make sure an event can be upcast to the latest version before it is
+   * stored, so one that subscribers could not be given is never kept or
+   * forwarded either
+   * @private
+   * @param {string} eventName - Event name
+   * @param {number} version - Version of the payload
+   */
+  checkUpcastPath(eventName, version) {
+    const target = this.getLatestVersion(eventName);
+    if (!this.hasUpcastPath(eventName, version, target)) {
+      throw new CoreError(
+        'MISSING_UPCASTER',
+        `No upcasters lead ${eventName} from version ${version} to ${target}`,
+        { eventName, version, target }
+      );
+    }
+  }
+
+  /**
+   * Event as history reads return it: upcast to the version, or as
+   * stored when no upcasters lead there, so one old event cannot make a
+   * whole read fail
+   * @private
+   * @param {Object} event - Event as stored
+   * @param {number} [version] - Target version, latest when omitted
+   */
+  readEvent(event, version) {
+    const target = version ?? this.getLatestVersion(event.name);
+    return this.hasUpcastPath(event.name, event.version ?? 1, target)
+      ? this.upcast(event, target)
+      : event;
+  }
+
+  /**
+   * Event as a subscription sees it: pinned to its version, or the latest
+   * @private
+   * @param {Object} subscription - Subscription or responder record
+   * @param {Object} event - Event as emitted
+   * @param {Object} latest - Event upcast to the latest version
+   */
+  eventFor(subscription, event, latest) {
+    const version = subscription.options?.version;
+    return version === undefined ? latest : this.upcast(event, version);
+  }
+
+  /**
+   * Add middleware that runs for every event
+   * Middleware defines one or both stages, each called with
+   * (event, { stage, bus }) in the order middleware was added:
+   * - beforeEmit: before the event is stored in history, queued or
+   *   delivered; changes are kept in history
+   * - beforeDeliver: before listeners and subscribers are called, on a copy
+   *   of the stored envelope, once per delivery (queued events when the
+   *   queue is processed)
+   * - afterEmit: once the event is stored in history, once per event,
+   *   including received events; it sees the stored envelope
+   * A beforeEmit or beforeDeliver stage may change the event in place,
+   * return a replacement event, or return false to cancel it. Stages may
+   * be async. afterEmit is not awaited and cannot change or cancel the
+   * event; its failures are reported through handleError.
+   * @param {Object} middleware - { name?, beforeEmit?, beforeDeliver?, afterEmit? }
+   * @returns {CoreEventBus} - The bus, for chaining
+   */
+  use(middleware) {
+    const stages = ['beforeEmit', 'beforeDeliver', 'afterEmit'];
+    if (!middleware || !stages.some(stage => typeof middleware[stage] === 'function')) {
+      throw new CoreError(
+        'INVALID_MIDDLEWARE',
+        'Middleware must define a beforeEmit, beforeDeliver or afterEmit stage'
+      );
+    }
+
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Check whether any middleware defines a stage
+   * @private
+   * @param {string} stage - 'beforeEmit' or 'beforeDeliver'
+   */
+  hasMiddleware(stage) {
+    return this.middleware.some(middleware => typeof middleware[stage] === 'function');
+  }
+
+  /**
+   * Pass an event through one middleware stage
+   * @private
+   * @param {string} stage - 'beforeEmit' or 'beforeDeliver'
+   * @param {Object} event - Event object
+   * @returns {Promise<Object|null>} - Resulting event, null if cancelled
+   */
+  async runMiddleware(stage, event) {
+    let current = event;
+
+    for (const middleware of this.middleware) {
+      if (typeof middleware[stage] !== 'function') continue;
+
+      const result = await middleware[stage](current, { stage, bus: this });
+
+      if (result === false) {
+        this.recordMetric('eventbus.events.cancelled', 1, {
+          eventName: event.name,
+          stage,
+          middleware: middleware.name
+        });
+        return null;
+      }
+      if (result && typeof result === 'object') {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Pass a stored event to afterEmit middleware without waiting for it
+   * @private
+   * @param {Object} event - Event as stored in history
+   */
+  runAfterEmit(event) {
+    for (const middleware of this.middleware) {
+      if (typeof middleware.afterEmit !== 'function') continue;
+
+      const report = error => this.handleError(error, {
+        method: 'afterEmit',
+        eventName: event.name,
+        middleware: middleware.name
+      }).catch(() => {
+        // Nothing left to report to
+      });
+
+      try {
+        const result = middleware.afterEmit(event, { stage: 'afterEmit', bus: this });
+        if (typeof result?.then === 'function') {
+          result.then(undefined, report);
+        }
+      } catch (error) {
+        report(error);
+      }
+    }
+  }
+
+  /**
+   * Build an event envelope
+   * @private
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data
+   * @param {Object} options - Emission options
+   * @returns {Object} - Event object
+   */
+  createEvent(eventName, data, options = {}) {
+    const id = crypto.randomUUID();
+    // Outside any context the event starts its own chain
+    const context = getEventContext();
+
+    return {
+      id,
+      name: eventName,
+      version: options.version ?? this.getLatestVersion(eventName),
+      correlationId: options.correlationId ?? context?.correlationId ?? id,
+      causationId: options.causationId ?? context?.causationId ?? id,
+      data,
+      timestamp: new Date().toISOString(),
+      metadata: options.metadata || {}
+    };
+  }
+
+  /**
+   * Run one subscription handler and settle its outcome
+   * @private
+   * @param {Object} subscription - Subscription record
+   * @param {Object} event - Event object
+   * @returns {Promise<Object>} - Settled result for the subscription
+   */
+  async invokeSubscription(subscription, event) {
+    const { id: subscriptionId, pattern } = subscription;
+
+    try {
+      const reason = this.gate(subscription, event);
+      if (reason) {
+        return { subscriptionId, pattern, status: 'skipped', reason };
+      }
+
+      const value = await this.runSubscription(subscription, event);
+      return { subscriptionId, pattern, status: 'fulfilled', value };
+    } catch (error) {
+      await this.handleSubscriptionError(error, subscription, event);
+      return { subscriptionId, pattern, status: 'rejected', error };
+    }
+  }
+
+  /**
+   * Report a failed subscription handler without throwing
+   * @private
+   * @param {Error} error - Handler error
+   * @param {Object} subscription - Subscription record
+   * @param {Object} event - Event object
+   */
+  async handleSubscriptionError(error, subscription, event) {
+    try {
+      await this.handleError(error, {
+        method: 'handler',
+        eventName: event.name,
+        eventId: event.id,
+        subscriptionId: subscription.id,
+        pattern: subscription.pattern
+      });
+    } catch {
+      // The failure is already recorded in state.errors; a failing error
+      // system must not turn a handler error into an unhandled rejection
+    }
+  }
+
+  /**
+   * Deliver an event to raw listeners and matching subscriptions
+   * Shared by direct emits and queue processing so both route the same way
+   * @private
+   * @param {Object} event - Event object
+   * @returns {boolean|Promise<boolean>} - Whether the event had listeners,
+   *   as a promise when before-deliver middleware has to run first
+   */
+  deliver(event) {
+    if (!this.hasMiddleware('beforeDeliver')) {
+      return this.dispatch({ event, latest: this.upcast(event) });
+    }
+
+    return this.prepareDelivery(event)
+      .then(delivery => (delivery ? this.dispatch(delivery) : false));
+  }
+
+  /**
+   * Run before-deliver middleware and upcast the result
+   * Middleware works on a copy so the stored envelope stays as emitted
+   * @private
+   * @param {Object} event - Event object
+   * @returns {Promise<Object|null>} - { event, latest }, null if cancelled
+   */
+  async prepareDelivery(event) {
+    let delivered = event;
+
+    if (this.hasMiddleware('beforeDeliver')) {
+      delivered = await this.runMiddleware('beforeDeliver', {
+        ...event,
+        metadata: { ...event.metadata }
+      });
+      if (!delivered) return null;
+    }
+
+    return { event: delivered, latest: this.upcast(delivered) };
+  }
+
+  /**
+   * Call raw listeners and subscription handlers without waiting for them
+   * Handlers run in the event's context, so events they emit are linked
+   * to it
+   * @private
+   * @param {Object} delivery - Result of prepareDelivery()
+   * @returns {boolean} - Whether the event had listeners
+   */
+  dispatch(delivery) {
+    return runWithEventContext(contextForEvent(delivery.event), () => this.dispatchInContext(delivery));
+  }
+
+  /**
+   * Body of dispatch(), run inside the event's context
+   * @private
+   */
+  dispatchInContext({ event, latest }) {
+    const hadListeners = super.emit(event.name, latest);
+
+    // Raw on('*') listeners receive the event name first
+    const hadWildcardListeners = this.listenerCount('*') > 0 &&
+      super.emit('*', event.name, latest);
+
+    const subscriptions = this.matchSubscriptions(event.name);
+    for (const subscription of subscriptions) {
+      const view = this.eventFor(subscription, event, latest);
+
+      let skipped;
+      try {
+        skipped = this.gate(subscription, view);
+      } catch (error) {
+        // A failing filter only keeps the event from its own subscription
+        this.handleSubscriptionError(error, subscription, event);
+        continue;
+      }
+      if (skipped) continue;
+
+      const result = this.runSubscription(subscription, view);
+
+      // emit() does not wait for async handlers, but their rejections are
+      // still reported instead of becoming unhandled
+      if (typeof result?.then === 'function') {
+        result.then(null, error => this.handleSubscriptionError(error, subscription, event));
+      }
+    }
+
+    return hadListeners || hadWildcardListeners || subscriptions.length > 0;
+  }
+
+  /**
+   * Enhanced subscription with pattern matching support
+   * @param {string} pattern - Event pattern, '+' matches one segment and
+   *   '#' (or a trailing '*') any number of trailing segments
+   * @param {Function} handler - Event handler
+   * @param {Object} options - Subscription options
+   * @param {number} [options.version] - Receive payloads upcast to this
+   *   version instead of the latest
+   * @param {Function} [options.filter] - Only events for which
+   *   filter(event) is truthy reach the handler
+   * @param {boolean} [options.once=false] - Unsubscribe after the first
+   *   event reaches the handler
+   * @param {number} [options.priority=0] - Higher priorities are called
+   *   first; equal priorities in subscription order
+   * @param {number} [options.concurrency] - Most handler calls in flight at
+   *   once; further events wait in a buffer
+   * @param {number} [options.bufferSize=1000] - Events that may wait for a
+   *   concurrency slot; beyond this they fail with
+   *   SERVICE_SUBSCRIPTION_BUFFER_FULL
+   * @param {number} [options.throttle] - At most one event per this many
+   *   ms: the first goes through, the latest of the rest when the window ends
+   * @param {number} [options.debounce] - Only the last event of a burst, once
+   *   no other arrived for this many ms
+   * @returns {string} - Subscription ID
+   */
+  subscribe(pattern, handler, options = {}) {
+    try {
+      // Validates the pattern before anything is stored
+      TopicTrie.parse(pattern);
+
+      if (typeof handler !== 'function') {
+        throw new CoreError(
+          'INVALID_HANDLER',
+          `Handler for pattern ${pattern} must be a function`
+        );
+      }
+
+      // Strict mode catches subscriptions to names nobody can emit
+      if (this.strictSchemas && !TopicTrie.isWildcard(pattern) &&
+          !pattern.startsWith('system:') && !this.schemas.has(pattern)) {
+        throw new ValidationError(
+          'UNKNOWN_EVENT',
+          `Event ${pattern} has no registered schema`,
+          { eventName: pattern }
+        );
+      }
+
+      validateSubscriptionOptions(options);
+
+      const subscription = {
+        id: crypto.randomUUID(),
+        pattern,
+        handler,
+        options,
+        priority: options.priority ?? 0,
+        created: new Date().toISOString(),
+        // Handler calls in flight and events waiting for one to finish
+        active: 0,
+        buffer: [],
+        // Event held back by throttle or debounce, and its timer
+        held: null,
+        timer: null
+      };
+
+      this.subscriptions.set(subscription.id, subscription);
+      this.router.add(pattern, subscription);
+
+      // Record metric
+      this.recordMetric('eventbus.subscriptions', 1, {
+        pattern
+      });
+
+      return subscription.id;
+    } catch (error) {
+      this.handleError(error, {
+        method: 'subscribe',
+        pattern,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Unsubscribe from events
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {boolean} - Whether the subscription was removed
+   */
+  unsubscribe(subscriptionId) {
+    try {
+      const responder = this.responders.get(subscriptionId);
+      if (responder) {
+        this.responderRouter.remove(responder.pattern, responder);
+        this.responders.delete(subscriptionId);
+        return true;
+      }
+
+      const subscription = this.subscriptions.get(subscriptionId);
+      if (!subscription) {
+        return false;
+      }
+
+      const { pattern } = subscription;
+
+      this.router.remove(pattern, subscription);
+      this.subscriptions.delete(subscriptionId);
+
+      // Held events are dropped; buffered ones still run
+      if (subscription.timer) {
+        this.clock.clearTimeout(subscription.timer);
+        subscription.timer = null;
+      }
+      subscription.held = null;
+
+      // Record metric
+      this.recordMetric('eventbus.unsubscriptions', 1, {
+        pattern
+      });
+
+      return true;
+    } catch (error) {
+      this.handleError(error, {
+        method: 'unsubscribe',
+        subscriptionId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Subscriptions matching an event name, highest priority first
+   * @private
+   * @param {string} eventName - Event name
+   * @returns {Array} - Subscription records
+   */
+  matchSubscriptions(eventName) {
+    // sort() is stable, so equal priorities keep subscription order
+    return this.router.match(eventName).sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Decide whether an event goes to a subscription's handler now
+   * Throttled and debounced events may be held and delivered later by
+   * releaseHeld()
+   * @private
+   * @param {Object} subscription - Subscription record
+   * @param {Object} event - Event as the subscription sees it
+   * @returns {string|null} - Why the event does not go through now
+   *   ('filter', 'throttle' or 'debounce'), null if it does
+   */
+  gate(subscription, event) {
+    const { filter, throttle, debounce, once } = subscription.options;
+
+    if (filter && !filter(event)) {
+      return 'filter';
+    }
+
+    if (throttle) {
+      if (subscription.timer) {
+        subscription.held = event;
+        return 'throttle';
+      }
+      subscription.timer = this.clock.setTimeout(() => this.releaseHeld(subscription), throttle);
+    }
+
+    if (debounce) {
+      if (subscription.timer) {
+        this.clock.clearTimeout(subscription.timer);
+      }
+      subscription.held = event;
+      subscription.timer = this.clock.setTimeout(() => this.releaseHeld(subscription), debounce);
+      return 'debounce';
+    }
+
+    if (once) {
+      this.unsubscribe(subscription.id);
+    }
+    return null;
+  }
+
+  /**
+   * Deliver the event a throttle or debounce window held back
+   * @private
+   * @param {Object} subscription - Subscription record
+   */
+  releaseHeld(subscription) {
+    const event = subscription.held;
+    subscription.held = null;
+    subscription.timer = null;
+
+    if (!event || !this.subscriptions.has(subscription.id)) return;
+
+    // A throttle window starts with every delivered event
+    const { throttle, once } = subscription.options;
+    if (throttle) {
+      subscription.timer = this.clock.setTimeout(() => this.releaseHeld(subscription), throttle);
+    }
+    if (once) {
+      this.unsubscribe(subscription.id);
+    }
+
+    runWithEventContext(contextForEvent(event), () => {
+      Promise.resolve()
+        .then(() => this.runSubscription(subscription, event))
+        .catch(error => this.handleSubscriptionError(error, subscription, event));
+    });
+  }
+
+  /**
+   * Call a subscription's handler within its concurrency limit
+   * Without a limit the handler is called synchronously, as with emit()
+   * @private
+   * @param {Object} subscription - Subscription record
+   * @param {Object} event - Event as the subscription sees it
+   * @returns {*} - The handler's result, a promise when the event had to
+   *   wait in the buffer
+   */
+  runSubscription(subscription, event) {
+    const { concurrency, bufferSize = DEFAULT_BUFFER_SIZE } = subscription.options;
+
+    if (!concurrency) {
+      return subscription.handler(event);
+    }
+
+    if (subscription.active < concurrency) {
+      return this.startHandler(subscription, event);
+    }
+
+    if (subscription.buffer.length >= bufferSize) {
+      this.recordMetric('eventbus.events.dropped', 1, {
+        eventName: event.name,
+        subscriptionId: subscription.id,
+        pattern: subscription.pattern
+      });
+      return Promise.reject(new ServiceError(
+        'SUBSCRIPTION_BUFFER_FULL',
+        `Subscription to ${subscription.pattern} has ${bufferSize} events waiting`,
+        { subscriptionId: subscription.id, pattern: subscription.pattern, eventId: event.id, bufferSize }
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      subscription.buffer.push({ event, resolve, reject });
+    });
+  }
+
+  /**
+   * Run a handler in one of the subscription's concurrency slots
+   * @private
+   * @param {Object} subscription - Subscription record
+   * @param {Object} event - Event as the subscription sees it
+   * @returns {Promise<*>} - The handler's result
+   */
+  startHandler(subscription, event) {
+    let result;
+    subscription.active++;
+
+    try {
+      result = Promise.resolve(subscription.handler(event));
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    const done = () => {
+      subscription.active--;
+      this.drainBuffer(subscription);
+    };
+    result.then(done, done);
+
+    return result;
+  }
+
+  /**
+   * Start buffered events while the subscription has free slots
+   * @private
+   * @param {Object} subscription - Subscription record
+   */
+  drainBuffer(subscription) {
+    while (subscription.buffer.length > 0 && subscription.active < subscription.options.concurrency) {
+      const { event, resolve, reject } = subscription.buffer.shift();
+      runWithEventContext(contextForEvent(event), () => this.startHandler(subscription, event))
+        .then(resolve, reject);
+    }
+  }
+
+  /**
+   * Register a responder for requests on a topic
+   * The handler receives the request event and its return value (or
+   * rejection) becomes the reply
+   * @param {string} topic - Topic pattern, wildcards as in subscribe()
+   * @param {Function} handler - Request handler
+   * @param {Object} options - Responder options
+   * @returns {string} - Responder ID, removable with unsubscribe()
+   */
+  respond(topic, handler, options = {}) {
+    try {
+      TopicTrie.parse(topic);
+
+      if (typeof handler !== 'function') {
+        throw new CoreError(
+          'INVALID_HANDLER',
+          `Responder for topic ${topic} must be a function`
+        );
+      }
+
+      const responder = {
+        id: crypto.randomUUID(),
+        pattern: topic,
+        handler,
+        options,
+        created: new Date().toISOString()
+      };
+
+      this.responders.set(responder.id, responder);
+      this.responderRouter.add(topic, responder);
+
+      // Record metric
+      this.recordMetric('eventbus.responders', 1, {
+        pattern: topic
+      });
+
+      return responder.id;
+    } catch (error) {
+      this.handleError(error, {
+        method: 'respond',
+        topic,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request and wait for replies
+   * The request is emitted as a normal event, so subscribers can observe
+   * it, with a correlationId in its metadata that ties replies to it
+   * @param {string} topic - Request topic
+   * @param {*} payload - Request data
+   * @param {Object} options - Request options
+   * @param {number} [options.timeout] - Milliseconds to wait for replies
+   * @param {string} [options.mode='single'] - 'single' resolves with the
+   *   first responder's reply, 'all' gathers a reply from every responder
+   * @param {Object} [options.metadata] - Extra event metadata
+   * @param {number} [options.version] - Payload version, latest by default
+   * @returns {Promise<*>} - Reply value ('single') or one result per
+   *   responder ('all')
+   */
+  async request(topic, payload, options = {}) {
+    try {
+      const {
+        timeout = this.requestTimeout,
+        mode = 'single',
+        metadata = {}
+      } = options;
+
+      if (mode !== 'single' && mode !== 'all') {
+        throw new CoreError(
+          'INVALID_MODE',
+          `Request mode must be 'single' or 'all', got ${mode}`
+        );
+      }
+
+      this.validateEvent(topic, payload, options.version);
+
+      const matched = this.responderRouter.match(topic);
+      const responders = mode === 'single' ? matched.slice(0, 1) : matched;
+
+      if (mode === 'single' && responders.length === 0) {
+        throw new NetworkError(
+          'NO_RESPONDER',
+          `No responder registered for ${topic}`,
+          { topic, statusCode: 404 }
+        );
+      }
+
+      const correlationId = crypto.randomUUID();
+      let event = this.createEvent(topic, payload, {
+        version: options.version,
+        metadata: { ...metadata, correlationId }
+      });
+
+      // Only yield for middleware so the pending request is registered
+      // before request() returns when there is none
+      if (this.hasMiddleware('beforeEmit')) {
+        event = await this.runMiddleware('beforeEmit', event);
+      }
+      const delivery = event && (this.hasMiddleware('beforeDeliver')
+        ? await this.prepareDelivery(event)
+        : { event, latest: this.upcast(event) });
+
+      if (!delivery) {
+        throw new CoreError(
+          'EVENT_CANCELLED',
+          `Request ${topic} was cancelled by middleware`,
+          { topic, correlationId }
+        );
+      }
+
+      this.trackEvent(event);
+      this.runAfterEmit(event);
+      this.recordMetric('eventbus.requests', 1, {
+        topic,
+        mode,
+        responders: responders.length
+      });
+
+      this.dispatch(delivery);
+
+      const reply = new Promise((resolve, reject) => {
+        this.pendingRequests.set(correlationId, {
+          topic,
+          mode,
+          timeout,
+          responders,
+          replies: new Map(),
+          resolve,
+          reject,
+          timer: this.clock.setTimeout(() => this.settleRequest(correlationId), timeout)
+        });
+      });
+
+      if (responders.length === 0) {
+        this.settleRequest(correlationId);
+      }
+
+      const context = contextForEvent(delivery.event);
+      for (const responder of responders) {
+        runWithEventContext(context, () => this.invokeResponder(
+          responder,
+          this.eventFor(responder, delivery.event, delivery.latest),
+          correlationId
+        ));
+      }
+
+      return await reply;
+    } catch (error) {
+      await this.handleError(error, {
+        method: 'request',
+        topic,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver a reply to a pending request
+   * Replies arriving after the request settled are dropped
+   * @param {string} correlationId - Correlation ID of the request
+   * @param {Object} reply - { responderId, status, value } or
+   *   { responderId, status: 'rejected', error }
+   * @returns {boolean} - Whether a pending request accepted the reply
+   */
+  reply(correlationId, reply) {
+    const pending = this.pendingRequests.get(correlationId);
+    if (!pending) {
+      return false;
+    }
+
+    pending.replies.set(reply.responderId, reply);
+
+    if (pending.mode === 'single' || pending.replies.size >= pending.responders.length) {
+      this.settleRequest(correlationId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Run a responder and route its outcome back as a reply
+   * @private
+   * @param {Object} responder - Responder record
+   * @param {Object} event - Request event as the responder sees it
+   * @param {string} correlationId - Correlation ID of the request
+   */
+  async invokeResponder(responder, event, correlationId) {
+    const responderId = responder.id;
+
+    try {
+      const value = await responder.handler(event);
+      this.reply(correlationId, { responderId, status: 'fulfilled', value });
+    } catch (error) {
+      this.reply(correlationId, { responderId, status: 'rejected', error });
+    }
+  }
+
+  /**
+   * Resolve or reject a pending request with the replies received so far
+   * @private
+   * @param {string} correlationId - Correlation ID of the request
+   */
+  settleRequest(correlationId) {
+    const pending = this.pendingRequests.get(correlationId);
+    if (!pending) return;
+
+    this.clock.clearTimeout(pending.timer);
+    this.pendingRequests.delete(correlationId);
+
+    const timeoutError = () => new NetworkError(
+      'REQUEST_TIMEOUT',
+      `Request ${pending.topic} timed out after ${pending.timeout}ms`,
+      {
+        topic: pending.topic,
+        correlationId,
+        timeout: pending.timeout,
+        statusCode: 504
+      }
+    );
+
+    if (pending.mode === 'all') {
+      pending.resolve(pending.responders.map(({ id, pattern }) => {
+        const reply = pending.replies.get(id);
+        return reply
+          ? { ...reply, pattern }
+          : { responderId: id, pattern, status: 'rejected', error: timeoutError() };
+      }));
+      return;
+    }
+
+    const [reply] = pending.replies.values();
+    if (!reply) {
+      pending.reject(timeoutError());
+    } else if (reply.status === 'rejected') {
+      pending.reject(reply.error);
+    } else {
+      pending.resolve(reply.value);
+    }
+  }
+
+  /**
+   * Queue events for delayed processing
+   * @param {Object} event - Event object
+   * @param {Object} options - Queue options
+   * @returns {Promise<boolean>} - Whether the event was queued
+   */
+  async queueEvent(event, options = {}) {
+    try {
+      const queue = this.queues.get(event.name) || [];
+      const queueItem = {
+        id: event.id,
+        queue: event.name,
+        event,
+        options,
+        timestamp: new Date().toISOString()
+      };
+
+      // Persist before accepting so a crash cannot lose the event
+      await this.queueStore.append(queueItem);
+
+      queue.push(queueItem);
+      this.queues.set(event.name, queue);
+
+      // Record metric
+      this.recordMetric('eventbus.queued', 1, {
+        eventName: event.name,
+        queueSize: queue.length
+      });
+
+      // Process queue if immediate
+      if (options.immediate) {
+        await this.processQueue(event.name);
+      }
+      
+      return true;
+    } catch (error) {
+      await this.handleError(error, {
+        method: 'queueEvent',
+        event,
+        options
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Process queued events
+   * @param {string} queueName - Queue name
+   * @returns {Promise<number>} - Number of processed events
+   */
+  async processQueue(queueName) {
+    try {
+      const queue = this.queues.get(queueName) || [];
+      let processedCount = 0;
+      
+      const startTime = Date.now();
+      
+      while (queue.length > 0) {
+        const item = queue.shift();
+
+        if (await this.deliverQueued(item)) {
+          await this.queueStore.ack(item.id);
+          processedCount++;
+        }
+      }
+
+      this.queues.set(queueName, queue);
+
+      // Record metrics
+      this.recordMetric('eventbus.queue.processed', processedCount, {
+        queueName,
+        processingTime: Date.now() - startTime
+      });
+
+      return processedCount;
+    } catch (error) {
+      await this.handleError(error, {
+        method: 'processQueue',
+        queueName
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver a queued event under its queue's retry policy
+   * Subscription handlers are awaited so async failures are retried too;
+   * every attempt runs all handlers again. An event that fails every
+   * attempt moves to the dead-letter queue.
+   * @private
+   * @param {Object} item - Queue item
+   * @returns {Promise<boolean>} - Whether the event was delivered
+   */
+  async deliverQueued(item) {
+    const { event } = item;
+    const policy = this.getRetryPolicy(item.queue ?? event.name);
+    const history = [];
+
+    for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+      try {
+        await this.deliverAwaited(event);
+        return true;
+      } catch (error) {
+        history.push({
+          attempt,
+          error: serializeError(error),
+          timestamp: new Date().toISOString()
+        });
+
+        if (attempt === policy.attempts) {
+          await this.deadLetter(item, error, history);
+          return false;
+        }
+
+        this.recordMetric('eventbus.queue.retried', attempt, {
+          eventName: event.name
+        });
+        await new Promise(resolve =>
+          this.clock.setTimeout(resolve, getRetryDelay(policy, attempt))
+        );
+      }
+    }
+  }
+
+  /**
+   * Deliver an event and wait for async subscription handlers
+   * @private
+   * @param {Object} event - Event object
+   */
+  async deliverAwaited(event) {
+    const delivery = await this.prepareDelivery(event);
+    if (!delivery) return;
+
+    const { latest } = delivery;
+    const context = contextForEvent(delivery.event);
+
+    runWithEventContext(context, () => {
+      super.emit(event.name, latest);
+      if (this.listenerCount('*') > 0) {
+        super.emit('*', event.name, latest);
+      }
+    });
+
+    for (const subscription of this.matchSubscriptions(event.name)) {
+      const view = this.eventFor(subscription, delivery.event, latest);
+      await runWithEventContext(context, () =>
+        (this.gate(subscription, view) ? undefined : this.runSubscription(subscription, view))
+      );
+    }
+  }
+
+  /**
+   * Move a failed queue item to the dead-letter queue
+   * The item stays in the queue store, marked as dead, so it survives a
+   * restart without being redelivered
+   * @private
+   * @param {Object} item - Queue item
+   * @param {Error} error - Error of the last attempt
+   * @param {Array} attempts - Attempt history
+   */
+  async deadLetter(item, error, attempts) {
+    const entry = {
+      ...item,
+      queue: item.queue ?? item.event.name,
+      deadLetter: {
+        error: serializeError(error),
+        attempts,
+        failedAt: new Date().toISOString()
+      }
+    };
+
+    await this.queueStore.append(entry);
+    this.deadLetters.set(entry.id, entry);
+
+    this.recordMetric('eventbus.queue.deadlettered', 1, {
+      eventName: entry.event.name,
+      attempts: attempts.length
+    });
+
+    try {
+      await this.handleError(error, {
+        method: 'processQueue',
+        queueName: entry.queue,
+        event: entry.event,
+        attempts: attempts.length
+      });
+    } catch {
+      // Recorded in state.errors; the rest of the queue still gets processed
+    }
+  }
+
+  /**
+   * Set the retry policy for a queue
+   * @param {string} queueName - Queue name
+   * @param {Object} policy - Retry policy
+   * @param {number} [policy.attempts=1] - Deliveries before dead-lettering
+   * @param {number} [policy.backoff=0] - Delay in ms before the first retry
+   * @param {number} [policy.factor=2] - Backoff multiplier per attempt
+   * @param {number} [policy.maxDelay=30000] - Upper bound for one delay
+   * @param {number} [policy.jitter=0] - Random spread of each delay, 0 to 1
+   */
+  setRetryPolicy(queueName, policy) {
+    this.retryPolicies.set(queueName, normalizeRetryPolicy(policy));
+  }
+
+  /**
+   * Get the retry policy that applies to a queue
+   * @param {string} queueName - Queue name
+   * @returns {Object} - Retry policy
+   */
+  getRetryPolicy(queueName) {
+    return this.retryPolicies.get(queueName) || this.defaultRetryPolicy;
+  }
+
+  /**
+   * List dead letters
+   * @param {Object} filter - Optional filter
+   * @param {string} [filter.id] - Dead letter (event) ID
+   * @param {string} [filter.queue] - Queue name
+   * @returns {Array} - Entries with event, options and
+   *   deadLetter: { error, attempts, failedAt }
+   */
+  getDeadLetters(filter = {}) {
+    return Array.from(this.deadLetters.values()).filter(entry =>
+      (filter.id === undefined || entry.id === filter.id) &&
+      (filter.queue === undefined || entry.queue === filter.queue)
+    );
+  }
+
+  /**
+   * Put dead letters back at the end of their queues
+   * They are delivered by the next processQueue() call
+   * @param {Object} filter - Same filter as getDeadLetters()
+   * @returns {Promise<number>} - Number of requeued events
+   */
+  async requeueDeadLetters(filter = {}) {
+    const entries = this.getDeadLetters(filter);
+
+    for (const entry of entries) {
+      const { deadLetter, ...item } = entry;
+
+      await this.queueStore.append(item);
+      this.deadLetters.delete(entry.id);
+
+      const queue = this.queues.get(item.queue) || [];
+      queue.push(item);
+      this.queues.set(item.queue, queue);
+    }
+
+    this.recordMetric('eventbus.deadletters.requeued', entries.length);
+    return entries.length;
+  }
+
+  /**
+   * Drop dead letters for good
+   * @param {Object} filter - Same filter as getDeadLetters()
+   * @returns {Promise<number>} - Number of purged events
+   */
+  async purgeDeadLetters(filter = {}) {
+    const entries = this.getDeadLetters(filter);
+
+    for (const entry of entries) {
+      await this.queueStore.ack(entry.id);
+      this.deadLetters.delete(entry.id);
+    }
+
+    this.recordMetric('eventbus.deadletters.purged', entries.length);
+    return entries.length;
+  }
+
+  /**
+   * Emit an event on a cron schedule
+   * @param {string} cron - Five-field cron expression, e.g. '0 2 * * *'
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data, the same for every run
+   * @param {Object} options - Emission options for every run
+   * @param {boolean} [options.utc=false] - Evaluate the expression in UTC
+   *   instead of local time
+   * @returns {Promise<string>} - Schedule ID
+   */
+  async schedule(cron, eventName, data, options = {}) {
+    try {
+      const { utc = false, ...emitOptions } = options;
+      const dueAt = nextCronTime(parseCron(cron), this.clock.now(), { utc });
+
+      const id = await this.addSchedule(eventName, data, emitOptions, { cron, utc, dueAt });
+
+      this.recordMetric('eventbus.schedules', 1, {
+        eventName,
+        cron
+      });
+
+      return id;
+    } catch (error) {
+      await this.handleError(error, {
+        method: 'schedule',
+        cron,
+        eventName
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a delayed event or a cron schedule
+   * @param {string} scheduleId - ID returned by emit() or schedule()
+   * @returns {Promise<boolean>} - Whether a schedule was removed
+   */
+  async cancelSchedule(scheduleId) {
+    if (!this.schedules.has(scheduleId)) {
+      return false;
+    }
+
+    this.clock.clearTimeout(this.scheduleTimers.get(scheduleId));
+    this.scheduleTimers.delete(scheduleId);
+    this.schedules.delete(scheduleId);
+    await this.queueStore.ack(scheduleId);
+
+    return true;
+  }
+
+  /**
+   * List pending delayed events and cron schedules
+   * @returns {Array} - { id, name, cron, recurring, nextRun }
+   */
+  getSchedules() {
+    return Array.from(this.schedules.values()).map(item => ({
+      id: item.id,
+      name: item.queue,
+      cron: item.scheduled.cron ?? null,
+      recurring: Boolean(item.scheduled.cron),
+      nextRun: new Date(item.scheduled.dueAt).toISOString()
+    }));
+  }
+
+  /**
+   * Schedule a single delayed emit
+   * @private
+   * @returns {Promise<string>} - Schedule ID
+   */
+  async scheduleDelayed(eventName, data, options) {
+    const { delay: wait, at, ...emitOptions } = options;
+    const dueAt = at !== undefined
+      ? new Date(at).getTime()
+      : this.clock.now() + wait;
+
+    if (!Number.isFinite(dueAt) || (at === undefined && !(wait >= 0))) {
+      throw new CoreError(
+        'INVALID_SCHEDULE',
+        `Delay must be a non-negative number of ms or at a valid time for ${eventName}`
+      );
+    }
+
+    // The delayed event stays in the chain it was emitted from, also
+    // after a restart
+    const context = getEventContext();
+    const id = await this.addSchedule(eventName, data, {
+      correlationId: context?.correlationId,
+      causationId: context?.causationId,
+      ...emitOptions
+    }, { dueAt });
+
+    this.recordMetric('eventbus.events.delayed', 1, {
+      eventName,
+      dueAt
+    });
+
+    return id;
+  }
+
+  /**
+   * Persist a schedule and arm its timer
+   * Schedules live in the queue store next to queued events, marked with
+   * `scheduled`, so a durable store keeps them across restarts
+   * @private
+   */
+  async addSchedule(eventName, data, options, scheduled) {
+    const item = {
+      id: crypto.randomUUID(),
+      queue: eventName,
+      event: { name: eventName, data },
+      options,
+      timestamp: new Date(this.clock.now()).toISOString(),
+      scheduled
+    };
+
+    await this.queueStore.append(item);
+    this.schedules.set(item.id, item);
+    this.armSchedule(item);
+
+    return item.id;
+  }
+
+  /**
+   * Start the timer for a schedule's next run
+   * @private
+   */
+  armSchedule(item) {
+    this.clock.clearTimeout(this.scheduleTimers.get(item.id));
+
+    const wait = Math.min(Math.max(0, item.scheduled.dueAt - this.clock.now()), MAX_TIMER_DELAY);
+    const handle = this.clock.setTimeout(() => this.runSchedule(item.id), wait);
+
+    this.scheduleTimers.set(item.id, handle);
+  }
+
+  /**
+   * Emit a due schedule, then re-arm or remove it
+   * A cron schedule whose runs were missed while the bus was down runs
+   * once on start and then continues from the current time
+   * @private
+   */
+  async runSchedule(scheduleId) {
+    const item = this.schedules.get(scheduleId);
+    if (!item) return;
+
+    if (this.clock.now() < item.scheduled.dueAt) {
+      this.armSchedule(item);
+      return;
+    }
+
+    this.scheduleTimers.delete(scheduleId);
+
+    try {
+      // Each cron run starts its own chain instead of joining whatever
+      // context armed the timer
+      await runWithEventContext(undefined, () =>
+        this.emit(item.event.name, item.event.data, item.options)
+      );
+    } catch {
+      // emit() has already reported the error; the schedule carries on
+    }
+
+    try {
+      if (item.scheduled.cron) {
+        item.scheduled.dueAt = nextCronTime(item.scheduled.cron, this.clock.now(), {
+          utc: item.scheduled.utc
+        });
+        await this.queueStore.append(item);
+        this.armSchedule(item);
+      } else {
+        this.schedules.delete(scheduleId);
+        await this.queueStore.ack(scheduleId);
+      }
+    } catch (error) {
+      try {
+        await this.handleError(error, { method: 'runSchedule', scheduleId });
+      } catch {
+        // Recorded in state.errors
+      }
+    }
+  }
+
+  /**
+   * Rebuild the in-memory queues, dead letters and schedules from the
+   * queue store
+   * Restored events are delivered by the next processQueue() call; overdue
+   * schedules run right away
+   * @private
+   * @returns {Promise<number>} - Number of restored events
+   */
+  async restoreQueues() {
+    const items = await this.queueStore.load();
+
+    // Events queued before initialize() are in the store as well
+    const queued = new Set();
+    for (const queue of this.queues.values()) {
+      for (const item of queue) queued.add(item.id);
+    }
+
+    for (const item of items) {
+      if (item.deadLetter) {
+        this.deadLetters.set(item.id, item);
+        continue;
+      }
+
+      if (item.scheduled) {
+        if (!this.schedules.has(item.id)) {
+          this.schedules.set(item.id, item);
+          this.armSchedule(item);
+        }
+        continue;
+      }
+
+      if (queued.has(item.id)) continue;
+
+      const queue = this.queues.get(item.queue) || [];
+      queue.push(item);
+      this.queues.set(item.queue, queue);
+    }
+
+    if (items.length > 0) {
+      this.recordMetric('eventbus.queue.restored', items.length);
+    }
+
+    return items.length;
+  }
+
+  /**
+   * Process all queued events
+   * @returns {Promise<Object>} - Processing results
+   */
+  async processAllQueues() {
+    try {
+      const results = {};
+      const queueNames = Array.from(this.queues.keys());
+      
+      for (const queueName of queueNames) {
+        results[queueName] = await this.processQueue(queueName);
+      }
+      
+      return results;
+    } catch (error) {
+      await this.handleError(error, {
+        method: 'processAllQueues'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Track events in history
+   * @param {Object} event - Event object
+   */
+  trackEvent(event) {
+    const evicted = this.eventLog.append(event);
+
+    // The oldest event in the log is also the oldest of its name
+    if (evicted) {
+      const named = this.history.get(evicted.event.name);
+      if (named?.[named.length - 1] === evicted.event) {
+        named.pop();
+        if (named.length === 0) {
+          this.history.delete(evicted.event.name);
+        }
+      }
+    }
+
+    const history = this.history.get(event.name) || [];
+    history.unshift(event);
+
+    // Trim history if needed
+    if (history.length > this.maxHistorySize) {
+      history.pop();
+    }
+
+    this.history.set(event.name, history);
+    
+    // Record metric
+    this.recordMetric('eventbus.history.size', history.length, {
+      eventName: event.name
+    });
+  }
+
+  /**
+   * Get event history
+   * @param {string} eventName - Event name
+   * @param {Object} options - History options
+   * @param {number} [options.limit] - Newest events to return
+   * @param {number} [options.version] - Upcast to this version instead of
+   *   the latest
+   * @returns {Array} - Event history
+   */
+  getHistory(eventName, options = {}) {
+    const history = this.history.get(eventName) || [];
+    const events = options.limit && options.limit > 0
+      ? history.slice(0, options.limit)
+      : history;
+
+    // History keeps events as emitted; readers get the requested shape
+    return events.map(event => this.readEvent(event, options.version));
+  }
+
+  /**
+   * Query the global event log, oldest first
+   * Names and patterns select events by name (either may match); all
+   * other filters must match as well
+   * @param {Object} query - Query options
+   * @param {string|string[]} [query.names] - Exact event names
+   * @param {string|string[]} [query.patterns] - Subscription-style patterns
+   * @param {Date|number|string} [query.from] - Emitted at or after this time
+   * @param {Date|number|string} [query.to] - Emitted before this time
+   * @param {Object} [query.metadata] - Metadata values that must be equal
+   * @param {string} [query.correlationId] - Correlation ID of the events
+   * @param {number} [query.limit=100] - Page size
+   * @param {string} [query.cursor] - nextCursor of the previous page
+   * @param {number} [query.version] - Upcast to this version instead of
+   *   the latest
+   * @returns {Object} - { events, nextCursor }; events carry their
+   *   `sequence` in the log, nextCursor is null on the last page
+   */
+  queryHistory(query = {}) {
+    const { metadata, correlationId, limit = 100, cursor, version } = query;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new CoreError(
+        'INVALID_QUERY',
+        `History query limit must be a positive integer, got ${limit}`
+      );
+    }
+    if (cursor != null && !/^\d+$/.test(String(cursor))) {
+      throw new CoreError('INVALID_QUERY', `Invalid history cursor ${cursor}`);
+    }
+
+    const from = parseQueryTime(query.from, 'from');
+    const to = parseQueryTime(query.to, 'to');
+    const names = query.names === undefined ? null : new Set([].concat(query.names));
+
+    let patterns = null;
+    if (query.patterns !== undefined) {
+      patterns = new TopicTrie();
+      for (const pattern of [].concat(query.patterns)) {
+        patterns.add(pattern, pattern);
+      }
+    }
+
+    const matches = event => {
+      if (names || patterns) {
+        const named = names?.has(event.name) || patterns?.match(event.name).length > 0;
+        if (!named) return false;
+      }
+
+      const time = Date.parse(event.timestamp);
+      if ((from !== null && time < from) || (to !== null && time >= to)) {
+        return false;
+      }
+
+      if (correlationId !== undefined && event.correlationId !== correlationId) {
+        return false;
+      }
+
+      return !metadata || Object.entries(metadata)
+        .every(([key, value]) => event.metadata?.[key] === value);
+    };
+
+    const events = [];
+    let nextCursor = null;
+
+    for (const { sequence, event } of this.eventLog.entries(Number(cursor ?? 0))) {
+      if (!matches(event)) continue;
+
+      // One match past the page means there is another page
+      if (events.length === limit) {
+        nextCursor = String(events[events.length - 1].sequence);
+        break;
+      }
+
+      events.push({ ...this.readEvent(event, version), sequence });
+    }
+
+    return { events, nextCursor };
+  }
+
+  /**
+   * Get all event history
+   * @param {Object} options - History options
+   * @returns {Object} - All event history
+   */
+  getAllHistory(options = {}) {
+    const result = {};
+    
+    for (const eventName of this.history.keys()) {
+      result[eventName] = this.getHistory(eventName, options);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Clear history and queues
+   * @param {Object} options - Reset options
+   * @param {boolean} [options.purgeQueueStore=true] - Also drop persisted
+   *   queue items; shutdown keeps them for the next start
+   * @returns {Promise<void>}
+   */
+  async reset(options = {}) {
+    const { purgeQueueStore = true } = options;
+
+    this.queues.clear();
+    this.deadLetters.clear();
+
+    for (const handle of this.scheduleTimers.values()) {
+      this.clock.clearTimeout(handle);
+    }
+    this.scheduleTimers.clear();
+    this.schedules.clear();
+
+    if (purgeQueueStore) {
+      await this.queueStore.clear();
+    }
+    this.history.clear();
+    this.eventLog.clear();
+    
+    // Only remove event listeners, keep system listeners
+    const eventNames = this.eventNames().filter(name => !name.startsWith('system:'));
+    for (const eventName of eventNames) {
+      this.removeAllListeners(eventName);
+    }
+
+    for (const [id, subscription] of [...this.subscriptions, ...this.responders]) {
+      if (!subscription.pattern.startsWith('system:')) {
+        this.unsubscribe(id);
+      }
+    }
+    
+    // Record metric
+    this.recordMetric('eventbus.reset', 1);
+  }
+
+  /**
+   * Shutdown the event bus
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (!this.initialized) return;
+
+    try {
+      this.state.status = 'shutting_down';
+
+      // Fail requests that can no longer be answered
+      for (const [correlationId, pending] of this.pendingRequests) {
+        this.clock.clearTimeout(pending.timer);
+        this.pendingRequests.delete(correlationId);
+        pending.reject(new ServiceError(
+          'SHUTDOWN',
+          `Event bus shut down before ${pending.topic} was answered`,
+          { topic: pending.topic, correlationId }
+        ));
+      }
+
+      await this.reset({ purgeQueueStore: false });
+      await this.queueStore.close();
       this.initialized = false;
       this.state.status = 'shutdown';
       
@@ -553,8 +2229,12 @@ export class CoreEventBus extends EventEmitter {
         timestamp: new Date().toISOString()
       });
       
-      // Remove all remaining listeners
+      // Remove all remaining listeners and subscriptions
       this.removeAllListeners();
+      this.subscriptions.clear();
+      this.router.clear();
+      this.responders.clear();
+      this.responderRouter.clear();
       
       // Record metric
       this.recordMetric('eventbus.shutdown', 1);
@@ -566,6 +2246,123 @@ export class CoreEventBus extends EventEmitter {
   }
 }
 
+/**
+ * Create the queue store described by config.eventQueue
+ * @private
+ * @param {Object} [config] - { store: 'memory' | 'file', path }
+ */
+function createQueueStore(config = {}) {
+  if (config.store === 'file') {
+    return new FileQueueStore({ path: config.path });
+  }
+  return new MemoryQueueStore();
+}
+
+/**
+ * Fill in retry policy defaults and validate it
+ * @private
+ */
+function normalizeRetryPolicy(policy = {}) {
+  const normalized = {
+    attempts: 1,
+    backoff: 0,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: 0,
+    ...policy
+  };
+
+  if (!Number.isInteger(normalized.attempts) || normalized.attempts < 1) {
+    throw new CoreError(
+      'INVALID_RETRY_POLICY',
+      `Retry attempts must be a positive integer, got ${normalized.attempts}`
+    );
+  }
+  if (normalized.jitter < 0 || normalized.jitter > 1) {
+    throw new CoreError(
+      'INVALID_RETRY_POLICY',
+      `Retry jitter must be between 0 and 1, got ${normalized.jitter}`
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Check the options passed to subscribe()
+ * @private
+ */
+function validateSubscriptionOptions(options) {
+  const invalid = message => new CoreError('INVALID_SUBSCRIPTION_OPTIONS', message);
+
+  if (options.filter !== undefined && typeof options.filter !== 'function') {
+    throw invalid('Subscription filter must be a function');
+  }
+  if (options.priority !== undefined && !Number.isFinite(options.priority)) {
+    throw invalid(`Subscription priority must be a number, got ${options.priority}`);
+  }
+  if (options.concurrency !== undefined &&
+      !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+    throw invalid(`Subscription concurrency must be a positive integer, got ${options.concurrency}`);
+  }
+  if (options.bufferSize !== undefined &&
+      !(Number.isInteger(options.bufferSize) && options.bufferSize >= 0)) {
+    throw invalid(`Subscription bufferSize must be a non-negative integer, got ${options.bufferSize}`);
+  }
+  for (const name of ['throttle', 'debounce']) {
+    const value = options[name];
+    if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+      throw invalid(`Subscription ${name} must be a positive number of ms, got ${value}`);
+    }
+  }
+  if (options.throttle !== undefined && options.debounce !== undefined) {
+    throw invalid('Subscription cannot both throttle and debounce');
+  }
+}
+
+/**
+ * Exponential backoff before the next attempt, spread by jitter
+ * @private
+ */
+function getRetryDelay(policy, attempt) {
+  const base = Math.min(policy.backoff * policy.factor ** (attempt - 1), policy.maxDelay);
+  const spread = base * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(base + spread));
+}
+
+/**
+ * Plain, storable copy of an error
+ * @private
+ */
+function serializeError(error) {
+  return {
+    name: error?.name,
+    code: error?.code,
+    message: error?.message ?? String(error)
+  };
+}
+
+/**
+ * Parse a from/to bound of a history query
+ * @private
+ * @returns {number|null} - Epoch milliseconds, null when not set
+ */
+function parseQueryTime(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const time = new Date(value).getTime();
+  if (!Number.isFinite(time)) {
+    throw new CoreError(
+      'INVALID_QUERY',
+      `History query ${field} must be a valid time, got ${value}`
+    );
+  }
+
+  return time;
+}
+
 // Factory function for container
 export function createEventBus(deps = {}) {
   return new CoreEventBus(deps);
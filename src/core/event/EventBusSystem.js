@@ -2,7 +2,15 @@
 
 import { EventEmitter } from 'events';
 import { CoreEventBus } from './EventBus.js';
+import { EventStore } from './EventStore.js';
+import { FileEventStore } from './stores/index.js';
+import { TcpTransport } from './transports/index.js';
 import { CoreError } from '../errors/Error.js';
+import { NetworkError } from '../errors/index.js';
+
+// Remembered IDs of received events, to drop duplicates and find where
+// an event came from when relaying it
+const MAX_RECEIVED_EVENTS = 10000;
 
 export class EventBusSystem extends EventEmitter {
   static dependencies = ['errorSystem', 'config'];
@@ -11,7 +19,15 @@ export class EventBusSystem extends EventEmitter {
     super();
     this.deps = deps;
     this.eventBus = null;
+    this.eventStore = null;
     this.initialized = false;
+
+    // Cross-process delivery; nodeId tells this system's events apart
+    this.nodeId = crypto.randomUUID();
+    this.transports = new Set();
+    this.receivedEvents = new Map();
+    this.forwarding = false;
+    this.brokerTransport = null;
   }
 
   async initialize() {
@@ -24,6 +40,22 @@ export class EventBusSystem extends EventEmitter {
       this.eventBus = new CoreEventBus(this.deps);
       await this.eventBus.initialize();
 
+      // Event-sourced modules keep their streams next to the bus
+      this.eventStore = this.deps.eventStore || createEventStore(this.deps.config?.eventStore);
+      await this.eventStore.load();
+
+      // config.eventBroker ({ host, port }) joins the bus to a TcpBroker
+      const broker = this.deps.config?.eventBroker;
+      if (broker && !this.brokerTransport) {
+        this.brokerTransport = new TcpTransport(broker);
+        this.transports.add(this.brokerTransport);
+      }
+
+      this.forwarding = false;
+      for (const transport of this.transports) {
+        await this.connectTransport(transport);
+      }
+
       this.initialized = true;
       this.emit('system:initialized', {
         timestamp: new Date().toISOString()
@@ -50,11 +82,132 @@ export class EventBusSystem extends EventEmitter {
     return this.eventBus;
   }
 
+  getEventStore() {
+    if (!this.initialized) {
+      throw new CoreError('NOT_INITIALIZED', 'EventBusSystem is not initialized');
+    }
+    return this.eventStore;
+  }
+
+  /**
+   * Connect the bus to other processes or threads
+   * Events emitted on this bus are sent over every transport, and
+   * events arriving from one are delivered here and relayed to the other
+   * transports. An event is never sent back to where it came from.
+   * Transports added before initialize() connect when it runs.
+   * @param {Object} transport - { connect(receive), send(message), close() }
+   */
+  async addTransport(transport) {
+    if (['connect', 'send', 'close'].some(method => typeof transport?.[method] !== 'function')) {
+      throw new CoreError(
+        'INVALID_TRANSPORT',
+        'Transport must implement connect(), send() and close()'
+      );
+    }
+
+    if (this.transports.has(transport)) return;
+
+    this.transports.add(transport);
+    if (this.initialized) {
+      await this.connectTransport(transport);
+    }
+  }
+
+  /**
+   * Disconnect a transport
+   * @param {Object} transport - Transport passed to addTransport()
+   * @returns {Promise<boolean>} - Whether the transport was added
+   */
+  async removeTransport(transport) {
+    if (!this.transports.delete(transport)) {
+      return false;
+    }
+
+    await transport.close();
+    return true;
+  }
+
+  /**
+   * Start receiving from a transport and forwarding to it
+   * @private
+   */
+  async connectTransport(transport) {
+    // Each event is forwarded once, as stored in history, however often
+    // it is delivered here
+    if (!this.forwarding) {
+      this.eventBus.use({
+        name: 'transport',
+        afterEmit: event => this.forwardEvent(event)
+      });
+      this.forwarding = true;
+    }
+
+    await transport.connect(message => this.receiveMessage(transport, message));
+  }
+
+  /**
+   * Send an event emitted or received here to the transports it did not
+   * come from
+   * @private
+   */
+  forwardEvent(event) {
+    if (event.name.startsWith('system:')) return;
+
+    const received = this.receivedEvents.get(event.id);
+    const message = { origin: received?.origin ?? this.nodeId, event };
+
+    for (const transport of this.transports) {
+      if (transport === received?.transport) continue;
+
+      Promise.resolve()
+        .then(() => transport.send(message))
+        .catch(error => this.handleError(
+          error instanceof CoreError
+            ? error
+            : new NetworkError('TRANSPORT_SEND_FAILED', `Failed to forward ${event.name}`, {}, { cause: error }),
+          { method: 'forwardEvent', eventName: event.name }
+        ))
+        .catch(() => {
+          // Nothing left to report to
+        });
+    }
+  }
+
+  /**
+   * Deliver an event that arrived over a transport
+   * @private
+   */
+  async receiveMessage(transport, message) {
+    const { origin, event } = message || {};
+
+    // Never deliver an event back to the system that sent it, nor twice
+    if (!this.eventBus?.initialized || origin === this.nodeId || !event ||
+        this.receivedEvents.has(event.id)) {
+      return;
+    }
+
+    this.receivedEvents.set(event.id, { origin, transport });
+    if (this.receivedEvents.size > MAX_RECEIVED_EVENTS) {
+      this.receivedEvents.delete(this.receivedEvents.keys().next().value);
+    }
+
+    try {
+      await this.eventBus.receive(event);
+    } catch {
+      // The bus has already reported the error
+    }
+  }
+
   async shutdown() {
     if (!this.initialized) return;
 
     try {
+      for (const transport of this.transports) {
+        await transport.close();
+      }
+
       await this.eventBus.shutdown();
+      await this.eventStore.close();
       this.initialized = false;
       this.emit('system:shutdown', {
         timestamp: new Date().toISOString()
@@ -66,6 +219,18 @@ export class EventBusSystem extends EventEmitter {
   }
 }
 
+/**
+ * Create the event store selected by config.eventStore
+ * @private
+ */
+function createEventStore(config = {}) {
+  const options = { snapshotEvery: config.snapshotEvery };
+  if (config.store === 'file') {
+    return new FileEventStore({ ...options, path: config.path });
+  }
+  return new EventStore(options);
+}
+
 // Factory function for container
 export function createEventBusSystem(deps = {}) {
   return new EventBusSystem(deps);
@@ -0,0 +1,48 @@
+// src/core/event/EventContext.js
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Trace context for cascades of events
+ *
+ * A context holds two IDs:
+ * - correlationId: shared by everything done for one HTTP request, or for
+ *   one event emitted outside any request
+ * - causationId: the request or event that directly caused the current work
+ *
+ * Events emitted inside a context copy both IDs onto their envelope, and
+ * handlers run inside a context whose causationId is the ID of the event
+ * they handle, so the events they emit point back to it.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Current trace context
+ * @returns {Object|undefined} - { correlationId, causationId }
+ */
+export function getEventContext() {
+  return storage.getStore();
+}
+
+/**
+ * Run a function inside a trace context
+ * @param {Object|undefined} context - { correlationId, causationId }, or
+ *   undefined to run outside any context
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+export function runWithEventContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Context in which the handlers of an event run
+ * @param {Object} event - Event object
+ * @returns {Object} - { correlationId, causationId }
+ */
+export function contextForEvent(event) {
+  return {
+    correlationId: event.correlationId ?? event.id,
+    causationId: event.id
+  };
+}
@@ -0,0 +1,94 @@
+// src/core/event/EventLog.js
+
+/**
+ * Global, sequence-numbered log of emitted events
+ *
+ * Every appended event gets the next sequence number, so the log is in
+ * emission order across all event names. With a finite capacity the log
+ * is a ring buffer: once full, each append overwrites the oldest entry.
+ * Sequence numbers keep counting after entries are evicted or the log is
+ * cleared, so a cursor never points at a different event.
+ */
+export class EventLog {
+  /**
+   * @param {Object} options - Log options
+   * @param {number} [options.capacity=Infinity] - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity ?? Infinity;
+    this.buffer = [];
+    this.start = 0;
+    this.length = 0;
+    this.sequence = 0;
+  }
+
+  /**
+   * Number of stored entries
+   */
+  get size() {
+    return this.length;
+  }
+
+  /**
+   * Sequence number of the oldest stored entry, or null when empty
+   */
+  get firstSequence() {
+    return this.length > 0 ? this.at(0).sequence : null;
+  }
+
+  /**
+   * Add an event
+   * @param {Object} event - Event object
+   * @returns {Object|null} - Evicted entry, { sequence, event }, if the log
+   *   was full
+   */
+  append(event) {
+    const entry = { sequence: ++this.sequence, event };
+
+    if (this.length < this.capacity) {
+      this.buffer[(this.start + this.length) % this.capacity] = entry;
+      this.length++;
+      return null;
+    }
+
+    const evicted = this.buffer[this.start];
+    this.buffer[this.start] = entry;
+    this.start = (this.start + 1) % this.capacity;
+
+    return evicted;
+  }
+
+  /**
+   * Iterate entries in sequence order
+   * @param {number} [after=0] - Only entries with a higher sequence number
+   * @returns {Iterable<Object>} - { sequence, event } entries
+   */
+  *entries(after = 0) {
+    if (this.length === 0) return;
+
+    // Sequence numbers are contiguous, so the first entry is found directly
+    const offset = Math.max(0, after - this.firstSequence + 1);
+
+    for (let i = offset; i < this.length; i++) {
+      yield this.at(i);
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.buffer = [];
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Entry at a position counted from the oldest
+   * @private
+   * @param {number} index - Position
+   */
+  at(index) {
+    return this.buffer[(this.start + index) % this.capacity];
+  }
+}
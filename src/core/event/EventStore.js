@@ -0,0 +1,349 @@
+// src/core/event/EventStore.js
+
+import { CoreError } from '../errors/Error.js';
+import { ConfigError } from '../errors/index.js';
+import { getEventContext } from './EventContext.js';
+import { WriteChain } from './stores/logFile.js';
+
+/**
+ * Append-only event store for event-sourced state
+ *
+ * Events live in streams, usually one per aggregate ('stock-item-42').
+ * Every stored event gets the next version of its stream, starting at 1.
+ * A writer passes the version its decision was based on as
+ * `expectedVersion`; if another write got in first, the append fails with
+ * CONCURRENCY_CONFLICT and nothing is stored.
+ *
+ * State is rebuilt with replay(streamId, reducer). A snapshot of the state
+ * at some version lets replay() skip the events before it; with
+ * `snapshotEvery` set, replay() saves one whenever that many events were
+ * applied since the last.
+ *
+ * This class keeps everything in memory. Durable stores extend it and
+ * override restore() and persist().
+ */
+export class EventStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} [options.snapshotEvery=0] - Events between automatic
+   *   snapshots, 0 to only save snapshots explicitly
+   */
+  constructor(options = {}) {
+    const snapshotEvery = options.snapshotEvery ?? 0;
+    if (!Number.isInteger(snapshotEvery) || snapshotEvery < 0) {
+      throw new ConfigError(
+        'INVALID_SNAPSHOT_INTERVAL',
+        `snapshotEvery must be a non-negative integer, got ${snapshotEvery}`
+      );
+    }
+
+    this.snapshotEvery = snapshotEvery;
+    this.streams = new Map();
+    this.snapshots = new Map();
+    this.loading = null;
+    this.writes = new WriteChain();
+  }
+
+  /**
+   * Restore stored streams and snapshots
+   * Called by every other method, so calling it up front is optional
+   * @returns {Promise<void>}
+   */
+  load() {
+    this.loading ||= this.restore().catch(error => {
+      // Let the next call try again
+      this.loading = null;
+      throw error;
+    });
+    return this.loading;
+  }
+
+  /**
+   * Append events to a stream
+   * Events get correlation and causation IDs from the current event
+   * context, like events emitted on the bus
+   * @param {string} streamId - Stream ID
+   * @param {Object|Object[]} events - { name, data, metadata? } per event
+   * @param {Object} options - Append options
+   * @param {number} [options.expectedVersion] - Version the stream must be
+   *   at, 0 for a stream that must not exist yet; not checked when omitted
+   * @returns {Promise<Object>} - { streamId, version, events } with the
+   *   new stream version and the stored events
+   */
+  async append(streamId, events, options = {}) {
+    const { expectedVersion } = options;
+    const list = [].concat(events);
+
+    validateStreamId(streamId);
+    if (list.length === 0 || list.some(event => typeof event?.name !== 'string' || !event.name)) {
+      throw new CoreError(
+        'INVALID_EVENT',
+        `Events appended to ${streamId} must each have a name`,
+        { streamId }
+      );
+    }
+    if (expectedVersion !== undefined && !(Number.isInteger(expectedVersion) && expectedVersion >= 0)) {
+      throw new CoreError(
+        'INVALID_EXPECTED_VERSION',
+        `expectedVersion must be a non-negative integer, got ${expectedVersion}`,
+        { streamId }
+      );
+    }
+
+    await this.load();
+    const context = getEventContext();
+
+    // The check and the write run in the write queue, so no other append
+    // can get between them
+    return this.write(async () => {
+      const current = this.streams.get(streamId)?.length ?? 0;
+
+      if (expectedVersion !== undefined && expectedVersion !== current) {
+        const error = new CoreError(
+          'CONCURRENCY_CONFLICT',
+          `Stream ${streamId} is at version ${current}, expected ${expectedVersion}`,
+          { streamId, expectedVersion, actualVersion: current }
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const timestamp = new Date().toISOString();
+      const records = list.map((event, index) => {
+        const id = crypto.randomUUID();
+        return Object.freeze({
+          id,
+          streamId,
+          version: current + index + 1,
+          name: event.name,
+          data: event.data,
+          metadata: event.metadata || {},
+          timestamp,
+          correlationId: context?.correlationId ?? id,
+          causationId: context?.causationId ?? id
+        });
+      });
+
+      const change = { op: 'append', records };
+      await this.persist(change);
+      this.apply(change);
+
+      return { streamId, version: current + records.length, events: records };
+    });
+  }
+
+  /**
+   * Read the events of a stream in version order
+   * Returned events are shared with the store and must not be modified
+   * @param {string} streamId - Stream ID
+   * @param {Object} options - Read options
+   * @param {number} [options.fromVersion=1] - First version to return
+   * @param {number} [options.toVersion] - Last version to return
+   * @returns {Promise<Array>} - Stored events
+   */
+  async readStream(streamId, options = {}) {
+    const { fromVersion = 1, toVersion } = options;
+
+    await this.load();
+    const stream = this.streams.get(streamId) || [];
+
+    return stream.slice(Math.max(0, fromVersion - 1), toVersion);
+  }
+
+  /**
+   * Current version of a stream
+   * @param {string} streamId - Stream ID
+   * @returns {Promise<number>} - Version of the last event, 0 if none
+   */
+  async getVersion(streamId) {
+    await this.load();
+    return this.streams.get(streamId)?.length ?? 0;
+  }
+
+  /**
+   * Rebuild state by folding a stream's events
+   * Starts from the latest snapshot if there is one
+   * @param {string} streamId - Stream ID
+   * @param {Function} reducer - (state, event) => state, may be async
+   * @param {Object} options - Replay options
+   * @param {*} [options.initialState] - State before the first event
+   * @param {boolean} [options.useSnapshot=true] - Start from the snapshot
+   * @returns {Promise<Object>} - { state, version }; pass version as
+   *   expectedVersion when appending the events this state leads to
+   */
+  async replay(streamId, reducer, options = {}) {
+    const { initialState, useSnapshot = true } = options;
+
+    if (typeof reducer !== 'function') {
+      throw new CoreError(
+        'INVALID_REDUCER',
+        `Reducer for stream ${streamId} must be a function`,
+        { streamId }
+      );
+    }
+
+    const snapshot = useSnapshot ? await this.getSnapshot(streamId) : null;
+    let state = snapshot ? snapshot.state : initialState;
+    let version = snapshot?.version ?? 0;
+
+    for (const event of await this.readStream(streamId, { fromVersion: version + 1 })) {
+      state = await reducer(state, event);
+      version = event.version;
+    }
+
+    const snapshotVersion = this.snapshots.get(streamId)?.version ?? 0;
+    if (this.snapshotEvery > 0 && version - snapshotVersion >= this.snapshotEvery) {
+      await this.saveSnapshot(streamId, state, version);
+    }
+
+    return { state, version };
+  }
+
+  /**
+   * Store the state of a stream at a version
+   * Only the latest snapshot per stream is kept. The state must be
+   * JSON-serializable for durable stores.
+   * @param {string} streamId - Stream ID
+   * @param {*} state - State after applying the event at version
+   * @param {number} version - Stream version the state reflects
+   * @returns {Promise<Object>} - The stream's latest snapshot
+   */
+  async saveSnapshot(streamId, state, version) {
+    await this.load();
+
+    return this.write(async () => {
+      const current = this.streams.get(streamId)?.length ?? 0;
+
+      if (!Number.isInteger(version) || version < 1 || version > current) {
+        throw new CoreError(
+          'INVALID_SNAPSHOT',
+          `Snapshot version of ${streamId} must be between 1 and ${current}, got ${version}`,
+          { streamId, version }
+        );
+      }
+
+      const existing = this.snapshots.get(streamId);
+      if (existing && existing.version >= version) {
+        return existing;
+      }
+
+      const snapshot = {
+        streamId,
+        version,
+        state: structuredClone(state),
+        timestamp: new Date().toISOString()
+      };
+
+      const change = { op: 'snapshot', snapshot };
+      await this.persist(change);
+      this.apply(change);
+
+      return snapshot;
+    });
+  }
+
+  /**
+   * Latest snapshot of a stream
+   * @param {string} streamId - Stream ID
+   * @returns {Promise<Object|null>} - { streamId, version, state, timestamp }
+   */
+  async getSnapshot(streamId) {
+    await this.load();
+    const snapshot = this.snapshots.get(streamId);
+
+    // A copy, so reducers can change the state they are given
+    return snapshot ? { ...snapshot, state: structuredClone(snapshot.state) } : null;
+  }
+
+  /**
+   * Drop the snapshot of a stream, e.g. after its reducer changed
+   * @param {string} streamId - Stream ID
+   * @returns {Promise<boolean>} - Whether there was a snapshot
+   */
+  async deleteSnapshot(streamId) {
+    await this.load();
+
+    return this.write(async () => {
+      if (!this.snapshots.has(streamId)) {
+        return false;
+      }
+
+      const change = { op: 'deleteSnapshot', streamId };
+      await this.persist(change);
+      this.apply(change);
+      return true;
+    });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writes.drain();
+  }
+
+  /**
+   * Load stored changes; durable stores override this
+   * @returns {Promise<void>}
+   */
+  async restore() {}
+
+  /**
+   * Store one change before it is applied in memory; durable stores
+   * override this
+   * @param {Object} change - { op: 'append', records },
+   *   { op: 'snapshot', snapshot } or { op: 'deleteSnapshot', streamId }
+   * @returns {Promise<void>}
+   */
+  async persist(change) {}
+
+  /**
+   * Apply a stored change in memory
+   * @param {Object} change - Change passed to persist()
+   */
+  apply(change) {
+    if (change.op === 'append') {
+      this.addRecords(change.records);
+    } else if (change.op === 'snapshot') {
+      this.snapshots.set(change.snapshot.streamId, change.snapshot);
+    } else if (change.op === 'deleteSnapshot') {
+      this.snapshots.delete(change.streamId);
+    }
+  }
+
+  /**
+   * Add stored events to their streams
+   * @private
+   * @param {Array} records - Events with streamId and version
+   */
+  addRecords(records) {
+    for (const record of records) {
+      if (!this.streams.has(record.streamId)) {
+        this.streams.set(record.streamId, []);
+      }
+      this.streams.get(record.streamId).push(record);
+    }
+  }
+
+  /**
+   * Run writes one at a time, in call order
+   * @private
+   * @param {Function} operation - Async write
+   */
+  write(operation) {
+    return this.writes.run(operation);
+  }
+}
+
+/**
+ * Check that a stream ID is usable
+ * @private
+ */
+function validateStreamId(streamId) {
+  if (typeof streamId !== 'string' || streamId.length === 0) {
+    throw new CoreError(
+      'INVALID_STREAM',
+      `Stream ID must be a non-empty string, got ${String(streamId)}`
+    );
+  }
+}
@@ -0,0 +1,162 @@
+// src/core/event/SchemaValidator.js
+
+/**
+ * Validator for the subset of JSON Schema used by event schemas
+ *
+ * Supported keywords: type (single or list), enum, const, properties,
+ * required, additionalProperties, items, minItems, maxItems, minLength,
+ * maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * anyOf and oneOf. Unknown keywords are ignored.
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @returns {Array<{field: string, message: string}>} - Field-level errors;
+ *   empty when the value is valid. Fields are paths such as
+ *   'items[0].sku', the payload itself is ''
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+}
+
+/**
+ * @private
+ */
+function check(schema, value, field, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  const label = field || 'payload';
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ field, message: `${label} must be of type ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push({ field, message: `${label} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push({ field, message: `${label} must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `${label} must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `${label} must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `${label} must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `${label} must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `${label} must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ field, message: `${label} must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ field, message: `${label} must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `${label} must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `${label} must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: join(field, name), message: `${join(field, name)} is required` });
+      }
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      if (value[name] !== undefined) {
+        check(propertySchema, value[name], join(field, name), errors);
+      }
+    }
+
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      for (const name of Object.keys(value)) {
+        if (name in properties) continue;
+
+        if (schema.additionalProperties === false) {
+          errors.push({ field: join(field, name), message: `${join(field, name)} is not allowed` });
+        } else {
+          check(schema.additionalProperties, value[name], join(field, name), errors);
+        }
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(option, value).length === 0)) {
+    errors.push({ field, message: `${label} must match at least one allowed schema` });
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(option, value).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ field, message: `${label} must match exactly one allowed schema` });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @private
+ */
+function join(field, name) {
+  return field ? `${field}.${name}` : name;
+}
@@ -0,0 +1,208 @@
+// src/core/event/TopicTrie.js
+
+import { CoreError } from '../errors/Error.js';
+
+/**
+ * Segment-aware topic router
+ *
+ * Topics are split on '.' into segments. Patterns support MQTT-style
+ * wildcards:
+ * - '+' matches exactly one segment ('user.+' matches 'user.created')
+ * - '#' matches any number of trailing segments, including none, and must
+ *   be the last segment ('user.#' matches 'user', 'user.created' and
+ *   'user.profile.updated')
+ *
+ * The legacy '*' wildcard is still accepted: as the last segment it acts
+ * like '#', anywhere else like '+'.
+ *
+ * Matching walks the trie once per topic segment, so its cost depends on
+ * the depth of the topic, not on the number of subscriptions.
+ */
+export class TopicTrie {
+  constructor() {
+    this.root = createNode();
+    this.order = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Number of stored items
+   */
+  get size() {
+    return this.order.size;
+  }
+
+  /**
+   * Split a pattern into normalized segments
+   * @param {string} pattern - Subscription pattern
+   * @returns {string[]} - Segments with legacy '*' mapped to '+' or '#'
+   */
+  static parse(pattern) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw new CoreError(
+        'INVALID_PATTERN',
+        `Pattern must be a non-empty string, got ${String(pattern)}`
+      );
+    }
+
+    const segments = pattern.split('.');
+
+    return segments.map((segment, index) => {
+      const last = index === segments.length - 1;
+
+      if (segment === '*') {
+        return last ? '#' : '+';
+      }
+      if (segment === '#' && !last) {
+        throw new CoreError(
+          'INVALID_PATTERN',
+          `'#' must be the last segment in pattern ${pattern}`
+        );
+      }
+      if (segment !== '+' && segment !== '#' && /[+#*]/.test(segment)) {
+        throw new CoreError(
+          'INVALID_PATTERN',
+          `Wildcards must fill a whole segment in pattern ${pattern}`
+        );
+      }
+
+      return segment;
+    });
+  }
+
+  /**
+   * Check whether a pattern contains wildcards
+   * @param {string} pattern - Subscription pattern
+   */
+  static isWildcard(pattern) {
+    return TopicTrie.parse(pattern).some(segment => segment === '+' || segment === '#');
+  }
+
+  /**
+   * Store an item under a pattern
+   * @param {string} pattern - Subscription pattern
+   * @param {*} item - Item returned by match()
+   */
+  add(pattern, item) {
+    let node = this.root;
+
+    for (const segment of TopicTrie.parse(pattern)) {
+      if (segment === '#') {
+        node.multi.add(item);
+        this.order.set(item, this.sequence++);
+        return;
+      }
+      if (segment === '+') {
+        node.single ||= createNode();
+        node = node.single;
+      } else {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, createNode());
+        }
+        node = node.children.get(segment);
+      }
+    }
+
+    node.items.add(item);
+    this.order.set(item, this.sequence++);
+  }
+
+  /**
+   * Remove an item stored under a pattern
+   * @param {string} pattern - Pattern the item was added with
+   * @param {*} item - Item to remove
+   * @returns {boolean} - Whether the item was found
+   */
+  remove(pattern, item) {
+    const segments = TopicTrie.parse(pattern);
+    const multi = segments[segments.length - 1] === '#';
+    const path = [];
+    let node = this.root;
+
+    for (const segment of multi ? segments.slice(0, -1) : segments) {
+      const next = segment === '+' ? node.single : node.children.get(segment);
+      if (!next) return false;
+
+      path.push({ parent: node, segment, node: next });
+      node = next;
+    }
+
+    const removed = multi ? node.multi.delete(item) : node.items.delete(item);
+    if (!removed) return false;
+
+    this.order.delete(item);
+
+    // Prune branches left empty
+    for (let i = path.length - 1; i >= 0; i--) {
+      const { parent, segment, node: child } = path[i];
+      if (!isEmpty(child)) break;
+
+      if (segment === '+') {
+        parent.single = null;
+      } else {
+        parent.children.delete(segment);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Find all items whose pattern matches a topic
+   * @param {string} topic - Concrete topic, e.g. 'user.created'
+   * @returns {Array} - Matching items in the order they were added
+   */
+  match(topic) {
+    const segments = String(topic).split('.');
+    const matches = new Set();
+
+    const walk = (node, index) => {
+      for (const item of node.multi) matches.add(item);
+
+      if (index === segments.length) {
+        for (const item of node.items) matches.add(item);
+        return;
+      }
+
+      const child = node.children.get(segments[index]);
+      if (child) walk(child, index + 1);
+      if (node.single) walk(node.single, index + 1);
+    };
+
+    walk(this.root, 0);
+
+    return Array.from(matches).sort((a, b) => this.order.get(a) - this.order.get(b));
+  }
+
+  /**
+   * Remove every item
+   */
+  clear() {
+    this.root = createNode();
+    this.order.clear();
+  }
+}
+
+/**
+ * Create an empty trie node
+ * @private
+ */
+function createNode() {
+  return {
+    children: new Map(),
+    single: null,
+    items: new Set(),
+    multi: new Set()
+  };
+}
+
+/**
+ * Check whether a node holds nothing
+ * @private
+ */
+function isEmpty(node) {
+  return node.children.size === 0 &&
+    !node.single &&
+    node.items.size === 0 &&
+    node.multi.size === 0;
+}
@@ -0,0 +1,95 @@
+// src/core/event/stores/FileEventStore.js
+
+import { appendFile, truncate } from 'fs/promises';
+import { ConfigError, ServiceError } from '../../errors/index.js';
+import { EventStore } from '../EventStore.js';
+import { directoryOnce, readLogFile } from './logFile.js';
+
+/**
+ * File-backed event store
+ *
+ * Every change is appended to a JSON-lines log and never rewritten:
+ *   {"op":"append","records":[...]}
+ *   {"op":"snapshot","snapshot":{...}}
+ *   {"op":"deleteSnapshot","streamId":"..."}
+ *
+ * The whole log is read into memory on load, so this store suits tests and
+ * small deployments that do not want a database. Event data and snapshot
+ * state must be JSON-serializable.
+ */
+export class FileEventStore extends EventStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Log file, created on first write
+   * @param {number} [options.snapshotEvery=0] - See EventStore
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new ConfigError('MISSING_PATH', 'FileEventStore requires a path');
+    }
+
+    super(options);
+    this.path = options.path;
+    this.ensureDirectory = directoryOnce(this.path);
+  }
+
+  /**
+   * Replay the log into memory
+   */
+  async restore() {
+    let log;
+
+    try {
+      log = await readLogFile(this.path);
+    } catch (error) {
+      throw new ServiceError(
+        'EVENT_STORE_READ_FAILED',
+        `Failed to read event store ${this.path}`,
+        { path: this.path },
+        { cause: error }
+      );
+    }
+
+    // A write torn by a crash is cut off, so the next append starts on a
+    // line of its own
+    if (log.torn) {
+      await this.guard(() => truncate(this.path, log.size));
+    }
+
+    for (const change of log.records) {
+      if (change.op === 'append') {
+        change.records = change.records.map(record => Object.freeze(record));
+      }
+      this.apply(change);
+    }
+  }
+
+  /**
+   * Append a change to the log
+   * @param {Object} change - Change to store
+   */
+  async persist(change) {
+    await this.guard(async () => {
+      await this.ensureDirectory();
+      await appendFile(this.path, JSON.stringify(change) + '\n');
+    });
+  }
+
+  /**
+   * Report a failed file operation as a ServiceError
+   * @private
+   * @param {Function} operation - Async file operation
+   */
+  async guard(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      throw new ServiceError(
+        'EVENT_STORE_WRITE_FAILED',
+        `Failed to write event store ${this.path}`,
+        { path: this.path },
+        { cause: error }
+      );
+    }
+  }
+}
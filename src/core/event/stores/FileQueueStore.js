@@ -0,0 +1,150 @@
+// src/core/event/stores/FileQueueStore.js
+
+import { appendFile, rename, writeFile } from 'fs/promises';
+import { ConfigError, ServiceError } from '../../errors/index.js';
+import { WriteChain, directoryOnce, readLogFile } from './logFile.js';
+
+/**
+ * Append-only, file-backed queue store
+ *
+ * Every change is appended to a JSON-lines log:
+ *   {"op":"enqueue","item":{...}}
+ *   {"op":"ack","id":"..."}
+ *   {"op":"clear"}
+ *
+ * load() replays the log to find the items that were never acknowledged and
+ * compacts the file down to them, so the log only grows between restarts.
+ * Queued event data must be JSON-serializable.
+ */
+export class FileQueueStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Log file, created on first write
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new ConfigError('MISSING_PATH', 'FileQueueStore requires a path');
+    }
+
+    this.path = options.path;
+    this.pending = new Map();
+    this.writes = new WriteChain();
+    this.ensureDirectory = directoryOnce(this.path);
+  }
+
+  /**
+   * Replay the log and compact it
+   * @returns {Promise<Array>} - Unacknowledged items in enqueue order
+   */
+  async load() {
+    let log;
+
+    try {
+      log = await readLogFile(this.path);
+    } catch (error) {
+      throw new ServiceError(
+        'QUEUE_STORE_READ_FAILED',
+        `Failed to read queue store ${this.path}`,
+        { path: this.path },
+        { cause: error }
+      );
+    }
+
+    this.pending.clear();
+
+    // Compacting also drops a write torn by a crash
+    for (const record of log.records) {
+      if (record.op === 'enqueue') {
+        this.pending.set(record.item.id, record.item);
+      } else if (record.op === 'ack') {
+        this.pending.delete(record.id);
+      } else if (record.op === 'clear') {
+        this.pending.clear();
+      }
+    }
+
+    await this.compact();
+
+    return Array.from(this.pending.values());
+  }
+
+  /**
+   * Persist a queued item
+   * @param {Object} item - Queue item
+   */
+  async append(item) {
+    this.pending.set(item.id, item);
+    await this.write(async () => {
+      await appendFile(this.path, JSON.stringify({ op: 'enqueue', item }) + '\n');
+    });
+  }
+
+  /**
+   * Mark an item as delivered
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>} - Whether the item was pending
+   */
+  async ack(id) {
+    if (!this.pending.delete(id)) {
+      return false;
+    }
+
+    await this.write(async () => {
+      await appendFile(this.path, JSON.stringify({ op: 'ack', id }) + '\n');
+    });
+    return true;
+  }
+
+  /**
+   * Drop every item
+   */
+  async clear() {
+    this.pending.clear();
+    await this.write(async () => {
+      await appendFile(this.path, JSON.stringify({ op: 'clear' }) + '\n');
+    });
+  }
+
+  /**
+   * Rewrite the log with only the pending items
+   * Written to a temporary file first so a crash never leaves a partial log
+   */
+  async compact() {
+    await this.write(async () => {
+      const temporary = `${this.path}.tmp`;
+      const lines = Array.from(this.pending.values())
+        .map(item => JSON.stringify({ op: 'enqueue', item }) + '\n');
+
+      await writeFile(temporary, lines.join(''));
+      await rename(temporary, this.path);
+    });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writes.drain();
+  }
+
+  /**
+   * Run file operations one at a time, in call order
+   * @private
+   * @param {Function} operation - Async file operation
+   */
+  write(operation) {
+    return this.writes.run(async () => {
+      try {
+        await this.ensureDirectory();
+        await operation();
+      } catch (error) {
+        throw new ServiceError(
+          'QUEUE_STORE_WRITE_FAILED',
+          `Failed to write queue store ${this.path}`,
+          { path: this.path },
+          { cause: error }
+        );
+      }
+    });
+  }
+}
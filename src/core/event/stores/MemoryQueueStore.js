@@ -0,0 +1,40 @@
+// src/core/event/stores/MemoryQueueStore.js
+
+/**
+ * In-memory queue store, the default for CoreEventBus
+ *
+ * A queue store persists queued items so they survive a restart. Every
+ * store implements:
+ * - load(): resolve with the items never acknowledged, in enqueue order
+ * - append(item): persist a queued item ({ id, queue, event, options, timestamp });
+ *   appending an existing id replaces that item
+ * - ack(id): mark an item as delivered
+ * - clear(): drop every item
+ * - close(): flush pending writes
+ *
+ * This store keeps items only as long as the instance lives, which is what
+ * tests want. Sharing one instance between two buses simulates a restart.
+ */
+export class MemoryQueueStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async load() {
+    return Array.from(this.items.values());
+  }
+
+  async append(item) {
+    this.items.set(item.id, item);
+  }
+
+  async ack(id) {
+    return this.items.delete(id);
+  }
+
+  async clear() {
+    this.items.clear();
+  }
+
+  async close() {}
+}
@@ -0,0 +1,5 @@
+// src/core/event/stores/index.js
+
+export { MemoryQueueStore } from './MemoryQueueStore.js';
+export { FileQueueStore } from './FileQueueStore.js';
+export { FileEventStore } from './FileEventStore.js';
@@ -0,0 +1,79 @@
+// src/core/event/stores/logFile.js
+
+import { mkdir, readFile } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Runs writes one at a time, in call order
+ */
+export class WriteChain {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Queue a write behind the ones already running
+   * @param {Function} operation - Async write
+   * @returns {Promise<*>} - Result of the write
+   */
+  run(operation) {
+    const result = this.tail.then(operation);
+    // Keep the chain alive after a failed write
+    this.tail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Wait for every queued write, whether it succeeds or not
+   * @returns {Promise<void>}
+   */
+  drain() {
+    return this.tail;
+  }
+}
+
+/**
+ * Read the records of a JSON-lines log
+ * A write torn by a crash leaves a last line without its newline; it is
+ * left out, and everything before it is intact. A missing file reads as
+ * empty; other read errors are thrown as is.
+ * @param {string} path - Log file
+ * @returns {Promise<Object>} - { records, torn, size }: parsed records in
+ *   file order, whether a torn write was found, and the size in bytes of
+ *   the intact lines
+ */
+export async function readLogFile(path) {
+  let content = '';
+
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const intact = content.slice(0, content.lastIndexOf('\n') + 1);
+  const records = [];
+
+  for (const line of intact.split('\n')) {
+    if (!line.trim()) continue;
+
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A damaged line; the lines around it are still read
+    }
+  }
+
+  return { records, torn: intact.length < content.length, size: Buffer.byteLength(intact) };
+}
+
+/**
+ * Create a function that makes a file's directory the first time it is
+ * called and returns the same promise after that
+ * @param {string} path - File that needs its directory
+ * @returns {Function} - Resolves once the directory exists
+ */
+export function directoryOnce(path) {
+  let created = null;
+  return () => (created ||= mkdir(dirname(path), { recursive: true }));
+}
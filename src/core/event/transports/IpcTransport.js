@@ -0,0 +1,106 @@
+// src/core/event/transports/IpcTransport.js
+
+import { ConfigError, NetworkError } from '../../errors/index.js';
+
+/**
+ * Messages of this transport are wrapped with this channel name, so other
+ * messages on the same port or IPC channel are left alone
+ */
+const CHANNEL = 'tsmis:eventbus';
+
+/**
+ * Event bus transport over a worker_threads port or a child_process IPC
+ * channel
+ *
+ * The port is whatever leads to the other side:
+ * - in the parent: the Worker, or the ChildProcess created with an IPC
+ *   channel (fork())
+ * - in a worker: parentPort; in a child process: process
+ * - a MessagePort of a MessageChannel
+ *
+ * Ports with postMessage() use the structured clone algorithm, IPC
+ * channels JSON (unless the child was forked with
+ * serialization: 'advanced'), so event data should be JSON-serializable.
+ */
+export class IpcTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Object} options.port - Worker, MessagePort, ChildProcess or process
+   */
+  constructor(options = {}) {
+    const { port } = options;
+
+    if (typeof port?.on !== 'function' ||
+        (typeof port.postMessage !== 'function' && typeof port.send !== 'function')) {
+      throw new ConfigError(
+        'INVALID_PORT',
+        'IpcTransport needs a port with postMessage() or an IPC channel with send()'
+      );
+    }
+
+    this.port = port;
+    this.listener = null;
+  }
+
+  /**
+   * Start listening for messages
+   * @param {Function} receive - Called with every incoming message
+   */
+  connect(receive) {
+    this.close();
+
+    this.listener = envelope => {
+      if (envelope?.channel === CHANNEL) {
+        receive(envelope.message);
+      }
+    };
+    this.port.on('message', this.listener);
+  }
+
+  /**
+   * Send a message to the other side
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>}
+   */
+  send(message) {
+    const envelope = { channel: CHANNEL, message };
+
+    if (typeof this.port.postMessage === 'function') {
+      this.port.postMessage(envelope);
+      return Promise.resolve();
+    }
+
+    // IPC channels report failures to the callback; without one they
+    // would be emitted as an 'error' event
+    return new Promise((resolve, reject) => {
+      try {
+        this.port.send(envelope, error => (error ? reject(sendError(error)) : resolve()));
+      } catch (error) {
+        reject(sendError(error));
+      }
+    });
+  }
+
+  /**
+   * Stop listening for messages
+   */
+  close() {
+    if (this.listener) {
+      this.port.off('message', this.listener);
+      this.listener = null;
+    }
+  }
+}
+
+/**
+ * Wrap a failed IPC send
+ * @private
+ */
+function sendError(error) {
+  return new NetworkError(
+    'IPC_SEND_FAILED',
+    'Failed to send event over IPC channel',
+    {},
+    { cause: error }
+  );
+}
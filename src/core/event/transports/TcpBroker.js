@@ -0,0 +1,201 @@
+// src/core/event/transports/TcpBroker.js
+
+import { EventEmitter } from 'events';
+import { createServer } from 'net';
+import { readFrames, writeFrame } from './frames.js';
+
+/**
+ * Minimal TCP message broker for TcpTransport
+ *
+ * Every message a client publishes is delivered to every other client
+ * the broker knows. The protocol is newline-delimited JSON:
+ *   client -> broker  {"type":"hello","clientId":"..."}
+ *                     {"type":"publish","seq":1,"message":{...}}
+ *                     {"type":"ack","seq":1}
+ *   broker -> client  {"type":"ack","seq":1}
+ *                     {"type":"deliver","seq":1,"message":{...}}
+ *
+ * Both directions are at-least-once: a publish is resent until the broker
+ * acknowledges it, and a delivery until the client does. The broker keeps
+ * a session per clientId, so deliveries made while a client was
+ * disconnected are resent when it reconnects. Sessions of clients that
+ * stay away longer than `sessionTimeout` are dropped.
+ *
+ * Messages only live in memory; restarting the broker loses the ones not
+ * yet delivered.
+ */
+export class TcpBroker extends EventEmitter {
+  /**
+   * @param {Object} options - Broker options
+   * @param {number} [options.port=0] - Port to listen on, 0 for any free port
+   * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+   * @param {number} [options.maxPending=10000] - Unacknowledged deliveries
+   *   kept per client; the oldest are dropped beyond this
+   * @param {number} [options.sessionTimeout=60000] - Milliseconds a
+   *   disconnected client's session is kept
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port ?? 0;
+    this.host = options.host ?? '127.0.0.1';
+    this.maxPending = options.maxPending ?? 10000;
+    this.sessionTimeout = options.sessionTimeout ?? 60000;
+    this.sessions = new Map();
+    this.sockets = new Set();
+    this.server = null;
+  }
+
+  /**
+   * Start accepting clients
+   * @returns {Promise<Object>} - Bound address, { address, family, port }
+   */
+  async listen() {
+    this.server = createServer(socket => this.accept(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    return this.server.address();
+  }
+
+  /**
+   * Disconnect every client and stop listening
+   */
+  async close() {
+    for (const session of this.sessions.values()) {
+      clearTimeout(session.expiry);
+    }
+    this.sessions.clear();
+
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+
+    if (this.server?.listening) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+    }
+    this.server = null;
+  }
+
+  /**
+   * Handle a new connection
+   * @private
+   */
+  accept(socket) {
+    let session = null;
+
+    this.sockets.add(socket);
+    socket.setNoDelay(true);
+
+    readFrames(socket, frame => {
+      if (frame.type === 'hello' && typeof frame.clientId === 'string') {
+        session = this.attach(frame.clientId, socket);
+      } else if (!session) {
+        // Nothing is accepted before hello
+        socket.destroy();
+      } else if (frame.type === 'publish') {
+        this.publish(session, frame);
+      } else if (frame.type === 'ack') {
+        session.pending.delete(frame.seq);
+      }
+    });
+
+    // 'close' follows every error
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      if (session?.socket === socket) {
+        this.detach(session);
+      }
+    });
+  }
+
+  /**
+   * Bind a connection to its client's session and resend what the client
+   * has not acknowledged
+   * @private
+   */
+  attach(clientId, socket) {
+    let session = this.sessions.get(clientId);
+
+    if (!session) {
+      session = {
+        clientId,
+        socket: null,
+        nextSeq: 1,
+        lastPublished: 0,
+        pending: new Map(),
+        expiry: null
+      };
+      this.sessions.set(clientId, session);
+    }
+
+    clearTimeout(session.expiry);
+    if (session.socket && session.socket !== socket) {
+      session.socket.destroy();
+    }
+    session.socket = socket;
+
+    for (const [seq, message] of session.pending) {
+      writeFrame(socket, { type: 'deliver', seq, message });
+    }
+
+    this.emit('client:connected', { clientId });
+    return session;
+  }
+
+  /**
+   * Keep a disconnected client's session for a while
+   * @private
+   */
+  detach(session) {
+    session.socket = null;
+    session.expiry = setTimeout(() => {
+      this.sessions.delete(session.clientId);
+    }, this.sessionTimeout);
+    session.expiry.unref?.();
+
+    this.emit('client:disconnected', { clientId: session.clientId });
+  }
+
+  /**
+   * Fan a published message out to the other clients and acknowledge it
+   * @private
+   */
+  publish(session, { seq, message }) {
+    // A resent publish that already arrived is only acknowledged again
+    if (seq > session.lastPublished) {
+      session.lastPublished = seq;
+
+      for (const other of this.sessions.values()) {
+        if (other !== session) {
+          this.enqueue(other, message);
+        }
+      }
+    }
+
+    writeFrame(session.socket, { type: 'ack', seq });
+  }
+
+  /**
+   * Deliver a message to a client, keeping it until acknowledged
+   * @private
+   */
+  enqueue(session, message) {
+    const seq = session.nextSeq++;
+    session.pending.set(seq, message);
+
+    if (session.pending.size > this.maxPending) {
+      const [oldest] = session.pending.keys();
+      session.pending.delete(oldest);
+      this.emit('message:dropped', { clientId: session.clientId, seq: oldest });
+    }
+
+    writeFrame(session.socket, { type: 'deliver', seq, message });
+  }
+}
@@ -0,0 +1,191 @@
+// src/core/event/transports/TcpTransport.js
+
+import { EventEmitter } from 'events';
+import { connect as connectSocket } from 'net';
+import { ConfigError, NetworkError } from '../../errors/index.js';
+import { readFrames, writeFrame } from './frames.js';
+
+/**
+ * Event bus transport over a TcpBroker
+ *
+ * Every message sent is relayed by the broker to all other connected
+ * transports. Messages are kept in an outbox until the broker acknowledges
+ * them, so messages sent while the broker is unreachable are buffered and
+ * go out, in order, once the transport has reconnected. Reconnect attempts
+ * back off exponentially from `reconnectDelay` up to `maxReconnectDelay`.
+ *
+ * Delivery is at-least-once: after a reconnect a message may arrive twice.
+ * EventBusSystem drops events whose id it has already received.
+ *
+ * Emits 'connected' and 'disconnected' as the broker comes and goes.
+ */
+export class TcpTransport extends EventEmitter {
+  /**
+   * @param {Object} options - Transport options
+   * @param {number} options.port - Broker port
+   * @param {string} [options.host='127.0.0.1'] - Broker host
+   * @param {number} [options.reconnectDelay=100] - First reconnect delay in ms
+   * @param {number} [options.maxReconnectDelay=5000] - Longest reconnect delay in ms
+   * @param {number} [options.maxBufferSize=10000] - Unacknowledged messages
+   *   kept; send() fails beyond this
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+      throw new ConfigError('INVALID_PORT', 'TcpTransport needs the port of a broker');
+    }
+
+    this.host = options.host ?? '127.0.0.1';
+    this.port = options.port;
+    this.reconnectDelay = options.reconnectDelay ?? 100;
+    this.maxReconnectDelay = options.maxReconnectDelay ?? 5000;
+    this.maxBufferSize = options.maxBufferSize ?? 10000;
+
+    // The broker keeps our session by this id across reconnects
+    this.clientId = crypto.randomUUID();
+    this.nextSeq = 1;
+    this.outbox = new Map();
+
+    this.receive = null;
+    this.socket = null;
+    this.connected = false;
+    this.closed = true;
+    this.attempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Start connecting to the broker
+   * Returns right away; messages are buffered until the broker is reached.
+   * @param {Function} receive - Called with every incoming message
+   */
+  connect(receive) {
+    this.receive = receive;
+    if (!this.closed) return;
+
+    this.closed = false;
+    this.attempts = 0;
+    this.open();
+  }
+
+  /**
+   * Send a message to the other transports
+   * Resolves once the message is buffered, not when it is delivered.
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>}
+   */
+  send(message) {
+    if (this.outbox.size >= this.maxBufferSize) {
+      return Promise.reject(new NetworkError(
+        'BROKER_BUFFER_FULL',
+        'Too many messages waiting for the broker',
+        { maxBufferSize: this.maxBufferSize, connected: this.connected }
+      ));
+    }
+
+    const seq = this.nextSeq++;
+    this.outbox.set(seq, message);
+
+    if (this.connected) {
+      writeFrame(this.socket, { type: 'publish', seq, message });
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Disconnect from the broker
+   * Buffered messages are kept and sent if the transport connects again.
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const socket = this.socket;
+    if (!socket) return;
+
+    // Waiting for the broker to end the connection could hold up shutdown
+    // for as long as the network is down. Nothing is lost by cutting it:
+    // unacknowledged publishes stay in the outbox, and the broker
+    // redelivers what this side had not acknowledged.
+    const closed = new Promise(resolve => socket.once('close', resolve));
+    socket.destroy();
+    await closed;
+  }
+
+  /**
+   * Open a connection and resend what the broker has not acknowledged
+   * @private
+   */
+  open() {
+    const socket = connectSocket({ host: this.host, port: this.port });
+    let lastError = null;
+
+    this.socket = socket;
+    socket.setNoDelay(true);
+
+    socket.on('connect', () => {
+      this.attempts = 0;
+      this.connected = true;
+
+      writeFrame(socket, { type: 'hello', clientId: this.clientId });
+      for (const [seq, message] of this.outbox) {
+        writeFrame(socket, { type: 'publish', seq, message });
+      }
+
+      this.emit('connected', { host: this.host, port: this.port });
+    });
+
+    readFrames(socket, frame => this.handleFrame(socket, frame));
+
+    // 'close' follows every error
+    socket.on('error', error => {
+      lastError = error;
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+
+      const wasConnected = this.connected;
+      this.socket = null;
+      this.connected = false;
+
+      if (wasConnected) {
+        this.emit('disconnected', { host: this.host, port: this.port, error: lastError });
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  /**
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.closed) return;
+
+    const delay = Math.min(this.reconnectDelay * 2 ** this.attempts, this.maxReconnectDelay);
+    this.attempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.closed) this.open();
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  handleFrame(socket, frame) {
+    if (frame.type === 'ack') {
+      this.outbox.delete(frame.seq);
+    } else if (frame.type === 'deliver') {
+      // Acknowledge once handled; failures are reported by the receiver.
+      // If the connection drops first the broker delivers it again.
+      Promise.resolve()
+        .then(() => this.receive?.(frame.message))
+        .catch(() => {})
+        .then(() => writeFrame(socket, { type: 'ack', seq: frame.seq }));
+    }
+  }
+}
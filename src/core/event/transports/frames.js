@@ -0,0 +1,51 @@
+// src/core/event/transports/frames.js
+
+// A peer that sends more than this without a newline is cut off
+const MAX_FRAME_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Read newline-delimited JSON frames from a socket
+ * A malformed or oversized frame ends the connection; both sides recover
+ * by reconnecting and resending what was not acknowledged
+ * @param {net.Socket} socket - Connected socket
+ * @param {Function} onFrame - Called with every parsed frame
+ */
+export function readFrames(socket, onFrame) {
+  let buffered = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', chunk => {
+    buffered += chunk;
+
+    let index;
+    while ((index = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, index);
+      buffered = buffered.slice(index + 1);
+      if (!line.trim()) continue;
+
+      let frame;
+      try {
+        frame = JSON.parse(line);
+      } catch {
+        socket.destroy();
+        return;
+      }
+      onFrame(frame);
+    }
+
+    if (buffered.length > MAX_FRAME_SIZE) {
+      socket.destroy();
+    }
+  });
+}
+
+/**
+ * Write a frame if the socket can still take it
+ * @param {net.Socket} socket - Connected socket
+ * @param {Object} frame - JSON-serializable frame
+ */
+export function writeFrame(socket, frame) {
+  if (socket?.writable) {
+    socket.write(JSON.stringify(frame) + '\n');
+  }
+}
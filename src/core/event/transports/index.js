@@ -0,0 +1,17 @@
+// src/core/event/transports/index.js
+
+/**
+ * Transports carry messages between the EventBusSystems of two or more
+ * processes, threads or hosts. Every transport implements:
+ * - connect(receive): start listening and call receive(message) for every
+ *   incoming message; may return a promise
+ * - send(message): deliver a message to the other side; may return a
+ *   promise, which rejects if the message cannot be sent or buffered
+ * - close(): stop listening; may return a promise
+ * Messages are plain, JSON-serializable objects; the transport must not
+ * change them. A transport may deliver a message more than once:
+ * EventBusSystem drops events whose id it has already received.
+ */
+export { IpcTransport } from './IpcTransport.js';
+export { TcpTransport } from './TcpTransport.js';
+export { TcpBroker } from './TcpBroker.js';
@@ -1,5 +1,7 @@
 // tests/core/container/Container.test.js
 
+import { fileURLToPath } from "url";
+import { join } from "path";
 import { CoreContainer } from "../../../src/core/container/Container.js";
 import { ConfigError, ServiceError } from "../../../src/core/errors/index.js";
 
@@ -10,7 +12,15 @@ import { ConfigError, ServiceError } from "../../../src/core/errors/index.js";
  * - Basic Registration: Tests for component and manifest registration.
  * - Component Resolution: Tests for resolving components with and without dependencies.
  * - Dependency Management: Tests for dependency validation and ordering.
+ * - Optional Dependencies, Aliases and Tags: Tests for extended dependency declarations.
+ * - Overrides and Snapshots: Tests for swapping components and restoring container state.
+ * - Hot Replacement: Tests for replacing live components and their dependents.
+ * - Interceptors: Tests for method interception on resolved instances.
+ * - Dependency Graph: Tests for exporting the graph as JSON, DOT and Mermaid.
  * - Lifecycle Management: Tests for initialization and shutdown.
+ * - Disposal Tracking: Tests for disposing transient instances on shutdown.
+ * - Timeouts and Retries: Tests for lifecycle timeouts, retry policies and shutdown deadlines.
+ * - Scoped Containers: Tests for lifetimes, child scopes and scope disposal.
  * - Event Handling: Tests for event emission during lifecycle events.
  * - Component Discovery: Tests for component discovery functionality.
  * - Error Handling: Tests for various error scenarios.
@@ -241,6 +251,45 @@ describe("CoreContainer", () => {
       expect(() => container.resolveDependencyOrder()).toThrow("Circular dependency detected: a");
     });
 
+    test("should report the full cycle path", () => {
+      class A {
+        static dependencies = ["b"];
+      }
+      class B {
+        static dependencies = ["c"];
+      }
+      class C {
+        static dependencies = ["a"];
+      }
+      class Root {
+        static dependencies = ["a"];
+      }
+
+      container.register("root", Root);
+      container.register("a", A);
+      container.register("b", B);
+      container.register("c", C);
+
+      let error;
+      try {
+        container.resolveDependencyOrder();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).toBe("Circular dependency detected: a -> b -> c -> a");
+      expect(error.details.cycle).toEqual(["a", "b", "c", "a"]);
+    });
+
+    test("should report self-dependencies as cycles", () => {
+      class Self {
+        static dependencies = ["self"];
+      }
+      container.register("self", Self);
+
+      expect(() => container.resolveDependencyOrder()).toThrow("Circular dependency detected: self -> self");
+    });
+
     test("should resolve dependencies in correct order", () => {
       class A {
         static dependencies = ["b"];
@@ -370,28 +419,825 @@ describe("CoreContainer", () => {
     });
   });
 
+  describe("Optional Dependencies, Aliases and Tags", () => {
+    test("should inject undefined for missing optional dependencies", async () => {
+      class Service {
+        static dependencies = [{ name: "cache", optional: true }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("service", Service);
+
+      expect(() => container.resolveDependencyOrder()).not.toThrow();
+      const instance = await container.resolve("service");
+      expect("cache" in instance.deps).toBe(true);
+      expect(instance.deps.cache).toBeUndefined();
+    });
+
+    test("should resolve optional dependencies that are registered", async () => {
+      class Cache {}
+      class Service {
+        static dependencies = [{ name: "cache", optional: true }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("cache", Cache);
+      container.register("service", Service);
+
+      const instance = await container.resolve("service");
+      expect(instance.deps.cache).toBeInstanceOf(Cache);
+      expect(container.resolveDependencyOrder()).toEqual(["cache", "service"]);
+    });
+
+    test("should reject invalid dependency declarations", async () => {
+      class Service {
+        static dependencies = [{ optional: true }];
+      }
+      container.register("service", Service);
+
+      expect(() => container.resolveDependencyOrder()).toThrow(ConfigError);
+      await expect(container.resolve("service")).rejects.toThrow("Invalid dependency declaration");
+    });
+
+    test("should resolve aliases to their target", async () => {
+      class PinoLogger {}
+      class Service {
+        static dependencies = ["logger"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("pinoLogger", PinoLogger);
+      container.alias("logger", "pinoLogger");
+      container.register("service", Service);
+
+      const logger = await container.resolve("logger");
+      const service = await container.resolve("service");
+
+      expect(logger).toBe(await container.resolve("pinoLogger"));
+      expect(service.deps.logger).toBe(logger);
+      expect(container.resolveDependencyOrder()).toEqual(["pinoLogger", "service"]);
+    });
+
+    test("should follow alias chains and inherit aliases in scopes", async () => {
+      container.register("pinoLogger", class PinoLogger {});
+      container.alias("baseLogger", "pinoLogger");
+      container.alias("logger", "baseLogger");
+
+      const scope = container.createScope();
+      expect(await scope.resolve("logger")).toBe(await container.resolve("pinoLogger"));
+    });
+
+    test("should reject duplicate and circular aliases", () => {
+      container.register("pinoLogger", class PinoLogger {});
+      container.alias("logger", "pinoLogger");
+
+      expect(() => container.alias("logger", "other")).toThrow(ConfigError);
+      expect(() => container.alias("pinoLogger", "other")).toThrow("pinoLogger is already registered");
+      expect(() => container.register("logger", class Logger {})).toThrow("Component logger is already registered");
+
+      container.alias("a", "b");
+      expect(() => container.alias("b", "a")).toThrow(ConfigError);
+      expect(container.aliases.has("b")).toBe(false);
+    });
+
+    test("should inject all components registered under a tag", async () => {
+      class DatabaseHealth {}
+      class MailerHealth {}
+      class HealthService {
+        static dependencies = [{ tag: "healthContributor", as: "contributors" }];
+        constructor(deps) {
+          this.contributors = deps.contributors;
+        }
+      }
+      container.register("healthService", HealthService);
+      container.register("databaseHealth", DatabaseHealth, { tags: ["healthContributor"] });
+      container.register("mailerHealth", MailerHealth, { tags: "healthContributor" });
+
+      expect(container.getTagged("healthContributor")).toEqual(["databaseHealth", "mailerHealth"]);
+
+      const order = container.resolveDependencyOrder();
+      expect(order.indexOf("databaseHealth")).toBeLessThan(order.indexOf("healthService"));
+      expect(order.indexOf("mailerHealth")).toBeLessThan(order.indexOf("healthService"));
+
+      const service = await container.resolve("healthService");
+      expect(service.contributors).toHaveLength(2);
+      expect(service.contributors[0]).toBeInstanceOf(DatabaseHealth);
+      expect(service.contributors[1]).toBeInstanceOf(MailerHealth);
+    });
+
+    test("should inject an empty array for unused tags", async () => {
+      class HealthService {
+        static dependencies = [{ tag: "healthContributor" }];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("healthService", HealthService);
+
+      const service = await container.resolve("healthService");
+      expect(service.deps.healthContributor).toEqual([]);
+    });
+
+    test("should combine tagged components from scopes and parents", async () => {
+      container.register("global", class Global {}, { tags: ["plugin"] });
+      const scope = container.createScope();
+      scope.register("local", class Local {}, { tags: ["plugin"] });
+
+      expect(scope.getTagged("plugin")).toEqual(["global", "local"]);
+      expect(container.getTagged("plugin")).toEqual(["global"]);
+      expect(await scope.resolveTagged("plugin")).toHaveLength(2);
+    });
+  });
+
+  describe("Overrides and Snapshots", () => {
+    class ErrorSystem {}
+    class EventBusSystem {
+      static dependencies = ["errorSystem"];
+      constructor(deps) {
+        this.deps = deps;
+      }
+    }
+    class ModuleSystem {
+      static dependencies = ["eventBusSystem"];
+      constructor(deps) {
+        this.deps = deps;
+      }
+    }
+    class Unrelated {}
+
+    beforeEach(() => {
+      container.register("errorSystem", ErrorSystem);
+      container.register("eventBusSystem", EventBusSystem);
+      container.register("moduleSystem", ModuleSystem);
+      container.register("unrelated", Unrelated);
+    });
+
+    test("should list transitive dependents", () => {
+      expect(container.getDependents("errorSystem")).toEqual(["eventBusSystem", "moduleSystem"]);
+      expect(container.getDependents("moduleSystem")).toEqual([]);
+    });
+
+    test("should drop the overridden instance and its dependents", async () => {
+      await container.initialize();
+      const unrelated = await container.resolve("unrelated");
+
+      const fakeErrorSystem = { fake: true };
+      const dropped = container.override("errorSystem", fakeErrorSystem);
+
+      expect(dropped).toEqual(["errorSystem", "eventBusSystem", "moduleSystem"]);
+      expect(await container.resolve("errorSystem")).toBe(fakeErrorSystem);
+
+      const moduleSystem = await container.resolve("moduleSystem");
+      expect(moduleSystem.deps.eventBusSystem.deps.errorSystem).toBe(fakeErrorSystem);
+      expect(await container.resolve("unrelated")).toBe(unrelated);
+    });
+
+    test("should keep registration options and dependencies of the replacement", async () => {
+      container.register("session", class Session {}, { lifetime: "scoped", tags: ["web"] });
+      class FakeSession {
+        static dependencies = ["errorSystem"];
+      }
+
+      container.override("session", FakeSession);
+
+      expect(container.components.get("session").options.lifetime).toBe("scoped");
+      expect(container.getTagged("web")).toEqual(["session"]);
+      expect(container.dependencies.get("session")).toEqual(["errorSystem"]);
+    });
+
+    test("should override through aliases", async () => {
+      container.alias("errors", "errorSystem");
+      const fake = { fake: true };
+
+      container.override("errors", fake);
+      expect(await container.resolve("errorSystem")).toBe(fake);
+    });
+
+    test("should emit an override event", () => {
+      const events = [];
+      container.on("component:overridden", (payload) => events.push(payload));
+
+      container.override("unrelated", {});
+      expect(events).toEqual([{ name: "unrelated", dropped: [] }]);
+    });
+
+    test("should throw when overriding an unknown component", () => {
+      expect(() => container.override("missing", {})).toThrow(ServiceError);
+      expect(() => container.override("missing", {})).toThrow("Component missing is not registered");
+    });
+
+    test("should restore a snapshot after overrides", async () => {
+      await container.initialize();
+      const original = await container.resolve("moduleSystem");
+      const snapshot = container.snapshot();
+
+      container.override("errorSystem", { fake: true });
+      container.register("extra", class Extra {});
+      container.alias("modules", "moduleSystem");
+      const patched = await container.resolve("moduleSystem");
+      expect(patched).not.toBe(original);
+
+      container.restore(snapshot);
+
+      expect(await container.resolve("moduleSystem")).toBe(original);
+      expect(await container.resolve("errorSystem")).toBeInstanceOf(ErrorSystem);
+      expect(container.components.has("extra")).toBe(false);
+      expect(container.aliases.has("modules")).toBe(false);
+      expect(container.initialized).toBe(true);
+    });
+
+    test("should allow restoring the same snapshot more than once", async () => {
+      const snapshot = container.snapshot();
+
+      container.register("first", class First {});
+      container.restore(snapshot);
+      container.register("second", class Second {});
+      container.restore(snapshot);
+
+      expect(container.components.has("first")).toBe(false);
+      expect(container.components.has("second")).toBe(false);
+    });
+
+    test("should reject invalid snapshots", () => {
+      expect(() => container.restore({})).toThrow(ConfigError);
+    });
+  });
+
+  describe("Hot Replacement", () => {
+    let log;
+
+    const tracked = (label, dependencies = []) => class {
+      static dependencies = dependencies;
+      constructor(deps) {
+        this.deps = deps;
+        this.label = label;
+      }
+      async initialize() {
+        log.push(`${label}:init`);
+      }
+      async shutdown() {
+        log.push(`${label}:shutdown`);
+      }
+    };
+
+    beforeEach(async () => {
+      log = [];
+      container.register("database", tracked("database"));
+      container.register("eventBus", tracked("eventBus"));
+      container.register("users", tracked("users", ["eventBus"]));
+      container.register("reports", tracked("reports", ["users", "database"]));
+      await container.initialize();
+      log = [];
+    });
+
+    test("should shut down, swap and re-initialize the component and its dependents", async () => {
+      const database = await container.resolve("database");
+
+      const recreated = await container.replace("eventBus", tracked("eventBus v2"));
+
+      expect(recreated).toEqual(["eventBus", "users", "reports"]);
+      expect(log).toEqual([
+        "reports:shutdown",
+        "users:shutdown",
+        "eventBus:shutdown",
+        "eventBus v2:init",
+        "users:init",
+        "reports:init"
+      ]);
+
+      const reports = await container.resolve("reports");
+      expect(reports.deps.users.deps.eventBus.label).toBe("eventBus v2");
+      expect(reports.deps.database).toBe(database);
+    });
+
+    test("should emit a replaced event", async () => {
+      const events = [];
+      container.on("component:replaced", (payload) => events.push(payload));
+
+      await container.replace("users", tracked("users v2", ["eventBus"]));
+      expect(events).toEqual([{ name: "users", recreated: ["users", "reports"] }]);
+    });
+
+    test("should only recreate components that were live", async () => {
+      container.register("lazy", tracked("lazy", ["eventBus"]));
+
+      const recreated = await container.replace("eventBus", tracked("eventBus v2"));
+
+      expect(recreated).not.toContain("lazy");
+      expect(container.instances.has("lazy")).toBe(false);
+    });
+
+    test("should wrap re-initialization failures", async () => {
+      class Broken {
+        async initialize() {
+          throw new Error("Broken build");
+        }
+      }
+
+      let error;
+      try {
+        await container.replace("database", Broken);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ServiceError);
+      expect(error.code).toBe("SERVICE_REPLACE_FAILED");
+      expect(error.details.originalError.message).toBe("Broken build");
+    });
+
+    test("should throw when replacing an unknown component", async () => {
+      await expect(container.replace("missing", class {})).rejects.toThrow("Component missing is not registered");
+    });
+
+    test("should find components by source file", () => {
+      container.register("mailer", class Mailer {}, {
+        source: { path: "src/services/mailer.js", exportName: "Mailer" }
+      });
+
+      expect(container.findBySource(join(process.cwd(), "src/services/mailer.js"))).toEqual(["mailer"]);
+      expect(container.findBySource("src/services/other.js")).toEqual([]);
+    });
+  });
+
+  describe("Interceptors", () => {
+    class Calculator {
+      add(a, b) {
+        return a + b;
+      }
+      async addAsync(a, b) {
+        return a + b;
+      }
+      fail() {
+        throw new Error("Sync failure");
+      }
+      async failAsync() {
+        throw new Error("Async failure");
+      }
+    }
+
+    test("should see method name, arguments and result", async () => {
+      const calls = [];
+      container.addInterceptor({
+        after: ({ component, method, args, result }) => {
+          calls.push({ component, method, args, result });
+        }
+      });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+
+      expect(calculator.add(1, 2)).toBe(3);
+      expect(await calculator.addAsync(2, 3)).toBe(5);
+      expect(calls).toEqual([
+        { component: "calculator", method: "add", args: [1, 2], result: 3 },
+        { component: "calculator", method: "addAsync", args: [2, 3], result: 5 }
+      ]);
+    });
+
+    test("should keep private fields and built-ins working behind interceptors", async () => {
+      class Counter {
+        #count = 2;
+        get count() {
+          return this.#count;
+        }
+        increment() {
+          return ++this.#count;
+        }
+      }
+      const calls = [];
+      container.addInterceptor({ before: ({ method }) => void calls.push(method) });
+      container.register("counter", Counter);
+      container.register("cache", () => new Map([["a", 1]]));
+
+      const counter = await container.resolve("counter");
+      const cache = await container.resolve("cache");
+
+      expect(counter.count).toBe(2);
+      expect(counter.increment()).toBe(3);
+      expect(cache.size).toBe(1);
+      expect(cache.get("a")).toBe(1);
+      expect(calls).toEqual(["increment", "get"]);
+    });
+
+    test("should keep sync methods synchronous", async () => {
+      container.addInterceptor({ before: () => undefined });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+      expect(calculator.add(2, 2)).toBe(4);
+      expect(calculator).toBeInstanceOf(Calculator);
+    });
+
+    test("should see thrown errors and rejections", async () => {
+      const errors = [];
+      container.addInterceptor({
+        error: ({ method, error }) => {
+          errors.push(`${method}: ${error.message}`);
+        }
+      });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+
+      expect(() => calculator.fail()).toThrow("Sync failure");
+      await expect(calculator.failAsync()).rejects.toThrow("Async failure");
+      expect(errors).toEqual(["fail: Sync failure", "failAsync: Async failure"]);
+    });
+
+    test("should let error hooks recover", async () => {
+      container.addInterceptor({ error: () => "fallback" });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+      expect(calculator.fail()).toBe("fallback");
+      expect(await calculator.failAsync()).toBe("fallback");
+    });
+
+    test("should short-circuit from before hooks for caching", async () => {
+      const cache = new Map();
+      let computed = 0;
+      container.register("calculator", class extends Calculator {
+        add(a, b) {
+          computed++;
+          return super.add(a, b);
+        }
+      });
+      container.addInterceptor({
+        before: ({ args }) => cache.get(args.join(",")),
+        after: ({ args, result }) => {
+          cache.set(args.join(","), result);
+        }
+      }, { methods: ["add"] });
+
+      const calculator = await container.resolve("calculator");
+      calculator.add(1, 1);
+      calculator.add(1, 1);
+
+      expect(computed).toBe(1);
+    });
+
+    test("should allow before hooks to reject calls", async () => {
+      container.addInterceptor({
+        before: ({ method }) => {
+          throw new Error(`Not allowed: ${method}`);
+        }
+      }, { methods: ["add"] });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+      expect(() => calculator.add(1, 2)).toThrow("Not allowed: add");
+      expect(await calculator.addAsync(1, 2)).toBe(3);
+    });
+
+    test("should await async before hooks", async () => {
+      const order = [];
+      container.addInterceptor({
+        async before({ method }) {
+          await new Promise((resolve) => setTimeout(resolve, 1));
+          order.push(`check:${method}`);
+        }
+      });
+      container.addInterceptor({
+        before: () => {
+          order.push("second");
+        },
+        after: ({ result }) => result * 10
+      });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+
+      expect(await calculator.addAsync(1, 2)).toBe(30);
+      // The method waits for the hook even when it is sync
+      expect(await calculator.add(2, 2)).toBe(40);
+      expect(order).toEqual(["check:addAsync", "second", "check:add", "second"]);
+    });
+
+    test("should short-circuit on values resolved by async before hooks", async () => {
+      let called = 0;
+      container.register("calculator", class extends Calculator {
+        async addAsync(a, b) {
+          called++;
+          return super.addAsync(a, b);
+        }
+      });
+      container.addInterceptor({ before: async ({ args }) => (args[0] === 0 ? "cached" : undefined) });
+
+      const calculator = await container.resolve("calculator");
+
+      expect(await calculator.addAsync(0, 1)).toBe("cached");
+      expect(await calculator.addAsync(1, 1)).toBe(2);
+      expect(called).toBe(1);
+    });
+
+    test("should pass before hook failures to error hooks", async () => {
+      const errors = [];
+      container.addInterceptor({
+        error: ({ method, error }) => {
+          errors.push(`${method}: ${error.message}`);
+        }
+      });
+      container.addInterceptor({
+        before: ({ method }) => {
+          throw new Error(`Forbidden: ${method}`);
+        }
+      }, { methods: ["add"] });
+      container.addInterceptor({
+        before: async ({ method }) => {
+          throw new Error(`Forbidden: ${method}`);
+        }
+      }, { methods: ["addAsync"] });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+
+      expect(() => calculator.add(1, 2)).toThrow("Forbidden: add");
+      await expect(calculator.addAsync(1, 2)).rejects.toThrow("Forbidden: addAsync");
+      expect(errors).toEqual(["add: Forbidden: add", "addAsync: Forbidden: addAsync"]);
+    });
+
+    test("should run before hooks in order and after hooks in reverse", async () => {
+      const order = [];
+      const tracer = (label) => ({
+        before: () => {
+          order.push(`${label}:before`);
+        },
+        after: () => {
+          order.push(`${label}:after`);
+        }
+      });
+      container.addInterceptor(tracer("outer"));
+      container.addInterceptor(tracer("inner"));
+      container.register("calculator", Calculator);
+
+      (await container.resolve("calculator")).add(1, 2);
+      expect(order).toEqual(["outer:before", "inner:before", "inner:after", "outer:after"]);
+    });
+
+    test("should let after hooks replace the result", async () => {
+      container.addInterceptor({ after: ({ result }) => result * 10 });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+      expect(calculator.add(1, 2)).toBe(30);
+      expect(await calculator.addAsync(1, 2)).toBe(30);
+    });
+
+    test("should target interceptors by component and tag", async () => {
+      const seen = [];
+      const record = { before: ({ component }) => { seen.push(component); } };
+      container.addInterceptor(record, { component: "first" });
+      container.addInterceptor(record, { tag: "audited" });
+
+      container.register("first", Calculator);
+      container.register("second", Calculator, { tags: ["audited"] });
+      container.register("third", Calculator);
+
+      for (const name of ["first", "second", "third"]) {
+        (await container.resolve(name)).add(1, 1);
+      }
+
+      expect(seen).toEqual(["first", "second"]);
+      expect(await container.resolve("third")).toBeInstanceOf(Calculator);
+    });
+
+    test("should keep method identity stable", async () => {
+      container.addInterceptor({ before: () => undefined });
+      container.register("calculator", Calculator);
+
+      const calculator = await container.resolve("calculator");
+      expect(calculator.add).toBe(calculator.add);
+    });
+
+    test("should apply parent interceptors in scopes", async () => {
+      const seen = [];
+      container.addInterceptor({ before: ({ component }) => { seen.push(component); } });
+      container.register("session", Calculator, { lifetime: "scoped" });
+
+      const session = await container.createScope().resolve("session");
+      session.add(1, 1);
+
+      expect(seen).toEqual(["session"]);
+    });
+
+    test("should reject interceptors without hooks", () => {
+      expect(() => container.addInterceptor({})).toThrow(ConfigError);
+      expect(() => container.addInterceptor(null)).toThrow("Interceptor must define a before, after or error hook");
+    });
+  });
+
+  describe("Dependency Graph", () => {
+    beforeEach(() => {
+      class Database {}
+      class Users {
+        static dependencies = ["database", "mailer"];
+      }
+      container.register("database", Database);
+      container.register("users", Users, { lifetime: "scoped" });
+    });
+
+    test("should export the graph as JSON", () => {
+      expect(container.getDependencyGraph()).toEqual({
+        nodes: [
+          { id: "database", lifetime: "singleton", registered: true },
+          { id: "users", lifetime: "scoped", registered: true },
+          { id: "mailer", lifetime: null, registered: false }
+        ],
+        edges: [
+          { from: "users", to: "database" },
+          { from: "users", to: "mailer" }
+        ]
+      });
+    });
+
+    test("should export the graph as Graphviz DOT", () => {
+      expect(container.getDependencyGraph("dot")).toBe([
+        "digraph dependencies {",
+        "  rankdir=LR;",
+        '  "database";',
+        '  "users";',
+        '  "mailer" [style=dashed];',
+        '  "users" -> "database";',
+        '  "users" -> "mailer";',
+        "}"
+      ].join("\n"));
+    });
+
+    test("should export the graph as Mermaid", () => {
+      expect(container.getDependencyGraph("mermaid")).toBe([
+        "graph LR",
+        '  n0["database"]',
+        '  n1["users"]',
+        '  n2["mailer (missing)"]',
+        "  n1 --> n0",
+        "  n1 --> n2"
+      ].join("\n"));
+    });
+
+    test("should reject unknown formats", () => {
+      expect(() => container.getDependencyGraph("svg")).toThrow(ConfigError);
+      expect(() => container.getDependencyGraph("svg")).toThrow("Unsupported dependency graph format: svg");
+    });
+  });
+
   describe("Lifecycle Management", () => {
     describe("Initialization", () => {
       test("should initialize components in dependency order", async () => {
         const initialized = [];
 
-        class A {
-          static dependencies = ["b"];
+        class A {
+          static dependencies = ["b"];
+          async initialize() {
+            initialized.push("a");
+          }
+        }
+        class B {
+          async initialize() {
+            initialized.push("b");
+          }
+        }
+
+        container.register("a", A);
+        container.register("b", B);
+        await container.initialize();
+
+        expect(initialized).toEqual(["b", "a"]);
+      });
+
+      test("should group components into dependency levels", () => {
+        class Database {}
+        class Mailer {}
+        class Users {
+          static dependencies = ["database", "mailer"];
+        }
+        class Reports {
+          static dependencies = ["users"];
+        }
+
+        container.register("reports", Reports);
+        container.register("users", Users);
+        container.register("database", Database);
+        container.register("mailer", Mailer);
+
+        expect(container.getInitializationLevels()).toEqual([
+          ["database", "mailer"],
+          ["users"],
+          ["reports"]
+        ]);
+      });
+
+      test("should start independent components in parallel", async () => {
+        const events = [];
+        const slowComponent = (name) => class {
           async initialize() {
-            initialized.push("a");
+            events.push(`${name}:start`);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            events.push(`${name}:end`);
           }
+        };
+        class Users extends slowComponent("users") {
+          static dependencies = ["database", "cache"];
         }
-        class B {
+
+        container.register("database", slowComponent("database"));
+        container.register("cache", slowComponent("cache"));
+        container.register("users", Users);
+        await container.initialize();
+
+        expect(events.slice(0, 2)).toEqual(["database:start", "cache:start"]);
+        expect(events.slice(4)).toEqual(["users:start", "users:end"]);
+      });
+
+      test("should respect the concurrency cap", async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const component = () => class {
           async initialize() {
-            initialized.push("b");
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
           }
+        };
+
+        for (const name of ["a", "b", "c", "d", "e"]) {
+          container.register(name, component());
         }
+        await container.initialize({ concurrency: 2 });
+
+        expect(maxRunning).toBe(2);
+      });
+
+      test("should reject an invalid concurrency cap", async () => {
+        await expect(container.initialize({ concurrency: 0 })).rejects.toThrow(ConfigError);
+        expect(container.initialized).toBe(false);
+      });
 
+      test("should emit an event per initialization level", async () => {
+        class B {}
+        class A {
+          static dependencies = ["b"];
+        }
         container.register("a", A);
         container.register("b", B);
+
+        const levels = [];
+        container.on("initialization:level", (payload) => levels.push(payload));
         await container.initialize();
 
-        expect(initialized).toEqual(["b", "a"]);
+        expect(levels).toEqual([
+          { level: 0, components: ["b"] },
+          { level: 1, components: ["a"] }
+        ]);
+      });
+
+      test("should settle a level before rethrowing a failure", async () => {
+        let otherInitialized = false;
+        class Failing {
+          async initialize() {
+            throw new Error("Init failed");
+          }
+        }
+        class Other {
+          async initialize() {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            otherInitialized = true;
+          }
+        }
+        class Dependent {
+          static dependencies = ["failing"];
+        }
+
+        container.register("failing", Failing);
+        container.register("other", Other);
+        container.register("dependent", Dependent);
+
+        await expect(container.initialize()).rejects.toThrow("Init failed");
+        expect(otherInitialized).toBe(true);
+        expect(container.instances.has("dependent")).toBe(false);
+        expect(container.initialized).toBe(false);
+      });
+
+      test("should create one singleton for concurrent resolves", async () => {
+        let created = 0;
+        const factory = async () => {
+          created++;
+          await new Promise(resolve => setTimeout(resolve, 5));
+          return { id: created };
+        };
+        container.register("shared", factory);
+
+        const [first, second] = await Promise.all([
+          container.resolve("shared"),
+          container.resolve("shared")
+        ]);
+
+        expect(created).toBe(1);
+        expect(first).toBe(second);
       });
 
       test("should throw error when already initialized", async () => {
@@ -491,6 +1337,492 @@ describe("CoreContainer", () => {
     });
   });
 
+  describe("Disposal Tracking", () => {
+    test("should dispose transient instances on shutdown, newest first", async () => {
+      const disposed = [];
+      let count = 0;
+      class Connection {
+        constructor() {
+          this.id = ++count;
+        }
+        async dispose() {
+          disposed.push(`connection${this.id}`);
+        }
+      }
+      class Database {
+        async shutdown() {
+          disposed.push("database");
+        }
+      }
+      container.register("database", Database);
+      container.register("connection", Connection, { lifetime: "transient" });
+      await container.initialize();
+
+      await container.resolve("connection");
+      await container.resolve("connection");
+      await container.shutdown();
+
+      expect(disposed).toEqual(["connection3", "connection2", "connection1", "database"]);
+      expect(container.tracked).toEqual([]);
+    });
+
+    test("should emit component:disposed events", async () => {
+      class Timer {
+        dispose() {}
+      }
+      class Service {
+        async shutdown() {}
+      }
+      container.register("timer", Timer, { singleton: false });
+      container.register("service", Service);
+      await container.resolve("service");
+      await container.resolve("timer");
+
+      const disposed = [];
+      container.on("component:disposed", ({ name }) => disposed.push(name));
+      await container.shutdown();
+
+      expect(disposed).toEqual(["timer", "service"]);
+    });
+
+    test("should shut down singletons before the transients injected into them", async () => {
+      const events = [];
+      class Connection {
+        closed = false;
+        dispose() {
+          this.closed = true;
+          events.push("conn");
+        }
+      }
+      class Repository {
+        static dependencies = ["conn"];
+        constructor({ conn }) {
+          this.conn = conn;
+        }
+        async shutdown() {
+          events.push(this.conn.closed ? "repo:conn closed" : "repo");
+        }
+      }
+      container.register("conn", Connection, { lifetime: "transient" });
+      container.register("repo", Repository);
+      await container.resolve("repo");
+
+      await container.shutdown();
+
+      expect(events).toEqual(["repo", "conn"]);
+    });
+
+    test("should only track disposable transients", async () => {
+      container.register("plain", class Plain {}, { lifetime: "transient" });
+      container.register("closable", class Closable { dispose() {} }, { lifetime: "transient" });
+
+      await container.resolve("plain");
+      await container.resolve("closable");
+
+      expect(container.tracked.map(({ name }) => name)).toEqual(["closable"]);
+      expect(container.tracked[0].target).toBeInstanceOf(WeakRef);
+    });
+
+    test("should dispose scoped and transient instances of a scope in reverse creation order", async () => {
+      const disposed = [];
+      class Connection {
+        dispose() {
+          disposed.push("connection");
+        }
+      }
+      class Transaction {
+        static dependencies = ["connection"];
+        dispose() {
+          disposed.push("transaction");
+        }
+      }
+      class Query {
+        static dependencies = ["transaction"];
+        dispose() {
+          disposed.push("query");
+        }
+      }
+      container.register("connection", Connection, { lifetime: "transient" });
+      container.register("transaction", Transaction, { lifetime: "scoped" });
+      container.register("query", Query, { lifetime: "transient" });
+
+      const scope = container.createScope();
+      await scope.resolve("query");
+      await scope.dispose();
+
+      expect(disposed).toEqual(["query", "transaction", "connection"]);
+      expect(container.tracked).toEqual([]);
+    });
+
+    test("should report disposal errors and keep going", async () => {
+      const disposed = [];
+      class Failing {
+        dispose() {
+          throw new Error("Dispose failed");
+        }
+      }
+      class Working {
+        dispose() {
+          disposed.push("working");
+        }
+      }
+      container.register("working", Working, { lifetime: "transient" });
+      container.register("failing", Failing, { lifetime: "transient" });
+      await container.resolve("working");
+      await container.resolve("failing");
+
+      const errors = [];
+      container.on("shutdown:error", ({ component }) => errors.push(component));
+      await container.shutdown();
+
+      expect(errors).toEqual(["failing"]);
+      expect(disposed).toEqual(["working"]);
+    });
+  });
+
+  describe("Timeouts and Retries", () => {
+    const hang = () => new Promise(() => {});
+
+    test("should time out a hanging initialize", async () => {
+      class Hanging {
+        initialize() {
+          return hang();
+        }
+      }
+      container.register("hanging", Hanging, { timeout: 20 });
+
+      let error;
+      try {
+        await container.initialize();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ServiceError);
+      expect(error.code).toBe("SERVICE_TIMEOUT");
+      expect(error.message).toBe("Component hanging timed out during initialize after 20ms");
+      expect(error.details).toEqual({ component: "hanging", phase: "initialize", timeout: 20 });
+    });
+
+    test("should accept separate timeouts per phase", async () => {
+      class Slow {
+        async initialize() {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        shutdown() {
+          return hang();
+        }
+      }
+      container.register("slow", Slow, { timeout: { initialize: 200, shutdown: 10 } });
+      await container.initialize();
+
+      const errors = [];
+      container.on("shutdown:error", (payload) => errors.push(payload));
+      await container.shutdown();
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].error.code).toBe("SERVICE_TIMEOUT");
+      expect(errors[0].error.details.phase).toBe("shutdown");
+    });
+
+    test("should retry a failing initialize with backoff", async () => {
+      let attempts = 0;
+      class Flaky {
+        async initialize() {
+          attempts++;
+          if (attempts < 3) throw new Error(`Attempt ${attempts} failed`);
+        }
+      }
+      container.register("flaky", Flaky, { retry: { attempts: 3, backoff: 1 } });
+
+      const retries = [];
+      container.on("component:retry", ({ name, attempt, error }) => {
+        retries.push({ name, attempt, message: error.message });
+      });
+
+      await container.initialize();
+
+      expect(attempts).toBe(3);
+      expect(retries).toEqual([
+        { name: "flaky", attempt: 1, message: "Attempt 1 failed" },
+        { name: "flaky", attempt: 2, message: "Attempt 2 failed" }
+      ]);
+    });
+
+    test("should give up after the last attempt", async () => {
+      const delays = [];
+      class Broken {
+        async initialize() {
+          throw new Error("Still broken");
+        }
+      }
+      container.register("broken", Broken, {
+        retry: {
+          attempts: 3,
+          backoff: (attempt) => {
+            delays.push(attempt);
+            return 0;
+          }
+        }
+      });
+
+      await expect(container.initialize()).rejects.toThrow("Still broken");
+      expect(delays).toEqual([1, 2]);
+    });
+
+    test("should retry after a timeout", async () => {
+      let attempts = 0;
+      class SlowStart {
+        initialize() {
+          attempts++;
+          return attempts === 1 ? hang() : Promise.resolve();
+        }
+      }
+      container.register("slowStart", SlowStart, { timeout: 10, retry: { attempts: 2 } });
+
+      await container.initialize();
+      expect(attempts).toBe(2);
+    });
+
+    test("should apply timeouts to components resolved after initialization", async () => {
+      await container.initialize();
+      class Lazy {
+        initialize() {
+          return hang();
+        }
+      }
+      container.register("lazy", Lazy, { timeout: 10 });
+
+      await expect(container.resolve("lazy")).rejects.toThrow("Component lazy timed out during initialize after 10ms");
+    });
+
+    test("should skip components once the shutdown deadline has passed", async () => {
+      const shutdown = [];
+      class First {
+        static dependencies = ["second"];
+        async shutdown() {
+          await new Promise(resolve => setTimeout(resolve, 30));
+          shutdown.push("first");
+        }
+      }
+      class Second {
+        async shutdown() {
+          shutdown.push("second");
+        }
+      }
+      container.register("first", First);
+      container.register("second", Second);
+      await container.initialize();
+
+      const errors = [];
+      container.on("shutdown:error", (payload) => errors.push(payload));
+      await container.shutdown({ timeout: 10 });
+
+      expect(shutdown).toEqual([]);
+      expect(errors.map(e => [e.component, e.error.code, Boolean(e.skipped)])).toEqual([
+        ["first", "SERVICE_TIMEOUT", false],
+        ["second", "SERVICE_SHUTDOWN_DEADLINE_EXCEEDED", true]
+      ]);
+      expect(container.initialized).toBe(false);
+      expect(container.instances.size).toBe(0);
+    });
+  });
+
+  describe("Scoped Containers", () => {
+    test("should map legacy singleton option to lifetimes", () => {
+      container.register("single", class Single {});
+      container.register("transient", class Transient {}, { singleton: false });
+
+      expect(container.components.get("single").options.lifetime).toBe("singleton");
+      expect(container.components.get("transient").options.lifetime).toBe("transient");
+    });
+
+    test("should reject unknown lifetimes", () => {
+      expect(() => container.register("bad", class Bad {}, { lifetime: "forever" })).toThrow(ConfigError);
+    });
+
+    test("should cache scoped components per scope", async () => {
+      class RequestLogger {}
+      container.register("requestLogger", RequestLogger, { lifetime: "scoped" });
+
+      const scopeA = container.createScope();
+      const scopeB = container.createScope();
+
+      const a1 = await scopeA.resolve("requestLogger");
+      const a2 = await scopeA.resolve("requestLogger");
+      const b1 = await scopeB.resolve("requestLogger");
+
+      expect(a1).toBeInstanceOf(RequestLogger);
+      expect(a1).toBe(a2);
+      expect(a1).not.toBe(b1);
+    });
+
+    test("should share parent singletons with scopes", async () => {
+      class Database {}
+      class Transaction {
+        static dependencies = ["database"];
+        constructor(deps) {
+          this.deps = deps;
+        }
+      }
+      container.register("database", Database);
+      container.register("transaction", Transaction, { lifetime: "scoped" });
+
+      const root = await container.resolve("database");
+      const scope = container.createScope();
+      const transaction = await scope.resolve("transaction");
+
+      expect(transaction.deps.database).toBe(root);
+      expect(scope.instances.has("database")).toBe(false);
+    });
+
+    test("should not resolve scoped components from the root container", async () => {
+      container.register("currentUser", class CurrentUser {}, { lifetime: "scoped" });
+
+      await expect(container.resolve("currentUser")).rejects.toThrow(ServiceError);
+      await expect(container.resolve("currentUser")).rejects.toThrow(
+        "Component currentUser is scoped and must be resolved from a scope"
+      );
+    });
+
+    test("should reject singletons depending on scoped components", async () => {
+      class CurrentUser {}
+      class Cache {
+        static dependencies = ["currentUser"];
+      }
+      container.register("currentUser", CurrentUser, { lifetime: "scoped" });
+      container.register("cache", Cache);
+
+      const scope = container.createScope();
+      await expect(scope.resolve("cache")).rejects.toThrow(ServiceError);
+    });
+
+    test("should skip scoped components during initialization", async () => {
+      const created = [];
+      class CurrentUser {
+        constructor() {
+          created.push("currentUser");
+        }
+      }
+      container.register("currentUser", CurrentUser, { lifetime: "scoped" });
+
+      await container.initialize();
+      expect(created).toEqual([]);
+    });
+
+    test("should resolve registrations local to a scope", async () => {
+      const request = { id: "req-1" };
+      class RequestLogger {
+        static dependencies = ["request"];
+        constructor(deps) {
+          this.requestId = deps.request.id;
+        }
+      }
+      container.register("requestLogger", RequestLogger, { lifetime: "scoped" });
+
+      const scope = container.createScope();
+      scope.register("request", request);
+
+      const logger = await scope.resolve("requestLogger");
+      expect(logger.requestId).toBe("req-1");
+      await expect(container.resolve("request")).rejects.toThrow("Component request is not registered");
+    });
+
+    test("should initialize scoped instances when the parent is initialized", async () => {
+      class Session {
+        async initialize() {
+          this.ready = true;
+        }
+      }
+      container.register("session", Session, { lifetime: "scoped" });
+      await container.initialize();
+
+      const session = await container.createScope().resolve("session");
+      expect(session.ready).toBe(true);
+    });
+
+    test("should dispose scoped instances in reverse creation order", async () => {
+      const disposed = [];
+      class Connection {
+        async shutdown() {
+          disposed.push("connection");
+        }
+      }
+      class Transaction {
+        static dependencies = ["connection"];
+        async dispose() {
+          disposed.push("transaction");
+        }
+      }
+      container.register("connection", Connection, { lifetime: "scoped" });
+      container.register("transaction", Transaction, { lifetime: "scoped" });
+
+      const scope = container.createScope();
+      await scope.resolve("transaction");
+
+      const mockListener = createMockFn();
+      scope.on("scope:disposed", mockListener);
+      await scope.dispose();
+      await scope.dispose();
+
+      expect(disposed).toEqual(["transaction", "connection"]);
+      expect(mockListener.mock.calls.length).toBe(1);
+      expect(scope.instances.size).toBe(0);
+    });
+
+    test("should continue disposing after errors", async () => {
+      const disposed = [];
+      class Failing {
+        async dispose() {
+          throw new Error("Dispose failed");
+        }
+      }
+      class Working {
+        async dispose() {
+          disposed.push("working");
+        }
+      }
+      container.register("working", Working, { lifetime: "scoped" });
+      container.register("failing", Failing, { lifetime: "scoped" });
+
+      const scope = container.createScope();
+      await scope.resolve("working");
+      await scope.resolve("failing");
+
+      const errors = [];
+      scope.on("shutdown:error", (payload) => errors.push(payload));
+      await scope.dispose();
+
+      expect(errors.map(e => e.component)).toEqual(["failing"]);
+      expect(disposed).toEqual(["working"]);
+    });
+
+    test("should not resolve from a disposed scope", async () => {
+      container.register("session", class Session {}, { lifetime: "scoped" });
+      const scope = container.createScope();
+      await scope.dispose();
+
+      await expect(scope.resolve("session")).rejects.toThrow("Cannot resolve session from a disposed scope");
+    });
+
+    test("should not dispose parent singletons with a scope", async () => {
+      const disposed = [];
+      class Database {
+        async shutdown() {
+          disposed.push("database");
+        }
+      }
+      container.register("database", Database);
+
+      const scope = container.createScope();
+      await scope.resolve("database");
+      await scope.dispose();
+
+      expect(disposed).toEqual([]);
+      expect(container.instances.has("database")).toBe(true);
+    });
+  });
+
   describe("Event Handling", () => {
     test("should emit events on component registration", (done) => {
       container.once("component:registered", ({ name }) => {
@@ -615,6 +1947,95 @@ describe("CoreContainer", () => {
       await container.discover("test", "/some/path");
       expect(mockListener.mock.calls.length).toBe(1);
     });
+
+    describe("Filesystem Discovery", () => {
+      const fixturesPath = fileURLToPath(new URL("./fixtures/components", import.meta.url));
+      const manifest = {
+        configSchema: {
+          required: ["name", "version"],
+          properties: {
+            name: { type: "string" },
+            version: { type: "string" }
+          }
+        }
+      };
+
+      test("should list component directories", async () => {
+        const paths = await container.scanDirectory(fixturesPath);
+        expect(paths.map(p => p.split(/[\\/]/).pop())).toEqual([
+          "alpha", "beta", "disabled", "invalid", "noconfig"
+        ]);
+      });
+
+      test("should discover and register valid components", async () => {
+        container.registerManifest("service", manifest);
+
+        const discovered = await container.discover("service", fixturesPath);
+
+        expect(Array.from(discovered.keys())).toEqual(["alpha", "beta"]);
+        expect(discovered.get("beta").config.version).toBe("2.0.0");
+        expect(container.components.get("alpha").options.config.version).toBe("1.0.0");
+        expect(container.components.get("beta").options.source).toEqual({
+          path: join(fixturesPath, "beta", "service.js"),
+          exportName: "default"
+        });
+
+        const alpha = await container.resolve("alpha");
+        const beta = await container.resolve("beta");
+        expect(alpha.constructor.name).toBe("Alpha");
+        expect(beta.type).toBe("beta");
+      });
+
+      test("should skip components with enabled: false", async () => {
+        container.registerManifest("service", manifest);
+
+        await container.discover("service", fixturesPath);
+        expect(container.components.has("disabled")).toBe(false);
+      });
+
+      test("should report broken components without stopping discovery", async () => {
+        container.registerManifest("service", manifest);
+        const errors = [];
+        container.on("discovery:error", (payload) => errors.push(payload));
+
+        await container.discover("service", fixturesPath);
+
+        const failed = errors.map(({ path }) => path.split(/[\\/]/).pop());
+        expect(failed).toEqual(["invalid", "noconfig"]);
+
+        const invalidCause = errors[0].error.details.originalError;
+        expect(invalidCause.code).toBe("CONFIG_VALIDATION_FAILED");
+        expect(invalidCause.details.validationErrors).toEqual([
+          { field: "version", message: "version must be of type string" }
+        ]);
+        expect(errors[1].error.details.originalError.code).toBe("CONFIG_MISSING_CONFIG");
+      });
+
+      test("should report duplicate component names as discovery errors", async () => {
+        container.registerManifest("service", manifest);
+        container.register("alpha", class Existing {});
+        const errors = [];
+        container.on("discovery:error", (payload) => errors.push(payload));
+
+        const discovered = await container.discover("service", fixturesPath);
+
+        expect(discovered.has("alpha")).toBe(false);
+        expect(errors.some(({ error }) => error.code === "CONFIG_DUPLICATE_COMPONENT")).toBe(true);
+      });
+
+      test("should fail discovery for a missing base path", async () => {
+        container.registerManifest("service", manifest);
+        await expect(
+          container.discover("service", join(fixturesPath, "does-not-exist"))
+        ).rejects.toThrow("Failed to discover service components");
+      });
+
+      test("should validate enum constraints", async () => {
+        const schema = { properties: { mode: { enum: ["a", "b"] } } };
+        await expect(container.validateConfig({ name: "x", mode: "a" }, schema)).resolves.toBe(true);
+        await expect(container.validateConfig({ name: "x", mode: "c" }, schema)).rejects.toThrow(ConfigError);
+      });
+    });
   });
 
   describe("Error Handling", () => {
@@ -0,0 +1,3 @@
+export default class Alpha {
+  static dependencies = [];
+}
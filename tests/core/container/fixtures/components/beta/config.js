@@ -0,0 +1,5 @@
+export default {
+  name: 'beta',
+  version: '2.0.0',
+  main: 'service.js'
+};
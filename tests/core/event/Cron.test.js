@@ -0,0 +1,178 @@
+// tests/core/event/Cron.test.js
+import { nextCronTime, parseCron } from "../../../src/core/event/Cron.js";
+import { CoreError } from "../../../src/core/errors/index.js";
+import { execFileSync } from "child_process";
+
+/**
+ * TESTS
+ *
+ * - Parsing
+ *   -- Tests for field syntax, shortcuts and invalid expressions
+ * - Next Run
+ *   -- Tests for finding the next matching minute
+ */
+
+const utc = (text) => Date.parse(`${text}Z`);
+const next = (expression, from) =>
+  new Date(nextCronTime(expression, utc(from), { utc: true })).toISOString();
+
+describe("Cron", () => {
+  describe("Parsing", () => {
+    test("should expand ranges, lists and steps", () => {
+      const cron = parseCron("*/15 9-17 1,15 * 1-5");
+
+      expect([...cron.minute.values]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hour.values]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      expect([...cron.dayOfMonth.values]).toEqual([1, 15]);
+      expect(cron.month.values.size).toBe(12);
+      expect([...cron.dayOfWeek.values]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test("should treat 7 as Sunday", () => {
+      expect(parseCron("0 0 * * 7").dayOfWeek.values.has(0)).toBe(true);
+    });
+
+    test("should accept shortcuts", () => {
+      expect(next("@daily", "2024-03-10T15:20:00")).toBe("2024-03-11T00:00:00.000Z");
+      expect(next("@hourly", "2024-03-10T15:20:00")).toBe("2024-03-10T16:00:00.000Z");
+    });
+
+    test("should reject invalid expressions", () => {
+      for (const expression of [null, "", "* * * *", "60 * * * *", "* * 0 * *", "5-1 * * * *", "*/0 * * * *", "a * * * *"]) {
+        let error;
+        try {
+          parseCron(expression);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).toBeInstanceOf(CoreError);
+        expect(error.code).toBe("INVALID_CRON");
+      }
+    });
+  });
+
+  describe("Next Run", () => {
+    test("should find the next nightly run", () => {
+      expect(next("0 2 * * *", "2024-03-10T01:59:30")).toBe("2024-03-10T02:00:00.000Z");
+      expect(next("0 2 * * *", "2024-03-10T02:00:00")).toBe("2024-03-11T02:00:00.000Z");
+    });
+
+    test("should roll over months and years", () => {
+      expect(next("30 4 1 * *", "2024-12-15T00:00:00")).toBe("2025-01-01T04:30:00.000Z");
+    });
+
+    test("should find leap days", () => {
+      expect(next("0 0 29 2 *", "2024-03-01T00:00:00")).toBe("2028-02-29T00:00:00.000Z");
+    });
+
+    test("should match either day field when both are restricted", () => {
+      // 2024-03-10 is a Sunday, so Monday the 11th comes before the 15th
+      expect(next("0 0 15 * 1", "2024-03-10T12:00:00")).toBe("2024-03-11T00:00:00.000Z");
+      expect(next("0 0 15 * 1", "2024-03-11T12:00:00")).toBe("2024-03-15T00:00:00.000Z");
+    });
+
+    test("should require both day fields when one is a wildcard", () => {
+      expect(next("0 0 * * 1", "2024-03-10T12:00:00")).toBe("2024-03-11T00:00:00.000Z");
+      // Mondays on odd days: the 18th is skipped
+      expect(next("0 0 */2 * 1", "2024-03-11T12:00:00")).toBe("2024-03-25T00:00:00.000Z");
+    });
+
+    describe("Local Time", () => {
+      // Jest gives each test file its own process.env, so TZ is pinned in a
+      // child process instead
+      const cronModule = new URL("../../../src/core/event/Cron.js", import.meta.url).href;
+      const busModule = new URL("../../../src/core/event/EventBus.js", import.meta.url).href;
+      const clockModule = new URL("../../../src/core/event/Clock.js", import.meta.url).href;
+
+      function inBerlin(code) {
+        const output = execFileSync(process.execPath, ["--input-type=module", "-e", code], {
+          env: { ...process.env, TZ: "Europe/Berlin" },
+          encoding: "utf8",
+          // A schedule that keeps firing without time passing never exits
+          timeout: 10000,
+        });
+        return JSON.parse(output);
+      }
+
+      function local(expression, from) {
+        return localRuns(expression, from, 1)[0];
+      }
+
+      function localRuns(expression, from, count) {
+        return inBerlin(`
+          import { nextCronTime } from ${JSON.stringify(cronModule)};
+          const runs = [];
+          let time = Date.parse(${JSON.stringify(`${from}Z`)});
+          for (let i = 0; i < ${count}; i++) {
+            time = nextCronTime(${JSON.stringify(expression)}, time);
+            runs.push(new Date(time).toISOString());
+          }
+          console.log(JSON.stringify(runs));
+        `);
+      }
+
+      test("should never return a time before a DST fall-back instant", () => {
+        // 2026-10-25: 03:00 CEST goes back to 02:00 CET, so 02:30 happens
+        // at 00:30Z and again at 01:30Z
+        expect(local("30 2 * * *", "2026-10-25T00:10:00")).toBe("2026-10-25T00:30:00.000Z");
+        expect(local("30 2 * * *", "2026-10-25T01:10:00")).toBe("2026-10-26T01:30:00.000Z");
+        expect(local("*/20 * * * *", "2026-10-25T01:10:00")).toBe("2026-10-25T01:20:00.000Z");
+      });
+
+      test("should keep wildcard and stepped hours running through a repeated hour", () => {
+        expect(localRuns("*/20 * * * *", "2026-10-25T00:30:00", 5)).toEqual([
+          "2026-10-25T00:40:00.000Z", // 02:40 CEST
+          "2026-10-25T01:00:00.000Z", // 02:00 CET
+          "2026-10-25T01:20:00.000Z",
+          "2026-10-25T01:40:00.000Z",
+          "2026-10-25T02:00:00.000Z", // 03:00 CET
+        ]);
+        expect(localRuns("0 */2 * * *", "2026-10-24T23:30:00", 3)).toEqual([
+          "2026-10-25T00:00:00.000Z", // 02:00 CEST
+          "2026-10-25T01:00:00.000Z", // 02:00 CET
+          "2026-10-25T03:00:00.000Z", // 04:00 CET
+        ]);
+        // A fixed hour still runs once
+        expect(localRuns("0,30 2 * * *", "2026-10-24T23:30:00", 3)).toEqual([
+          "2026-10-25T00:00:00.000Z",
+          "2026-10-25T00:30:00.000Z",
+          "2026-10-26T01:00:00.000Z",
+        ]);
+      });
+
+      test("should skip times a DST spring-forward leaves out", () => {
+        // 2026-03-29: 02:00 CET jumps to 03:00 CEST
+        expect(local("30 2 * * *", "2026-03-28T23:00:00")).toBe("2026-03-30T00:30:00.000Z");
+      });
+
+      test("should run a schedule once across a DST fall-back", () => {
+        const runs = inBerlin(`
+          import { CoreEventBus } from ${JSON.stringify(busModule)};
+          import { ManualClock } from ${JSON.stringify(clockModule)};
+
+          const clock = new ManualClock(Date.parse("2026-10-25T01:10:00Z"));
+          const bus = new CoreEventBus({ clock });
+          await bus.initialize();
+
+          const runs = [];
+          bus.subscribe("report.nightly", () => runs.push(new Date(clock.now()).toISOString()));
+          await bus.schedule("30 2 * * *", "report.nightly", {});
+
+          await clock.advance(0);
+          await clock.advance(25 * 60 * 60000);
+          await bus.shutdown();
+          console.log(JSON.stringify(runs));
+        `);
+
+        expect(runs).toEqual(["2026-10-26T01:30:00.000Z"]);
+      });
+    });
+
+    test("should fail for expressions that never match", () => {
+      expect(() => nextCronTime("0 0 31 2 *", utc("2024-01-01T00:00:00"), { utc: true })).toThrow(
+        expect.objectContaining({ code: "INVALID_CRON" })
+      );
+    });
+  });
+});
@@ -1,5 +1,4 @@
 // tests/core/event/EventBus.test.js
-import { EventEmitter } from 'events';
 import {
   CoreEventBus,
   createEventBus,
@@ -7,9 +6,22 @@ import {
 import { createErrorSystem } from "../../../src/core/errors/ErrorSystem.js";
 import {
   CoreError,
+  NetworkError,
   ValidationError,
   ServiceError,
 } from "../../../src/core/errors/index.js";
+import {
+  FileQueueStore,
+  MemoryQueueStore,
+} from "../../../src/core/event/stores/index.js";
+import { ManualClock } from "../../../src/core/event/Clock.js";
+import {
+  getEventContext,
+  runWithEventContext,
+} from "../../../src/core/event/EventContext.js";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
 
 /**
  * TESTS
@@ -17,11 +29,31 @@ import {
  * - Basic Functionality
  *   -- Tests for initialization, event emission, and subscription
  * - Event History
- *   -- Tests for event history tracking and retrieval
+ *   -- Tests for event history tracking, retrieval and log queries
  * - Subscription Management
  *   -- Tests for subscribe, unsubscribe, and pattern matching
+ * - Subscription Options
+ *   -- Tests for filter, once, priority, concurrency, throttle and debounce
+ * - Awaited Emission
+ *   -- Tests for emitAsync/publish results and handler failures
+ * - Request/Reply
+ *   -- Tests for request, respond, correlation and timeouts
+ * - Event Schemas
+ *   -- Tests for schema registration, payload validation and strict mode
+ * - Event Versioning
+ *   -- Tests for envelope versions and upcasting on delivery and history reads
+ * - Middleware
+ *   -- Tests for beforeEmit/beforeDeliver/afterEmit stages, ordering and cancellation
+ * - Event Correlation
+ *   -- Tests for correlation/causation IDs and handler contexts
  * - Queue Management
  *   -- Tests for event queuing and processing
+ * - Queue Persistence
+ *   -- Tests for queue stores, acknowledgement and replay on initialize
+ * - Retries and Dead Letters
+ *   -- Tests for retry policies and the dead-letter queue APIs
+ * - Delayed and Scheduled Delivery
+ *   -- Tests for delay/at options, cron schedules and the injectable clock
  * - Health Monitoring
  *   -- Tests for health checking and metrics
  * - Error Handling
@@ -193,6 +225,127 @@ describe("CoreEventBus", () => {
       expect(limitedHistory[0].data).toEqual({ count: 9 });
       expect(limitedHistory[2].data).toEqual({ count: 7 });
     });
+
+    test("should query the global log in emission order", async () => {
+      await eventBus.initialize();
+
+      await eventBus.emit("user.created", { id: 1 });
+      await eventBus.emit("order.placed", { id: 2 });
+      await eventBus.emit("user.profile.updated", { id: 3 });
+      await eventBus.emit("order.shipped", { id: 4 });
+
+      const all = eventBus.queryHistory();
+      expect(all.events.map((event) => event.name)).toEqual([
+        "system:initialized",
+        "user.created",
+        "order.placed",
+        "user.profile.updated",
+        "order.shipped",
+      ]);
+      expect(all.events.map((event) => event.sequence)).toEqual([1, 2, 3, 4, 5]);
+      expect(all.nextCursor).toBeNull();
+
+      const selected = eventBus.queryHistory({
+        names: "order.placed",
+        patterns: ["user.#"],
+      });
+      expect(selected.events.map((event) => event.data.id)).toEqual([1, 2, 3]);
+    });
+
+    test("should filter the log by time, metadata and correlation", async () => {
+      await eventBus.initialize();
+
+      let minute = 0;
+      eventBus.use({
+        beforeEmit: (event) => {
+          event.timestamp = new Date(Date.UTC(2024, 0, 1, 10, minute++)).toISOString();
+        },
+      });
+
+      for (let i = 0; i < 8; i++) {
+        await eventBus.emit(
+          "metric.sampled",
+          { i },
+          { metadata: { host: i % 2 ? "a" : "b" }, correlationId: i < 4 ? "first" : "second" }
+        );
+      }
+
+      const between = eventBus.queryHistory({
+        from: "2024-01-01T10:02:00Z",
+        to: new Date("2024-01-01T10:05:00Z"),
+      });
+      expect(between.events.map((event) => event.data.i)).toEqual([2, 3, 4]);
+
+      const filtered = eventBus.queryHistory({
+        metadata: { host: "a" },
+        correlationId: "second",
+      });
+      expect(filtered.events.map((event) => event.data.i)).toEqual([5, 7]);
+    });
+
+    test("should page through the log with a cursor", async () => {
+      await eventBus.initialize();
+
+      for (let i = 0; i < 7; i++) {
+        await eventBus.emit("page.event", { i });
+      }
+
+      const pages = [];
+      let cursor;
+      do {
+        const page = eventBus.queryHistory({ names: ["page.event"], limit: 3, cursor });
+        pages.push(page.events.map((event) => event.data.i));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(pages).toEqual([[0, 1, 2], [3, 4, 5], [6]]);
+
+      // A cursor keeps working for events emitted later
+      const first = eventBus.queryHistory({ names: ["page.event"], limit: 7 });
+      await eventBus.emit("page.event", { i: 7 });
+      expect(
+        eventBus.queryHistory({ names: ["page.event"], cursor: String(first.events[6].sequence) })
+          .events.map((event) => event.data.i)
+      ).toEqual([7]);
+    });
+
+    test("should bound the total number of events in history", async () => {
+      eventBus = new CoreEventBus({
+        errorSystem,
+        config: { eventHistory: { maxSize: 5, maxTotal: 4 } },
+      });
+      await eventBus.initialize();
+
+      await eventBus.emit("rare.event", {});
+      for (let i = 0; i < 4; i++) {
+        await eventBus.emit("busy.event", { i });
+      }
+
+      expect(eventBus.eventLog.size).toBe(4);
+      expect(eventBus.getHistory("rare.event")).toEqual([]);
+      expect(eventBus.getAllHistory()).toEqual({
+        "busy.event": expect.any(Array),
+      });
+      expect(eventBus.queryHistory().events.map((event) => event.data.i)).toEqual([0, 1, 2, 3]);
+    });
+
+    test("should reject invalid history queries", async () => {
+      await eventBus.initialize();
+
+      for (const query of [
+        { limit: 0 },
+        { limit: 1.5 },
+        { cursor: "abc" },
+        { from: "not a date" },
+      ]) {
+        expect(() => eventBus.queryHistory(query)).toThrow(
+          expect.objectContaining({ code: "INVALID_QUERY" })
+        );
+      }
+      expect(() => eventBus.queryHistory({ patterns: ["user.#.created"] })).toThrow(
+        expect.objectContaining({ code: "INVALID_PATTERN" })
+      );
+    });
   });
 
   describe("Subscription Management", () => {
@@ -238,10 +391,8 @@ describe("CoreEventBus", () => {
       await eventBus.emit("user.created", { userId: "123" });
       await eventBus.emit("product.updated", { productId: "456" });
 
-      // Only test allHandlerCalls length if handlePatternEmit exists
       expect(userHandlerCalls.length).toBe(1);
-      // Skip this assertion for now until implementation is fixed
-      // expect(allHandlerCalls.length).toBe(2);
+      expect(allHandlerCalls.length).toBe(2);
     });
 
     test("should support unsubscribing", async () => {
@@ -288,197 +439,1866 @@ describe("CoreEventBus", () => {
       // expect(error.code).toBe('INVALID_PATTERN');
     });
 
-    test('should properly handle wildcard event patterns', async () => {
+    test("should route single-segment '+' patterns", async () => {
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("user.+", (event) => received.push(event.name));
+
+      await eventBus.emit("user.created", {});
+      await eventBus.emit("user.profile.updated", {});
+      await eventBus.emit("order.created", {});
 
+      expect(received).toEqual(["user.created"]);
+    });
+
+    test("should route multi-segment '#' patterns", async () => {
       await eventBus.initialize();
-      
-      // First, verify we have no listeners for '*' yet
-      expect(eventBus.listenerCount('*')).toBe(0);
-      
-      // Create a tracking array for wildcard events
-      const wildcardEvents = [];
-      
-      // Manually trigger the 'newListener' event with a '*' parameter
-      // This should execute the code in lines 148-152
-      EventEmitter.prototype.emit.call(eventBus, 'newListener', '*');
-      
-      // Now add a real wildcard listener
-      const wildcardHandler = (eventName, data) => {
-        wildcardEvents.push({ eventName, data });
-      };
-      
-      // Add the listener - this will trigger the newListener event
-      eventBus.on('*', wildcardHandler);
-      
-      // Check that we have a wildcard listener now
-      expect(eventBus.listenerCount('*')).toBe(1);
-      
-      // Verify that _originalEmit and the custom emit function were set up
-      // by emitting events and checking if they reach the wildcard handler
-      
-      // Emit using the replaced emit method
-      await eventBus.emit('test.event', { id: 123 });
-      
-      // Try another approach - emit directly with EventEmitter.prototype.emit
-      EventEmitter.prototype.emit.call(eventBus, 'direct.event', { direct: true });
-      
-      // Clean up
-      eventBus.removeAllListeners('*');
-      
-      // For test to pass, just assert something that will be true
-      // This is just to get the coverage, not test actual functionality
-      expect(true).toBe(true);
-    });
-
-    test('should directly test wildcardHandler function logic', async () => {
-      // This test directly recreates and tests the logic in the uncovered wildcardHandler function
-      // defined in lines 148-152 of EventBus.js
-      
-      await eventBus.initialize();
-      
-      // Create a tracking array to verify calls
-      const emitCalls = [];
-      
-      // Create a test context with an emit method to replicate the 'this' context
-      const testContext = {
-        emit: function(eventName, ...args) {
-          console.log(`Emit called with eventName: ${eventName}, args:`, args);
-          emitCalls.push({ eventName, args });
-        }
-      };
-      
-      // Directly recreate the wildcardHandler function from lines 148-152
-      const wildcardHandler = function(eventName, ...args) {
-        console.log(`Testing wildcardHandler with eventName: ${eventName}`);
-        // This is line 149-150
-        if (eventName !== '*') {
-          testContext.emit('*', eventName, ...args);
-          return true; // Added for testing confirmation
-        }
-        return false; // Added for testing confirmation
-      };
-      
-      // Test with non-wildcard event - should call emit('*', ...)
-      const result1 = wildcardHandler.call(testContext, 'test.event', { data: 'test' });
-      
-      // Test with wildcard event - should not call emit
-      const result2 = wildcardHandler.call(testContext, '*', { data: 'wildcard' });
-      
-      // Verify results - non-wildcard event should trigger emit
-      expect(result1).toBe(true);
-      expect(emitCalls.length).toBe(1);
-      expect(emitCalls[0].eventName).toBe('*');
-      expect(emitCalls[0].args[0]).toBe('test.event');
-      
-      // Verify wildcard event doesn't trigger emit
-      expect(result2).toBe(false);
-      expect(emitCalls.length).toBe(1); // Still just 1 from before
+
+      const received = [];
+      eventBus.subscribe("user.#", (event) => received.push(event.name));
+
+      await eventBus.emit("user", {});
+      await eventBus.emit("user.created", {});
+      await eventBus.emit("user.profile.updated", {});
+      await eventBus.emit("order.created", {});
+
+      expect(received).toEqual(["user", "user.created", "user.profile.updated"]);
     });
-  });
 
-  describe("Queue Management", () => {
-    test("should queue events", async () => {
+    test("should map legacy '*' patterns onto '+' and '#'", async () => {
+      await eventBus.initialize();
+
+      const all = [];
+      const created = [];
+      const users = [];
+      eventBus.subscribe("*", (event) => all.push(event.name));
+      eventBus.subscribe("*.created", (event) => created.push(event.name));
+      eventBus.subscribe("user.*", (event) => users.push(event.name));
+
+      await eventBus.emit("user.created", {});
+      await eventBus.emit("user.profile.updated", {});
+      await eventBus.emit("order.item.created", {});
+
+      expect(all).toEqual(["user.created", "user.profile.updated", "order.item.created"]);
+      expect(created).toEqual(["user.created"]);
+      expect(users).toEqual(["user.created", "user.profile.updated"]);
+    });
+
+    test("should call matching subscriptions once in subscription order", async () => {
+      await eventBus.initialize();
+
+      const calls = [];
+      eventBus.subscribe("user.#", () => calls.push("multi"));
+      eventBus.subscribe("user.created", () => calls.push("exact"));
+      eventBus.subscribe("+.created", () => calls.push("single"));
+
+      await eventBus.emit("user.created", {});
+
+      expect(calls).toEqual(["multi", "exact", "single"]);
+    });
+
+    test("should stop routing to a pattern after unsubscribe", async () => {
       await eventBus.initialize();
 
       const handlerCalls = [];
-      eventBus.on("queued.event", (event) => {
-        handlerCalls.push(event);
-      });
+      const subId = eventBus.subscribe("user.+", (event) => handlerCalls.push(event));
 
-      await eventBus.emit(
-        "queued.event",
-        { message: "Queue me" },
-        { queue: true }
-      );
+      eventBus.unsubscribe(subId);
+      await eventBus.emit("user.created", {});
 
-      // Handler not called yet for queued events
       expect(handlerCalls.length).toBe(0);
+      expect(eventBus.router.size).toBe(0);
+    });
 
-      // Process the queue
-      await eventBus.processQueue("queued.event");
+    test("should route queued events the same way as direct emits", async () => {
+      await eventBus.initialize();
 
-      // Now handler should be called
-      expect(handlerCalls.length).toBe(1);
-      expect(handlerCalls[0].data).toEqual({ message: "Queue me" });
+      const direct = [];
+      const queued = [];
+      eventBus.subscribe("user.#", (event) => direct.push(event.name));
+
+      await eventBus.emit("user.profile.updated", {});
+
+      eventBus.subscribe("user.#", (event) => queued.push(event.name));
+      await eventBus.emit("user.profile.updated", {}, { queue: true });
+      await eventBus.processQueue("user.profile.updated");
+
+      expect(direct).toEqual(["user.profile.updated", "user.profile.updated"]);
+      expect(queued).toEqual(["user.profile.updated"]);
     });
 
-    test("should process queued events immediately if specified", async () => {
+    test("should deliver to raw '*' listeners without patching emit", async () => {
       await eventBus.initialize();
 
-      const handlerCalls = [];
-      eventBus.on("immediate.event", (event) => {
-        handlerCalls.push(event);
-      });
+      const emit = eventBus.emit;
+      const received = [];
+      eventBus.on("*", (eventName, event) => received.push([eventName, event.data]));
 
-      await eventBus.emit(
-        "immediate.event",
-        { message: "Process me now" },
-        {
-          queue: true,
-          immediate: true,
-        }
-      );
+      await eventBus.emit("test.event", { id: 123 });
 
-      // Handler should be called immediately for immediate processing
-      expect(handlerCalls.length).toBe(1);
+      expect(eventBus.emit).toBe(emit);
+      expect(received).toEqual([["test.event", { id: 123 }]]);
     });
 
-    test("should process all queues", async () => {
+    test("should reject invalid patterns and handlers", async () => {
       await eventBus.initialize();
 
-      const handler1Calls = [];
-      const handler2Calls = [];
+      expect(() => eventBus.subscribe("user.#.created", () => {})).toThrow(
+        expect.objectContaining({ code: "INVALID_PATTERN" })
+      );
+      expect(() => eventBus.subscribe("user.cre*", () => {})).toThrow(
+        expect.objectContaining({ code: "INVALID_PATTERN" })
+      );
+      expect(() => eventBus.subscribe("user.created", null)).toThrow(
+        expect.objectContaining({ code: "INVALID_HANDLER" })
+      );
+      expect(eventBus.subscriptions.size).toBe(0);
+    });
+  });
 
-      eventBus.on("queue1.event", (event) => {
-        handler1Calls.push(event);
+  describe("Subscription Options", () => {
+    const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+    /**
+     * Handler whose calls stay in flight until finish() is called
+     */
+    function slowHandler() {
+      const calls = [];
+      const handler = (event) => new Promise((resolve) => {
+        calls.push({ event, context: getEventContext(), finish: resolve });
       });
+      return { calls, handler };
+    }
 
-      eventBus.on("queue2.event", (event) => {
-        handler2Calls.push(event);
+    test("should only deliver events that pass the filter", async () => {
+      await eventBus.initialize();
+
+      const received = [];
+      const id = eventBus.subscribe("order.created", (event) => received.push(event.data.total), {
+        filter: (event) => event.data.total > 100,
       });
 
-      // Queue events in different queues
-      await eventBus.emit("queue1.event", { id: 1 }, { queue: true });
-      await eventBus.emit("queue1.event", { id: 2 }, { queue: true });
-      await eventBus.emit("queue2.event", { id: 3 }, { queue: true });
+      await eventBus.emit("order.created", { total: 50 });
+      await eventBus.emit("order.created", { total: 150 });
+      const results = await eventBus.emitAsync("order.created", { total: 10 });
 
-      // Process all queues
-      await eventBus.processAllQueues();
+      expect(received).toEqual([150]);
+      expect(results).toEqual([
+        { subscriptionId: id, pattern: "order.created", status: "skipped", reason: "filter" },
+      ]);
+    });
 
-      expect(handler1Calls.length).toBe(2);
-      expect(handler2Calls.length).toBe(1);
+    test("should report a failing filter without keeping the event from other subscriptions", async () => {
+      await eventBus.initialize();
+
+      const failure = new Error("Filter failed");
+      const received = [];
+      const id = eventBus.subscribe("order.created", () => received.push("filtered"), {
+        filter: () => {
+          throw failure;
+        },
+      });
+      eventBus.subscribe("order.created", () => received.push("other"));
+
+      await expect(eventBus.emit("order.created", { total: 50 })).resolves.toBe(true);
+      await settle();
+
+      expect(received).toEqual(["other"]);
+      const reported = errorHandlerCalls.find((call) => call.type === "handle");
+      expect(reported.error).toBe(failure);
+      expect(reported.context).toMatchObject({ method: "handler", subscriptionId: id });
     });
 
-    test("should handle errors in queue processing", async () => {
+    test("should unsubscribe once after the first delivered event", async () => {
       await eventBus.initialize();
 
-      // Set up a handler that will throw in a controlled way
-      const errorMessage = "Test error in handler";
-      eventBus.on("error.event", () => {
-        throw new Error(errorMessage);
+      const received = [];
+      const id = eventBus.subscribe("user.login", (event) => received.push(event.data.n), {
+        once: true,
+        filter: (event) => event.data.n > 1,
       });
 
-      // Queue the event
-      await eventBus.emit("error.event", { test: true }, { queue: true });
+      await eventBus.emit("user.login", { n: 1 });
+      expect(eventBus.subscriptions.has(id)).toBe(true);
 
-      // Process the queue - don't check for errors that might be thrown
-      try {
-        await eventBus.processQueue("error.event");
-        // If we get here, great! No error was thrown
-      } catch (error) {
-        // If we catch an error, we'll fail silently to avoid test failure
-        // No console.log to keep output clean
+      await eventBus.emit("user.login", { n: 2 });
+      await eventBus.emitAsync("user.login", { n: 3 });
+
+      expect(received).toEqual([2]);
+      expect(eventBus.subscriptions.has(id)).toBe(false);
+    });
+
+    test("should call higher priorities first on every delivery path", async () => {
+      await eventBus.initialize();
+
+      const calls = [];
+      eventBus.subscribe("order.*", () => calls.push("default"));
+      eventBus.subscribe("order.created", () => calls.push("audit"), { priority: -10 });
+      eventBus.subscribe("order.created", () => calls.push("validate"), { priority: 10 });
+      eventBus.subscribe("order.#", () => calls.push("default-2"));
+
+      const expected = ["validate", "default", "default-2", "audit"];
+
+      await eventBus.emit("order.created", {});
+      expect(calls.splice(0)).toEqual(expected);
+
+      await eventBus.emitAsync("order.created", {}, { mode: "sequential" });
+      expect(calls.splice(0)).toEqual(expected);
+
+      await eventBus.emit("order.created", {}, { queue: true });
+      await eventBus.processQueue("order.created");
+      expect(calls.splice(0)).toEqual(expected);
+    });
+
+    test("should limit handler calls in flight and buffer the rest", async () => {
+      await eventBus.initialize();
+
+      const { calls, handler } = slowHandler();
+      const id = eventBus.subscribe("image.uploaded", handler, { concurrency: 2 });
+
+      for (let n = 1; n <= 5; n++) {
+        await eventBus.emit("image.uploaded", { n });
       }
+      expect(calls.map((call) => call.event.data.n)).toEqual([1, 2]);
 
-      // Instead of checking for errors being thrown, check that errors are recorded
-      const errorFound = eventBus.state.errors.some(
-        (e) =>
-          e.error.includes(errorMessage) ||
-          (e.context &&
-            e.context.event &&
-            e.context.event.name === "error.event")
+      const health = await eventBus.checkHealth();
+      expect(health.checks.subscriptions.totalBuffered).toBe(3);
+      expect(health.checks.subscriptions.buffers).toEqual([
+        { id, pattern: "image.uploaded", active: 2, buffered: 3, bufferSize: 1000 },
+      ]);
+
+      calls[0].finish();
+      await settle();
+      expect(calls.map((call) => call.event.data.n)).toEqual([1, 2, 3]);
+
+      // Buffered events run in their own context
+      expect(calls[2].context.causationId).toBe(calls[2].event.id);
+
+      // 4 and 5 start as the first three finish
+      for (const call of calls) call.finish();
+      await settle();
+      for (const call of calls) call.finish();
+      await settle();
+
+      expect(calls.map((call) => call.event.data.n)).toEqual([1, 2, 3, 4, 5]);
+      expect(eventBus.subscriptions.get(id)).toMatchObject({ active: 0, buffer: [] });
+    });
+
+    test("should let emitAsync wait for a buffered handler", async () => {
+      await eventBus.initialize();
+
+      const { calls, handler } = slowHandler();
+      eventBus.subscribe("image.uploaded", handler, { concurrency: 1 });
+
+      await eventBus.emit("image.uploaded", { n: 1 });
+      let settled = false;
+      const results = eventBus.emitAsync("image.uploaded", { n: 2 }).then((value) => {
+        settled = true;
+        return value;
+      });
+
+      await settle();
+      expect(settled).toBe(false);
+
+      calls[0].finish();
+      await settle();
+      calls[1].finish("done");
+
+      expect((await results)[0]).toMatchObject({ status: "fulfilled", value: "done" });
+    });
+
+    test("should reject events once the buffer is full", async () => {
+      await eventBus.initialize();
+
+      const { calls, handler } = slowHandler();
+      eventBus.subscribe("image.uploaded", handler, { concurrency: 1, bufferSize: 1 });
+
+      await eventBus.emit("image.uploaded", { n: 1 });
+      await eventBus.emit("image.uploaded", { n: 2 });
+      await eventBus.emit("image.uploaded", { n: 3 });
+      const [result] = await eventBus.emitAsync("image.uploaded", { n: 4 });
+      await settle();
+
+      expect(result.status).toBe("rejected");
+      expect(result.error).toBeInstanceOf(ServiceError);
+      expect(result.error.code).toBe("SERVICE_SUBSCRIPTION_BUFFER_FULL");
+
+      const reported = errorHandlerCalls
+        .filter((call) => call.type === "handle" && call.error.code === "SERVICE_SUBSCRIPTION_BUFFER_FULL");
+      expect(reported).toHaveLength(2);
+      expect(eventBus.state.metrics.get("eventbus.events.dropped")).toBeDefined();
+
+      calls[0].finish();
+      await settle();
+      expect(calls.map((call) => call.event.data.n)).toEqual([1, 2]);
+    });
+
+    test("should throttle to one event per window", async () => {
+      const clock = new ManualClock();
+      eventBus = new CoreEventBus({ errorSystem, clock });
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("cursor.moved", (event) => received.push(event.data.x), { throttle: 100 });
+
+      await eventBus.emit("cursor.moved", { x: 1 });
+      await eventBus.emit("cursor.moved", { x: 2 });
+      const [result] = await eventBus.emitAsync("cursor.moved", { x: 3 });
+      expect(received).toEqual([1]);
+      expect(result).toMatchObject({ status: "skipped", reason: "throttle" });
+
+      // The latest held event goes out when the window ends
+      await clock.advance(100);
+      await settle();
+      expect(received).toEqual([1, 3]);
+
+      // ... and starts another window
+      await eventBus.emit("cursor.moved", { x: 4 });
+      expect(received).toEqual([1, 3]);
+
+      await clock.advance(100);
+      await settle();
+      await clock.advance(100);
+      await eventBus.emit("cursor.moved", { x: 5 });
+      expect(received).toEqual([1, 3, 4, 5]);
+    });
+
+    test("should debounce to the last event of a burst", async () => {
+      const clock = new ManualClock();
+      eventBus = new CoreEventBus({ errorSystem, clock });
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("search.typed", (event) => received.push(event.data.q), { debounce: 50 });
+
+      await eventBus.emit("search.typed", { q: "c" });
+      await clock.advance(30);
+      await eventBus.emit("search.typed", { q: "ca" });
+      await clock.advance(30);
+      await eventBus.emit("search.typed", { q: "cat" });
+      await clock.advance(49);
+      expect(received).toEqual([]);
+
+      await clock.advance(1);
+      await settle();
+      expect(received).toEqual(["cat"]);
+    });
+
+    test("should drop held events on unsubscribe", async () => {
+      const clock = new ManualClock();
+      eventBus = new CoreEventBus({ errorSystem, clock });
+      await eventBus.initialize();
+
+      const received = [];
+      const id = eventBus.subscribe("search.typed", (event) => received.push(event.data.q), { debounce: 50 });
+
+      await eventBus.emit("search.typed", { q: "cat" });
+      eventBus.unsubscribe(id);
+      await clock.advance(50);
+      await settle();
+
+      expect(received).toEqual([]);
+      expect(clock.timers.size).toBe(0);
+    });
+
+    test("should reject invalid options", async () => {
+      await eventBus.initialize();
+
+      for (const options of [
+        { filter: "total > 100" },
+        { priority: "high" },
+        { concurrency: 0 },
+        { concurrency: 1.5 },
+        { bufferSize: -1 },
+        { throttle: 0 },
+        { debounce: Infinity },
+        { throttle: 10, debounce: 10 },
+      ]) {
+        expect(() => eventBus.subscribe("order.created", () => {}, options)).toThrow(
+          expect.objectContaining({ code: "INVALID_SUBSCRIPTION_OPTIONS" })
+        );
+      }
+      expect(eventBus.subscriptions.size).toBe(0);
+    });
+  });
+
+  describe("Awaited Emission", () => {
+    const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    test("should await handlers and return a result per subscription", async () => {
+      await eventBus.initialize();
+
+      const idA = eventBus.subscribe("user.created", async (event) => {
+        await delay(5);
+        return `a:${event.data.userId}`;
+      });
+      const idB = eventBus.subscribe("user.#", (event) => `b:${event.name}`);
+
+      const results = await eventBus.emitAsync("user.created", { userId: "123" });
+
+      expect(results).toEqual([
+        { subscriptionId: idA, pattern: "user.created", status: "fulfilled", value: "a:123" },
+        { subscriptionId: idB, pattern: "user.#", status: "fulfilled", value: "b:user.created" },
+      ]);
+      expect(eventBus.getHistory("user.created").length).toBe(1);
+    });
+
+    test("should run handlers in parallel by default", async () => {
+      await eventBus.initialize();
+
+      const log = [];
+      eventBus.subscribe("job.run", async () => {
+        log.push("slow:start");
+        await delay(20);
+        log.push("slow:end");
+      });
+      eventBus.subscribe("job.run", async () => {
+        log.push("fast:start");
+        await delay(1);
+        log.push("fast:end");
+      });
+
+      await eventBus.emitAsync("job.run", {});
+
+      expect(log).toEqual(["slow:start", "fast:start", "fast:end", "slow:end"]);
+    });
+
+    test("should run handlers one after another in sequential mode", async () => {
+      await eventBus.initialize();
+
+      const log = [];
+      eventBus.subscribe("job.run", async () => {
+        log.push("slow:start");
+        await delay(20);
+        log.push("slow:end");
+      });
+      eventBus.subscribe("job.run", async () => {
+        log.push("fast:start");
+        await delay(1);
+        log.push("fast:end");
+      });
+
+      await eventBus.publish("job.run", {}, { mode: "sequential" });
+
+      expect(log).toEqual(["slow:start", "slow:end", "fast:start", "fast:end"]);
+    });
+
+    test("should report handler failures instead of throwing", async () => {
+      await eventBus.initialize();
+
+      const failure = new ValidationError("HANDLER_FAILED", "Handler failed");
+      const failingId = eventBus.subscribe("order.+", async () => {
+        throw failure;
+      });
+      eventBus.subscribe("order.placed", () => "ok");
+
+      const results = await eventBus.emitAsync("order.placed", {});
+
+      expect(results[0]).toEqual({
+        subscriptionId: failingId,
+        pattern: "order.+",
+        status: "rejected",
+        error: failure,
+      });
+      expect(results[1].status).toBe("fulfilled");
+
+      const handled = errorHandlerCalls.find(
+        (call) => call.type === "handle" && call.error === failure
       );
-      expect(errorFound).toBe(true);
+      expect(handled.context).toMatchObject({
+        source: "CoreEventBus",
+        eventName: "order.placed",
+        subscriptionId: failingId,
+        pattern: "order.+",
+      });
+    });
+
+    test("should not throw when the error system fails", async () => {
+      await eventBus.initialize();
+
+      errorSystem.handleError = async () => {
+        throw new Error("Error system down");
+      };
+      eventBus.subscribe("order.placed", () => {
+        throw new Error("Handler failed");
+      });
+
+      const results = await eventBus.emitAsync("order.placed", {});
+
+      expect(results[0].status).toBe("rejected");
+      expect(eventBus.state.errors.some((e) => e.error === "Handler failed")).toBe(true);
+    });
+
+    test("should report rejections of async handlers on plain emit", async () => {
+      await eventBus.initialize();
+
+      const subId = eventBus.subscribe("order.placed", async () => {
+        throw new Error("Async failure");
+      });
+
+      await eventBus.emit("order.placed", {});
+      await delay(0);
+
+      const recorded = eventBus.state.errors.find((e) => e.error === "Async failure");
+      expect(recorded.context).toMatchObject({ subscriptionId: subId, pattern: "order.placed" });
+    });
+
+    test("should reject unknown modes", async () => {
+      await eventBus.initialize();
+
+      await expect(
+        eventBus.emitAsync("order.placed", {}, { mode: "random" })
+      ).rejects.toMatchObject({ code: "INVALID_MODE" });
+    });
+  });
+
+  describe("Request/Reply", () => {
+    const settle = () => new Promise((resolve) => setImmediate(resolve));
+    // A responder that has not answered yet
+    const unanswered = () => new Promise(() => {});
+
+    test("should resolve with the responder's reply", async () => {
+      await eventBus.initialize();
+
+      eventBus.respond("inventory.stock", (event) => ({
+        sku: event.data.sku,
+        available: 3,
+      }));
+
+      const reply = await eventBus.request("inventory.stock", { sku: "A-1" });
+
+      expect(reply).toEqual({ sku: "A-1", available: 3 });
+      expect(eventBus.pendingRequests.size).toBe(0);
+    });
+
+    test("should emit the request as an event with a correlation id", async () => {
+      await eventBus.initialize();
+
+      const observed = [];
+      eventBus.subscribe("inventory.#", (event) => observed.push(event));
+      eventBus.respond("inventory.stock", (event) => event.metadata.correlationId);
+
+      const correlationId = await eventBus.request("inventory.stock", {}, {
+        metadata: { source: "test" },
+      });
+
+      expect(typeof correlationId).toBe("string");
+      expect(observed.length).toBe(1);
+      expect(observed[0].metadata).toEqual({ source: "test", correlationId });
+      expect(eventBus.getHistory("inventory.stock")[0].metadata.correlationId).toBe(correlationId);
+    });
+
+    test("should only ask the first responder in single mode", async () => {
+      await eventBus.initialize();
+
+      const calls = [];
+      eventBus.respond("user.lookup", () => {
+        calls.push("first");
+        return "first";
+      });
+      eventBus.respond("user.+", () => {
+        calls.push("second");
+        return "second";
+      });
+
+      expect(await eventBus.request("user.lookup", {})).toBe("first");
+      expect(calls).toEqual(["first"]);
+    });
+
+    test("should reject with the responder's error", async () => {
+      await eventBus.initialize();
+
+      const failure = new ValidationError("UNKNOWN_SKU", "Unknown SKU");
+      eventBus.respond("inventory.stock", async () => {
+        throw failure;
+      });
+
+      await expect(eventBus.request("inventory.stock", {})).rejects.toBe(failure);
+    });
+
+    test("should time out with a NetworkError", async () => {
+      const clock = new ManualClock();
+      eventBus = new CoreEventBus({ errorSystem, clock });
+      await eventBus.initialize();
+
+      let answer;
+      eventBus.respond("inventory.stock", () => new Promise((resolve) => (answer = resolve)));
+
+      const outcome = eventBus.request("inventory.stock", {}, { timeout: 10 }).catch((e) => e);
+      await clock.advance(9);
+      expect(eventBus.pendingRequests.size).toBe(1);
+
+      await clock.advance(1);
+      const error = await outcome;
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.code).toBe("NETWORK_REQUEST_TIMEOUT");
+      expect(error.details).toMatchObject({ topic: "inventory.stock", timeout: 10 });
+      expect(eventBus.pendingRequests.size).toBe(0);
+
+      // The late reply is dropped
+      answer("late");
+      await Promise.resolve();
+      expect(eventBus.pendingRequests.size).toBe(0);
+    });
+
+    test("should fail fast when nobody responds", async () => {
+      await eventBus.initialize();
+
+      await expect(eventBus.request("inventory.stock", {})).rejects.toMatchObject({
+        code: "NETWORK_NO_RESPONDER",
+      });
+    });
+
+    test("should gather a result from every responder in all mode", async () => {
+      const clock = new ManualClock();
+      eventBus = new CoreEventBus({ errorSystem, clock });
+      await eventBus.initialize();
+
+      const fastId = eventBus.respond("price.quote", () => 10);
+      const failure = new Error("Provider down");
+      const failingId = eventBus.respond("price.quote", async () => {
+        throw failure;
+      });
+      const slowId = eventBus.respond("price.+", unanswered);
+
+      const request = eventBus.request("price.quote", {}, {
+        mode: "all",
+        timeout: 20,
+      });
+      // The other responders answer before the timeout
+      await settle();
+      await clock.advance(20);
+      const results = await request;
+
+      expect(results.length).toBe(3);
+      expect(results[0]).toEqual({
+        responderId: fastId,
+        pattern: "price.quote",
+        status: "fulfilled",
+        value: 10,
+      });
+      expect(results[1]).toEqual({
+        responderId: failingId,
+        pattern: "price.quote",
+        status: "rejected",
+        error: failure,
+      });
+      expect(results[2].responderId).toBe(slowId);
+      expect(results[2].status).toBe("rejected");
+      expect(results[2].error.code).toBe("NETWORK_REQUEST_TIMEOUT");
+    });
+
+    test("should resolve all mode without responders", async () => {
+      await eventBus.initialize();
+
+      expect(await eventBus.request("price.quote", {}, { mode: "all" })).toEqual([]);
+    });
+
+    test("should stop responding after unsubscribe", async () => {
+      await eventBus.initialize();
+
+      const responderId = eventBus.respond("inventory.stock", () => "ok");
+
+      expect(eventBus.unsubscribe(responderId)).toBe(true);
+      await expect(eventBus.request("inventory.stock", {})).rejects.toMatchObject({
+        code: "NETWORK_NO_RESPONDER",
+      });
+    });
+
+    test("should reject pending requests on shutdown", async () => {
+      await eventBus.initialize();
+
+      eventBus.respond("inventory.stock", unanswered);
+      const pending = eventBus.request("inventory.stock", {});
+
+      await eventBus.shutdown();
+
+      await expect(pending).rejects.toBeInstanceOf(ServiceError);
+      await expect(pending).rejects.toMatchObject({ code: "SERVICE_SHUTDOWN" });
+    });
+
+    test("should report responders and pending requests in health checks", async () => {
+      await eventBus.initialize();
+
+      let answer;
+      eventBus.respond("inventory.stock", () => new Promise((resolve) => (answer = resolve)));
+      const pending = eventBus.request("inventory.stock", {});
+
+      const health = await eventBus.checkHealth();
+      expect(health.checks.requests).toEqual({
+        status: "healthy",
+        responders: 1,
+        pending: 1,
+      });
+
+      answer("ok");
+      await expect(pending).resolves.toBe("ok");
+    });
+  });
+
+  describe("Event Schemas", () => {
+    const userCreated = {
+      type: "object",
+      required: ["userId", "email"],
+      properties: {
+        userId: { type: "string" },
+        email: { type: "string", pattern: "@" },
+      },
+    };
+
+    test("should accept payloads that match the schema", async () => {
+      await eventBus.initialize();
+      eventBus.registerSchema("user.created", userCreated);
+
+      const received = [];
+      eventBus.subscribe("user.created", (event) => received.push(event.data));
+
+      await eventBus.emit("user.created", { userId: "1", email: "a@example.com" });
+
+      expect(received).toEqual([{ userId: "1", email: "a@example.com" }]);
+    });
+
+    test("should reject payloads with field-level validation errors", async () => {
+      await eventBus.initialize();
+      eventBus.registerSchema("user.created", userCreated);
+
+      const received = [];
+      eventBus.subscribe("user.created", (event) => received.push(event));
+
+      let error;
+      try {
+        await eventBus.emit("user.created", { userId: 1, email: "nope" });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.code).toBe("VALIDATION_INVALID_PAYLOAD");
+      expect(error.details).toMatchObject({ eventName: "user.created", version: 1 });
+      expect(error.validationErrors).toEqual([
+        { field: "userId", message: "userId must be of type string" },
+        { field: "email", message: "email must match pattern @" },
+      ]);
+      expect(received).toEqual([]);
+      expect(eventBus.getHistory("user.created")).toEqual([]);
+    });
+
+    test("should validate queued, delayed, awaited and request payloads", async () => {
+      await eventBus.initialize();
+      eventBus.registerSchema("user.created", userCreated);
+      eventBus.respond("user.created", () => true);
+
+      const invalid = { userId: "1" };
+
+      await expect(eventBus.emit("user.created", invalid, { queue: true })).rejects.toBeInstanceOf(ValidationError);
+      await expect(eventBus.emit("user.created", invalid, { delay: 10 })).rejects.toBeInstanceOf(ValidationError);
+      await expect(eventBus.emitAsync("user.created", invalid)).rejects.toBeInstanceOf(ValidationError);
+      await expect(eventBus.request("user.created", invalid)).rejects.toBeInstanceOf(ValidationError);
+
+      expect(eventBus.queues.size).toBe(0);
+      expect(eventBus.getSchedules()).toEqual([]);
+    });
+
+    test("should validate against the latest schema version", async () => {
+      await eventBus.initialize();
+      eventBus.registerSchema("user.created", userCreated);
+      eventBus.registerSchema("user.created", {
+        ...userCreated,
+        required: [...userCreated.required, "name"],
+      }, { version: 2 });
+
+      expect(eventBus.getSchema("user.created").version).toBe(2);
+      expect(eventBus.getSchema("user.created", 1).schema).toBe(userCreated);
+
+      await expect(
+        eventBus.emit("user.created", { userId: "1", email: "a@example.com" })
+      ).rejects.toMatchObject({ details: { version: 2 } });
+    });
+
+    test("should reject invalid and duplicate schemas", () => {
+      expect(() => eventBus.registerSchema("user.created", null)).toThrow(
+        expect.objectContaining({ code: "INVALID_SCHEMA" })
+      );
+      expect(() => eventBus.registerSchema("user.created", {}, { version: 0 })).toThrow(
+        expect.objectContaining({ code: "INVALID_SCHEMA" })
+      );
+
+      eventBus.registerSchema("user.created", userCreated);
+      expect(() => eventBus.registerSchema("user.created", userCreated)).toThrow(
+        expect.objectContaining({ code: "DUPLICATE_SCHEMA" })
+      );
+    });
+
+    test("should allow unregistered events outside strict mode", async () => {
+      await eventBus.initialize();
+
+      expect(await eventBus.emit("anything.goes", { any: "shape" })).toBe(false);
+    });
+
+    test("should reject unregistered events in strict mode", async () => {
+      const strictBus = new CoreEventBus({
+        errorSystem,
+        config: { eventSchemas: { strict: true } },
+      });
+      await strictBus.initialize();
+      strictBus.registerSchema("user.created", userCreated);
+
+      await expect(strictBus.emit("user.craeted", {})).rejects.toMatchObject({
+        code: "VALIDATION_UNKNOWN_EVENT",
+      });
+      expect(() => strictBus.subscribe("user.craeted", () => {})).toThrow(
+        expect.objectContaining({ code: "VALIDATION_UNKNOWN_EVENT" })
+      );
+
+      // Wildcards, registered names and system events are fine
+      strictBus.subscribe("user.#", () => {});
+      strictBus.subscribe("user.created", () => {});
+      await strictBus.emit("system:custom", {});
+
+      await strictBus.shutdown();
+    });
+
+    test("should toggle strict mode at runtime", async () => {
+      await eventBus.initialize();
+
+      eventBus.setStrictMode(true);
+      await expect(eventBus.emit("order.placed", {})).rejects.toBeInstanceOf(ValidationError);
+
+      eventBus.setStrictMode(false);
+      await eventBus.emit("order.placed", {});
+    });
+  });
+
+  describe("Event Versioning", () => {
+    // v1: { name }, v2: { firstName, lastName }, v3: adds { locale }
+    const registerUserVersions = () => {
+      eventBus.registerUpcaster("user.created", 1, (data) => {
+        const [firstName, ...rest] = data.name.split(" ");
+        return { firstName, lastName: rest.join(" ") };
+      });
+      eventBus.registerUpcaster("user.created", 2, (data) => ({ ...data, locale: "en" }));
+    };
+
+    test("should put a version on every envelope", async () => {
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.on("order.placed", (event) => received.push(event));
+
+      await eventBus.emit("order.placed", {});
+      expect(received[0].version).toBe(1);
+
+      eventBus.registerSchema("order.placed", { type: "object" }, { version: 3 });
+      await eventBus.emit("order.placed", {});
+      expect(received[1].version).toBe(3);
+    });
+
+    test("should deliver the latest shape to subscribers", async () => {
+      await eventBus.initialize();
+      registerUserVersions();
+
+      const received = [];
+      eventBus.subscribe("user.created", (event) => received.push(event));
+
+      await eventBus.emit("user.created", { name: "Ada King Lovelace" }, { version: 1 });
+
+      expect(received[0].version).toBe(3);
+      expect(received[0].data).toEqual({ firstName: "Ada", lastName: "King Lovelace", locale: "en" });
+    });
+
+    test("should deliver a pinned version to subscribers that ask for it", async () => {
+      await eventBus.initialize();
+      registerUserVersions();
+
+      const pinned = [];
+      eventBus.subscribe("user.created", (event) => pinned.push(event), { version: 2 });
+
+      await eventBus.emit("user.created", { name: "Ada Lovelace" }, { version: 1 });
+      await eventBus.emit("user.created", { firstName: "Alan", lastName: "Turing", locale: "en" });
+
+      expect(pinned[0]).toMatchObject({ version: 2, data: { firstName: "Ada", lastName: "Lovelace" } });
+      // Newer events are not downcast
+      expect(pinned[1].version).toBe(3);
+    });
+
+    test("should keep history as emitted and upcast on read", async () => {
+      await eventBus.initialize();
+
+      await eventBus.emit("user.created", { name: "Ada Lovelace" });
+      registerUserVersions();
+
+      expect(eventBus.history.get("user.created")[0].version).toBe(1);
+
+      const [latest] = eventBus.getHistory("user.created");
+      expect(latest.version).toBe(3);
+      expect(latest.data).toEqual({ firstName: "Ada", lastName: "Lovelace", locale: "en" });
+
+      const [v2] = eventBus.getHistory("user.created", { version: 2 });
+      expect(v2.data).toEqual({ firstName: "Ada", lastName: "Lovelace" });
+
+      expect(eventBus.getAllHistory()["user.created"][0].version).toBe(3);
+    });
+
+    test("should upcast replayed queue items", async () => {
+      const queueStore = new MemoryQueueStore();
+      const first = new CoreEventBus({ errorSystem, queueStore });
+      await first.initialize();
+      await first.emit("user.created", { name: "Ada Lovelace" }, { queue: true });
+      await first.shutdown();
+
+      eventBus = new CoreEventBus({ errorSystem, queueStore });
+      registerUserVersions();
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("user.created", (event) => received.push(event.data));
+      await eventBus.processQueue("user.created");
+
+      expect(received).toEqual([{ firstName: "Ada", lastName: "Lovelace", locale: "en" }]);
+    });
+
+    test("should validate a payload against the schema of its version", async () => {
+      await eventBus.initialize();
+      eventBus.registerSchema("user.created", { type: "object", required: ["name"] });
+      eventBus.registerSchema("user.created", { type: "object", required: ["firstName"] }, { version: 2 });
+      registerUserVersions();
+
+      await eventBus.emit("user.created", { name: "Ada Lovelace" }, { version: 1 });
+
+      await expect(
+        eventBus.emit("user.created", { name: "Ada Lovelace" }, { version: 2 })
+      ).rejects.toMatchObject({ code: "VALIDATION_INVALID_PAYLOAD" });
+      await expect(
+        eventBus.emit("user.created", {}, { version: 7 })
+      ).rejects.toMatchObject({ code: "VALIDATION_UNKNOWN_VERSION" });
+    });
+
+    test("should fail when an upcaster is missing from the chain", async () => {
+      await eventBus.initialize();
+      eventBus.registerUpcaster("user.created", 2, (data) => data);
+
+      const stored = [];
+      eventBus.use({ afterEmit: (event) => stored.push(event.id) });
+
+      await expect(
+        eventBus.emit("user.created", {}, { version: 1 })
+      ).rejects.toMatchObject({ code: "MISSING_UPCASTER" });
+      await expect(
+        eventBus.receive({ id: "remote-1", name: "user.created", version: 1, data: {} })
+      ).rejects.toMatchObject({ code: "MISSING_UPCASTER" });
+
+      // Neither event was stored or passed on
+      expect(eventBus.getHistory("user.created")).toEqual([]);
+      expect(stored).toEqual([]);
+    });
+
+    test("should read events that can no longer be upcast as stored", async () => {
+      await eventBus.initialize();
+
+      await eventBus.emit("user.created", { name: "Ada Lovelace" });
+      await eventBus.emit("order.placed", { id: 1 });
+      // Version 2 arrives without an upcaster from version 1
+      eventBus.registerSchema("user.created", { type: "object" }, { version: 2 });
+
+      const [user] = eventBus.getHistory("user.created");
+      expect(user).toMatchObject({ version: 1, data: { name: "Ada Lovelace" } });
+      expect(eventBus.getAllHistory()).toMatchObject({
+        "user.created": [user],
+        "order.placed": [{ data: { id: 1 } }],
+      });
+      const { events } = eventBus.queryHistory({ patterns: ["user.*", "order.*"] });
+      expect(events.map((event) => [event.name, event.version])).toEqual([
+        ["user.created", 1],
+        ["order.placed", 1],
+      ]);
+    });
+
+    test("should reject invalid and duplicate upcasters", () => {
+      expect(() => eventBus.registerUpcaster("user.created", 1, null)).toThrow(
+        expect.objectContaining({ code: "INVALID_UPCASTER" })
+      );
+      expect(() => eventBus.registerUpcaster("user.created", 0, (d) => d)).toThrow(
+        expect.objectContaining({ code: "INVALID_UPCASTER" })
+      );
+
+      eventBus.registerUpcaster("user.created", 1, (d) => d);
+      expect(() => eventBus.registerUpcaster("user.created", 1, (d) => d)).toThrow(
+        expect.objectContaining({ code: "DUPLICATE_UPCASTER" })
+      );
+    });
+  });
+
+  describe("Middleware", () => {
+    test("should run middleware in order and keep emit metadata in history", async () => {
+      await eventBus.initialize();
+
+      const calls = [];
+      eventBus
+        .use({
+          name: "tenant",
+          beforeEmit: (event, { stage }) => {
+            calls.push(`tenant:${stage}`);
+            event.metadata.tenant = "acme";
+          },
+        })
+        .use({
+          name: "trace",
+          beforeEmit: async (event) => {
+            calls.push("trace:beforeEmit");
+            return { ...event, metadata: { ...event.metadata, traced: true } };
+          },
+          beforeDeliver: () => {
+            calls.push("trace:beforeDeliver");
+          },
+        });
+
+      const received = [];
+      eventBus.subscribe("order.placed", (event) => received.push(event.metadata));
+
+      await eventBus.emit("order.placed", { id: 1 });
+
+      expect(calls).toEqual([
+        "tenant:beforeEmit",
+        "trace:beforeEmit",
+        "trace:beforeDeliver",
+      ]);
+      expect(received).toEqual([{ tenant: "acme", traced: true }]);
+      expect(eventBus.getHistory("order.placed")[0].metadata).toEqual({
+        tenant: "acme",
+        traced: true,
+      });
+    });
+
+    test("should not change history from beforeDeliver", async () => {
+      await eventBus.initialize();
+
+      eventBus.use({
+        beforeDeliver: (event) => {
+          event.metadata.deliveredAt = "now";
+          return { ...event, data: { redacted: true } };
+        },
+      });
+
+      const received = [];
+      eventBus.subscribe("user.created", (event) => received.push(event));
+
+      await eventBus.emit("user.created", { password: "secret" });
+
+      expect(received[0].data).toEqual({ redacted: true });
+      expect(received[0].metadata).toEqual({ deliveredAt: "now" });
+
+      const [stored] = eventBus.getHistory("user.created");
+      expect(stored.data).toEqual({ password: "secret" });
+      expect(stored.metadata).toEqual({});
+    });
+
+    test("should cancel events in beforeEmit", async () => {
+      await eventBus.initialize();
+
+      const later = [];
+      eventBus.use({
+        name: "drop-test",
+        beforeEmit: (event) => (event.name === "test.event" ? false : undefined),
+      });
+      eventBus.use({ beforeEmit: (event) => later.push(event.name) });
+
+      const received = [];
+      eventBus.subscribe("#", (event) => received.push(event.name));
+
+      const result = await eventBus.emit("test.event", {});
+      await eventBus.emit("other.event", {});
+
+      expect(result).toBe(false);
+      expect(later).toEqual(["other.event"]);
+      expect(received).toEqual(["other.event"]);
+      expect(eventBus.getHistory("test.event")).toEqual([]);
+      expect(await eventBus.emitAsync("test.event", {})).toEqual([]);
+
+      const metric = eventBus.state.metrics.get("eventbus.events.cancelled");
+      expect(metric.tags).toEqual({
+        eventName: "test.event",
+        stage: "beforeEmit",
+        middleware: "drop-test",
+      });
+    });
+
+    test("should cancel delivery in beforeDeliver but keep history", async () => {
+      await eventBus.initialize();
+
+      eventBus.use({ beforeDeliver: () => false });
+
+      const received = [];
+      eventBus.on("test.event", (data) => received.push(data));
+      eventBus.subscribe("test.event", (event) => received.push(event));
+
+      expect(await eventBus.emit("test.event", { id: 1 })).toBe(false);
+      expect(received).toEqual([]);
+      expect(eventBus.getHistory("test.event")).toHaveLength(1);
+    });
+
+    test("should run beforeDeliver when queued events are processed", async () => {
+      await eventBus.initialize();
+
+      const stages = [];
+      eventBus.use({
+        beforeEmit: (event) => {
+          stages.push("beforeEmit");
+          event.metadata.stamped = true;
+        },
+        beforeDeliver: (event) => {
+          stages.push("beforeDeliver");
+          return event.data.skip ? false : undefined;
+        },
+      });
+
+      const received = [];
+      eventBus.subscribe("job.run", (event) => received.push(event.data.id));
+
+      await eventBus.emit("job.run", { id: 1 }, { queue: true });
+      await eventBus.emit("job.run", { id: 2, skip: true }, { queue: true });
+      expect(stages).toEqual(["beforeEmit", "beforeEmit"]);
+
+      await eventBus.processQueue("job.run");
+
+      expect(received).toEqual([1]);
+      expect(eventBus.queues.get("job.run")).toEqual([]);
+      expect(eventBus.getDeadLetters()).toEqual([]);
+    });
+
+    test("should pass requests through middleware", async () => {
+      await eventBus.initialize();
+
+      eventBus.use({
+        beforeDeliver: (event) => {
+          event.metadata.user = "ada";
+        },
+      });
+      eventBus.respond("user.lookup", (event) => event.metadata.user);
+
+      await expect(eventBus.request("user.lookup", {})).resolves.toBe("ada");
+
+      eventBus.use({ beforeEmit: () => false });
+
+      await expect(eventBus.request("user.lookup", {})).rejects.toMatchObject({
+        code: "EVENT_CANCELLED",
+      });
+    });
+
+    test("should run afterEmit once per stored event", async () => {
+      await eventBus.initialize();
+
+      const seen = [];
+      eventBus
+        .use({ afterEmit: (event, { stage }) => seen.push([stage, event.name, event.metadata]) })
+        .use({
+          beforeEmit: (event) => {
+            event.metadata.tenant = "acme";
+          },
+          beforeDeliver: () => false,
+        });
+
+      await eventBus.emit("order.placed", {});
+      await eventBus.emit("order.queued", {}, { queue: true });
+      await eventBus.processQueue("order.queued");
+      await eventBus.receive({ id: "remote-1", name: "order.received", data: {}, metadata: {} });
+
+      expect(seen).toEqual([
+        ["afterEmit", "order.placed", { tenant: "acme" }],
+        ["afterEmit", "order.queued", { tenant: "acme" }],
+        ["afterEmit", "order.received", {}],
+      ]);
+    });
+
+    test("should report afterEmit failures without failing the emit", async () => {
+      await eventBus.initialize();
+
+      eventBus.use({
+        name: "audit",
+        afterEmit: async () => {
+          throw new Error("Audit log unavailable");
+        },
+      });
+
+      const received = [];
+      eventBus.subscribe("order.placed", (event) => received.push(event.data));
+
+      await expect(eventBus.emit("order.placed", { id: 1 })).resolves.toBe(true);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(received).toEqual([{ id: 1 }]);
+      const reported = errorHandlerCalls.find((call) => call.type === "handle");
+      expect(reported.error.message).toBe("Audit log unavailable");
+      expect(reported.context).toMatchObject({ method: "afterEmit", middleware: "audit" });
+    });
+
+    test("should reject invalid middleware", () => {
+      expect(() => eventBus.use(null)).toThrow(
+        expect.objectContaining({ code: "INVALID_MIDDLEWARE" })
+      );
+      expect(() => eventBus.use({ name: "empty" })).toThrow(
+        expect.objectContaining({ code: "INVALID_MIDDLEWARE" })
+      );
+    });
+  });
+
+  describe("Event Correlation", () => {
+    const requestContext = { correlationId: "trace-1", causationId: "req-1" };
+
+    test("should start a new chain outside any context", async () => {
+      await eventBus.initialize();
+
+      await eventBus.emit("user.created", {});
+
+      const [event] = eventBus.getHistory("user.created");
+      expect(event.correlationId).toBe(event.id);
+      expect(event.causationId).toBe(event.id);
+    });
+
+    test("should take IDs from the current context", async () => {
+      await eventBus.initialize();
+
+      await runWithEventContext(requestContext, () => eventBus.emit("user.created", {}));
+
+      const [event] = eventBus.getHistory("user.created");
+      expect(event.correlationId).toBe("trace-1");
+      expect(event.causationId).toBe("req-1");
+    });
+
+    test("should let options override the context", async () => {
+      await eventBus.initialize();
+
+      await runWithEventContext(requestContext, () =>
+        eventBus.emit("user.created", {}, { correlationId: "external", causationId: "message-9" })
+      );
+
+      const [event] = eventBus.getHistory("user.created");
+      expect(event.correlationId).toBe("external");
+      expect(event.causationId).toBe("message-9");
+    });
+
+    test("should link events emitted by handlers to their cause", async () => {
+      await eventBus.initialize();
+
+      const contexts = [];
+      eventBus.subscribe("order.placed", async (event) => {
+        contexts.push(getEventContext());
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        await eventBus.emit("invoice.created", { orderId: event.data.id });
+      });
+      eventBus.subscribe("invoice.created", () => eventBus.emit("email.sent", {}));
+
+      await runWithEventContext(requestContext, () =>
+        eventBus.emitAsync("order.placed", { id: 1 })
+      );
+
+      const [order] = eventBus.getHistory("order.placed");
+      const [invoice] = eventBus.getHistory("invoice.created");
+      const [email] = eventBus.getHistory("email.sent");
+
+      expect(contexts).toEqual([{ correlationId: "trace-1", causationId: order.id }]);
+      expect(order.causationId).toBe("req-1");
+      expect(invoice.causationId).toBe(order.id);
+      expect(email.causationId).toBe(invoice.id);
+      expect([order, invoice, email].map((event) => event.correlationId)).toEqual([
+        "trace-1",
+        "trace-1",
+        "trace-1",
+      ]);
+      expect(getEventContext()).toBeUndefined();
+    });
+
+    test("should run raw listeners and responders in the event context", async () => {
+      await eventBus.initialize();
+
+      const contexts = [];
+      eventBus.on("user.lookup", () => contexts.push(getEventContext()));
+      eventBus.respond("user.lookup", () => getEventContext());
+
+      const reply = await runWithEventContext(requestContext, () =>
+        eventBus.request("user.lookup", {})
+      );
+
+      const [event] = eventBus.getHistory("user.lookup");
+      const expected = { correlationId: "trace-1", causationId: event.id };
+      expect(contexts).toEqual([expected]);
+      expect(reply).toEqual(expected);
+    });
+
+    test("should keep the chain of queued events", async () => {
+      await eventBus.initialize();
+
+      eventBus.subscribe("job.run", () => eventBus.emit("job.done", {}));
+
+      await runWithEventContext(requestContext, () =>
+        eventBus.emit("job.run", {}, { queue: true })
+      );
+      await eventBus.processQueue("job.run");
+
+      const [job] = eventBus.getHistory("job.run");
+      const [done] = eventBus.getHistory("job.done");
+      expect(done.correlationId).toBe("trace-1");
+      expect(done.causationId).toBe(job.id);
+    });
+
+    test("should keep the chain of delayed events but not of cron runs", async () => {
+      const clock = new ManualClock(Date.parse("2024-03-10T01:00:00Z"));
+      eventBus = new CoreEventBus({ errorSystem, clock });
+      await eventBus.initialize();
+
+      await runWithEventContext(requestContext, async () => {
+        await eventBus.emit("reminder.due", {}, { delay: 1000 });
+        await eventBus.schedule("* * * * *", "report.run", {});
+      });
+      await clock.advance(60000);
+
+      const [reminder] = eventBus.getHistory("reminder.due");
+      const [report] = eventBus.getHistory("report.run");
+      expect(reminder.correlationId).toBe("trace-1");
+      expect(reminder.causationId).toBe("req-1");
+      expect(report.correlationId).toBe(report.id);
+    });
+  });
+
+  describe("Queue Management", () => {
+    test("should queue events", async () => {
+      await eventBus.initialize();
+
+      const handlerCalls = [];
+      eventBus.on("queued.event", (event) => {
+        handlerCalls.push(event);
+      });
+
+      await eventBus.emit(
+        "queued.event",
+        { message: "Queue me" },
+        { queue: true }
+      );
+
+      // Handler not called yet for queued events
+      expect(handlerCalls.length).toBe(0);
+
+      // Process the queue
+      await eventBus.processQueue("queued.event");
+
+      // Now handler should be called
+      expect(handlerCalls.length).toBe(1);
+      expect(handlerCalls[0].data).toEqual({ message: "Queue me" });
+    });
+
+    test("should process queued events immediately if specified", async () => {
+      await eventBus.initialize();
+
+      const handlerCalls = [];
+      eventBus.on("immediate.event", (event) => {
+        handlerCalls.push(event);
+      });
+
+      await eventBus.emit(
+        "immediate.event",
+        { message: "Process me now" },
+        {
+          queue: true,
+          immediate: true,
+        }
+      );
+
+      // Handler should be called immediately for immediate processing
+      expect(handlerCalls.length).toBe(1);
+    });
+
+    test("should process all queues", async () => {
+      await eventBus.initialize();
+
+      const handler1Calls = [];
+      const handler2Calls = [];
+
+      eventBus.on("queue1.event", (event) => {
+        handler1Calls.push(event);
+      });
+
+      eventBus.on("queue2.event", (event) => {
+        handler2Calls.push(event);
+      });
+
+      // Queue events in different queues
+      await eventBus.emit("queue1.event", { id: 1 }, { queue: true });
+      await eventBus.emit("queue1.event", { id: 2 }, { queue: true });
+      await eventBus.emit("queue2.event", { id: 3 }, { queue: true });
+
+      // Process all queues
+      await eventBus.processAllQueues();
+
+      expect(handler1Calls.length).toBe(2);
+      expect(handler2Calls.length).toBe(1);
+    });
+
+    test("should handle errors in queue processing", async () => {
+      await eventBus.initialize();
+
+      // Set up a handler that will throw in a controlled way
+      const errorMessage = "Test error in handler";
+      eventBus.on("error.event", () => {
+        throw new Error(errorMessage);
+      });
+
+      // Queue the event
+      await eventBus.emit("error.event", { test: true }, { queue: true });
+
+      // Process the queue - don't check for errors that might be thrown
+      try {
+        await eventBus.processQueue("error.event");
+        // If we get here, great! No error was thrown
+      } catch (error) {
+        // If we catch an error, we'll fail silently to avoid test failure
+        // No console.log to keep output clean
+      }
+
+      // Instead of checking for errors being thrown, check that errors are recorded
+      const errorFound = eventBus.state.errors.some(
+        (e) =>
+          e.error.includes(errorMessage) ||
+          (e.context &&
+            e.context.event &&
+            e.context.event.name === "error.event")
+      );
+      expect(errorFound).toBe(true);
+    });
+  });
+
+  describe("Queue Persistence", () => {
+    test("should use the in-memory store by default", () => {
+      expect(eventBus.queueStore).toBeInstanceOf(MemoryQueueStore);
+    });
+
+    test("should persist queued events and acknowledge delivered ones", async () => {
+      await eventBus.initialize();
+
+      await eventBus.emit("user.created", { id: 1 }, { queue: true });
+      await eventBus.emit("user.created", { id: 2 }, { queue: true });
+
+      let stored = await eventBus.queueStore.load();
+      expect(stored.map((item) => item.event.data)).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(stored[0]).toMatchObject({ queue: "user.created", id: stored[0].event.id });
+
+      await eventBus.processQueue("user.created");
+
+      stored = await eventBus.queueStore.load();
+      expect(stored).toEqual([]);
+    });
+
+    test("should deliver events queued before initialize once", async () => {
+      const received = [];
+      eventBus.subscribe("user.created", (event) => received.push(event.data));
+
+      await eventBus.emit("user.created", { id: 1 }, { queue: true });
+      await eventBus.initialize();
+
+      expect(eventBus.queues.get("user.created")).toHaveLength(1);
+      await eventBus.processQueue("user.created");
+      expect(received).toEqual([{ id: 1 }]);
+    });
+
+    test("should replay unacknowledged events on initialize", async () => {
+      const queueStore = new MemoryQueueStore();
+      const first = new CoreEventBus({ errorSystem, queueStore });
+      await first.initialize();
+      await first.emit("user.created", { id: 1 }, { queue: true });
+      await first.emit("order.placed", { id: 2 }, { queue: true });
+      await first.shutdown();
+
+      const second = new CoreEventBus({ errorSystem, queueStore });
+      await second.initialize();
+
+      const received = [];
+      second.subscribe("#", (event) => received.push(event.data));
+
+      expect(second.queues.get("user.created").length).toBe(1);
+      expect(await second.processAllQueues()).toEqual({
+        "user.created": 1,
+        "order.placed": 1,
+      });
+      expect(received).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(await queueStore.load()).toEqual([]);
+
+      await second.shutdown();
+    });
+
+    test("should purge the store on reset", async () => {
+      await eventBus.initialize();
+
+      await eventBus.emit("user.created", {}, { queue: true });
+      await eventBus.reset();
+
+      expect(await eventBus.queueStore.load()).toEqual([]);
+    });
+
+    test("should survive a restart with the file store", async () => {
+      const directory = await mkdtemp(join(tmpdir(), "eventbus-queue-"));
+      const config = { eventQueue: { store: "file", path: join(directory, "queue.log") } };
+
+      try {
+        const first = new CoreEventBus({ errorSystem, config });
+        expect(first.queueStore).toBeInstanceOf(FileQueueStore);
+        await first.initialize();
+        await first.emit("user.created", { id: 1 }, { queue: true });
+        await first.emit("user.created", { id: 2 }, { queue: true });
+
+        // Deliver one event, then "crash" without shutting down
+        first.queues.get("user.created").splice(1);
+        await first.processQueue("user.created");
+        await first.queueStore.close();
+
+        const second = new CoreEventBus({ errorSystem, config });
+        await second.initialize();
+
+        const received = [];
+        second.on("user.created", (event) => received.push(event.data));
+        await second.processQueue("user.created");
+
+        expect(received).toEqual([{ id: 2 }]);
+        await second.shutdown();
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Retries and Dead Letters", () => {
+    test("should keep processing after a failing event", async () => {
+      await eventBus.initialize();
+
+      const delivered = [];
+      eventBus.subscribe("order.placed", (event) => {
+        if (event.data.fail) throw new Error("Handler failed");
+        delivered.push(event.data.id);
+      });
+
+      await eventBus.emit("order.placed", { id: 1 }, { queue: true });
+      await eventBus.emit("order.placed", { id: 2, fail: true }, { queue: true });
+      await eventBus.emit("order.placed", { id: 3 }, { queue: true });
+
+      const processed = await eventBus.processQueue("order.placed");
+
+      expect(processed).toBe(2);
+      expect(delivered).toEqual([1, 3]);
+      expect(eventBus.queues.get("order.placed")).toEqual([]);
+      expect(eventBus.getDeadLetters().map((entry) => entry.event.data.id)).toEqual([2]);
+    });
+
+    test("should retry with exponential backoff before dead-lettering", async () => {
+      const clock = new ManualClock();
+      const settle = () => new Promise((resolve) => setImmediate(resolve));
+      eventBus = new CoreEventBus({ errorSystem, clock });
+      await eventBus.initialize();
+
+      const attemptTimes = [];
+      eventBus.subscribe("order.placed", async () => {
+        attemptTimes.push(clock.now());
+        throw new ValidationError("BAD_ORDER", "Bad order");
+      });
+      eventBus.setRetryPolicy("order.placed", { attempts: 3, backoff: 10, factor: 2 });
+
+      await eventBus.emit("order.placed", { id: 1 }, { queue: true });
+      const processing = eventBus.processQueue("order.placed");
+
+      // Each retry waits on the bus clock
+      await settle();
+      expect(attemptTimes).toEqual([0]);
+      await clock.advance(9);
+      expect(attemptTimes).toEqual([0]);
+      await clock.advance(1);
+      await settle();
+      expect(attemptTimes).toEqual([0, 10]);
+      await clock.advance(20);
+      await processing;
+
+      expect(attemptTimes).toEqual([0, 10, 30]);
+
+      const [entry] = eventBus.getDeadLetters({ queue: "order.placed" });
+      expect(entry.deadLetter.error).toEqual({
+        name: "ValidationError",
+        code: "VALIDATION_BAD_ORDER",
+        message: "Bad order",
+      });
+      expect(entry.deadLetter.attempts.map((a) => a.attempt)).toEqual([1, 2, 3]);
+      expect(entry.deadLetter.failedAt).toBeDefined();
+    });
+
+    test("should deliver once a retry succeeds", async () => {
+      await eventBus.initialize();
+
+      let calls = 0;
+      eventBus.subscribe("order.placed", () => {
+        calls++;
+        if (calls < 2) throw new Error("Flaky");
+      });
+      eventBus.setRetryPolicy("order.placed", { attempts: 3 });
+
+      await eventBus.emit("order.placed", {}, { queue: true });
+
+      expect(await eventBus.processQueue("order.placed")).toBe(1);
+      expect(calls).toBe(2);
+      expect(eventBus.getDeadLetters()).toEqual([]);
+      expect(await eventBus.queueStore.load()).toEqual([]);
+    });
+
+    test("should use the configured default retry policy", () => {
+      const configured = new CoreEventBus({
+        errorSystem,
+        config: { eventQueue: { retry: { attempts: 4, backoff: 50 } } },
+      });
+
+      expect(configured.getRetryPolicy("any.queue")).toMatchObject({
+        attempts: 4,
+        backoff: 50,
+        factor: 2,
+      });
+    });
+
+    test("should reject invalid retry policies", () => {
+      expect(() => eventBus.setRetryPolicy("q", { attempts: 0 })).toThrow(
+        expect.objectContaining({ code: "INVALID_RETRY_POLICY" })
+      );
+      expect(() => eventBus.setRetryPolicy("q", { jitter: 2 })).toThrow(
+        expect.objectContaining({ code: "INVALID_RETRY_POLICY" })
+      );
+    });
+
+    test("should requeue dead letters", async () => {
+      await eventBus.initialize();
+
+      let broken = true;
+      const delivered = [];
+      eventBus.subscribe("order.placed", (event) => {
+        if (broken) throw new Error("Downstream unavailable");
+        delivered.push(event.data.id);
+      });
+
+      await eventBus.emit("order.placed", { id: 1 }, { queue: true });
+      await eventBus.processQueue("order.placed");
+      expect(eventBus.getDeadLetters().length).toBe(1);
+
+      broken = false;
+      expect(await eventBus.requeueDeadLetters({ queue: "order.placed" })).toBe(1);
+      expect(eventBus.getDeadLetters()).toEqual([]);
+
+      await eventBus.processQueue("order.placed");
+      expect(delivered).toEqual([1]);
+    });
+
+    test("should purge dead letters", async () => {
+      await eventBus.initialize();
+
+      eventBus.subscribe("+.placed", () => {
+        throw new Error("Handler failed");
+      });
+
+      await eventBus.emit("order.placed", {}, { queue: true });
+      await eventBus.emit("refund.placed", {}, { queue: true });
+      await eventBus.processAllQueues();
+
+      const [orderEntry] = eventBus.getDeadLetters({ queue: "order.placed" });
+      expect(await eventBus.purgeDeadLetters({ id: orderEntry.id })).toBe(1);
+      expect(eventBus.getDeadLetters().map((entry) => entry.queue)).toEqual(["refund.placed"]);
+
+      expect(await eventBus.purgeDeadLetters()).toBe(1);
+      expect(await eventBus.queueStore.load()).toEqual([]);
+    });
+
+    test("should restore dead letters without redelivering them", async () => {
+      const queueStore = new MemoryQueueStore();
+      const first = new CoreEventBus({ errorSystem, queueStore });
+      await first.initialize();
+      first.subscribe("order.placed", () => {
+        throw new Error("Handler failed");
+      });
+      await first.emit("order.placed", { id: 1 }, { queue: true });
+      await first.processQueue("order.placed");
+      await first.shutdown();
+
+      const second = new CoreEventBus({ errorSystem, queueStore });
+      await second.initialize();
+
+      expect(second.queues.size).toBe(0);
+      expect(second.getDeadLetters().map((entry) => entry.event.data)).toEqual([{ id: 1 }]);
+
+      const health = await second.checkHealth();
+      expect(health.checks.queues.deadLetterCount).toBe(1);
+
+      await second.shutdown();
+    });
+  });
+
+  describe("Delayed and Scheduled Delivery", () => {
+    const start = Date.parse("2024-03-10T01:00:00Z");
+    let clock;
+
+    beforeEach(() => {
+      clock = new ManualClock(start);
+      eventBus = new CoreEventBus({ errorSystem, clock });
+    });
+
+    test("should emit after a delay", async () => {
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("reservation.expired", (event) => received.push(event.data));
+
+      const scheduleId = await eventBus.emit("reservation.expired", { id: 7 }, { delay: 15 * 60000 });
+
+      expect(typeof scheduleId).toBe("string");
+      expect(eventBus.getHistory("reservation.expired")).toEqual([]);
+
+      await clock.advance(15 * 60000 - 1);
+      expect(received).toEqual([]);
+
+      await clock.advance(1);
+      expect(received).toEqual([{ id: 7 }]);
+      expect(eventBus.getSchedules()).toEqual([]);
+      expect(await eventBus.queueStore.load()).toEqual([]);
+    });
+
+    test("should emit at a given time", async () => {
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("reminder.due", (event) => received.push(event.name));
+
+      await eventBus.emit("reminder.due", {}, { at: new Date(start + 5000) });
+      await clock.advance(5000);
+
+      expect(received).toEqual(["reminder.due"]);
+    });
+
+    test("should keep the other emit options for the delayed emit", async () => {
+      await eventBus.initialize();
+
+      await eventBus.emit("report.build", {}, { delay: 10, queue: true, metadata: { source: "test" } });
+      await clock.advance(10);
+
+      const [queued] = eventBus.queues.get("report.build");
+      expect(queued.event.metadata).toEqual({ source: "test" });
+    });
+
+    test("should reject invalid delays", async () => {
+      await eventBus.initialize();
+
+      await expect(eventBus.emit("a.b", {}, { delay: -1 })).rejects.toMatchObject({
+        code: "INVALID_SCHEDULE",
+      });
+      await expect(eventBus.emit("a.b", {}, { at: "not a date" })).rejects.toMatchObject({
+        code: "INVALID_SCHEDULE",
+      });
+    });
+
+    test("should cancel a delayed emit", async () => {
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("reminder.due", (event) => received.push(event));
+
+      const scheduleId = await eventBus.emit("reminder.due", {}, { delay: 1000 });
+      expect(await eventBus.cancelSchedule(scheduleId)).toBe(true);
+      expect(await eventBus.cancelSchedule(scheduleId)).toBe(false);
+
+      await clock.advance(1000);
+      expect(received).toEqual([]);
+    });
+
+    test("should emit on a cron schedule", async () => {
+      await eventBus.initialize();
+
+      const received = [];
+      eventBus.subscribe("report.nightly", (event) => received.push(event.data));
+
+      const scheduleId = await eventBus.schedule("0 2 * * *", "report.nightly", { kind: "sales" }, { utc: true });
+
+      expect(eventBus.getSchedules()).toEqual([{
+        id: scheduleId,
+        name: "report.nightly",
+        cron: "0 2 * * *",
+        recurring: true,
+        nextRun: "2024-03-10T02:00:00.000Z",
+      }]);
+
+      await clock.advance(60 * 60000);
+      expect(received).toEqual([{ kind: "sales" }]);
+      expect(eventBus.getSchedules()[0].nextRun).toBe("2024-03-11T02:00:00.000Z");
+
+      await clock.advance(24 * 60 * 60000);
+      expect(received.length).toBe(2);
+    });
+
+    test("should keep a schedule running when a handler fails", async () => {
+      await eventBus.initialize();
+
+      eventBus.subscribe("cleanup.run", () => {
+        throw new Error("Cleanup failed");
+      });
+      await eventBus.schedule("*/5 * * * *", "cleanup.run", {}, { utc: true });
+
+      await clock.advance(10 * 60000);
+
+      expect(eventBus.getHistory("cleanup.run").length).toBe(2);
+      expect(eventBus.getSchedules().length).toBe(1);
+    });
+
+    test("should reject invalid cron expressions", async () => {
+      await eventBus.initialize();
+
+      await expect(eventBus.schedule("61 * * * *", "a.b", {})).rejects.toMatchObject({
+        code: "INVALID_CRON",
+      });
+    });
+
+    test("should restore schedules from the queue store", async () => {
+      const queueStore = new MemoryQueueStore();
+      const first = new CoreEventBus({ errorSystem, clock, queueStore });
+      await first.initialize();
+      await first.emit("reminder.due", { id: 1 }, { delay: 30 * 60000 });
+      await first.schedule("0 * * * *", "report.hourly", {}, { utc: true });
+      await first.shutdown();
+
+      // Down for two hours: both are overdue
+      await clock.advance(2 * 60 * 60000);
+
+      const second = new CoreEventBus({ errorSystem, clock, queueStore });
+      const received = [];
+      second.subscribe("#", (event) => received.push(event.name));
+      await second.initialize();
+
+      expect(second.getSchedules().length).toBe(2);
+      await clock.advance(0);
+
+      expect(received.filter((name) => name !== "system:initialized")).toEqual([
+        "reminder.due",
+        "report.hourly",
+      ]);
+      expect(second.getSchedules().map((s) => s.nextRun)).toEqual(["2024-03-10T04:00:00.000Z"]);
+
+      await second.shutdown();
+    });
+
+    test("should list schedules in health checks", async () => {
+      await eventBus.initialize();
+
+      await eventBus.schedule("0 2 * * *", "report.nightly", {}, { utc: true });
+
+      const health = await eventBus.checkHealth();
+      expect(health.checks.schedules.status).toBe("healthy");
+      expect(health.checks.schedules.count).toBe(1);
+      expect(health.checks.schedules.schedules[0].name).toBe("report.nightly");
+    });
+
+    test("should stop timers on shutdown", async () => {
+      await eventBus.initialize();
+
+      await eventBus.schedule("* * * * *", "tick", {});
+      await eventBus.shutdown();
+
+      expect(clock.timers.size).toBe(0);
     });
   });
 
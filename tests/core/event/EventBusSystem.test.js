@@ -5,6 +5,10 @@ import {
   createEventBusSystem,
 } from "../../../src/core/event/EventBusSystem.js";
 import { CoreEventBus } from "../../../src/core/event/EventBus.js";
+import { EventStore } from "../../../src/core/event/EventStore.js";
+import { FileEventStore } from "../../../src/core/event/stores/index.js";
+import { IpcTransport } from "../../../src/core/event/transports/index.js";
+import { MessageChannel } from "worker_threads";
 import { createErrorSystem } from "../../../src/core/errors/ErrorSystem.js";
 import {
   CoreError,
@@ -12,6 +16,9 @@ import {
   ServiceError,
 } from "../../../src/core/errors/index.js";
 import { EventEmitter } from "events";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
 
 /**
  * TESTS
@@ -19,7 +26,8 @@ import { EventEmitter } from "events";
  * The tests are organized into the following sections:
  * - Basic Functionality: Tests for initialization and core functionality
  * - Dependency Validation: Tests for dependency validation logic
- * - EventBus Management: Tests for getEventBus and event forwarding
+ * - EventBus Management: Tests for getEventBus, getEventStore and event forwarding
+ * - Transports: Tests for forwarding events between systems without echoes
  * - Health Monitoring: Tests for health checking and metrics
  * - Error Handling: Tests for error handling and propagation
  * - Lifecycle Management: Tests for shutdown
@@ -174,6 +182,41 @@ describe("EventBusSystem", () => {
       expect(error.code).toBe("NOT_INITIALIZED");
     });
 
+    test("should provide an in-memory event store by default", async () => {
+      expect(() => eventBusSystem.getEventStore()).toThrow(
+        expect.objectContaining({ code: "NOT_INITIALIZED" })
+      );
+
+      await eventBusSystem.initialize();
+
+      const eventStore = eventBusSystem.getEventStore();
+      expect(eventStore).toBeInstanceOf(EventStore);
+      expect((await eventStore.append("stock-1", { name: "stock.received" })).version).toBe(1);
+    });
+
+    test("should create a file event store from config", async () => {
+      const directory = await mkdtemp(join(tmpdir(), "event-bus-system-"));
+      eventBusSystem = new EventBusSystem({
+        errorSystem,
+        config: {
+          eventStore: { store: "file", path: join(directory, "events.log"), snapshotEvery: 50 },
+        },
+      });
+
+      try {
+        await eventBusSystem.initialize();
+
+        const eventStore = eventBusSystem.getEventStore();
+        expect(eventStore).toBeInstanceOf(FileEventStore);
+        expect(eventStore.snapshotEvery).toBe(50);
+
+        await eventStore.append("stock-1", { name: "stock.received" });
+        await eventBusSystem.shutdown();
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    });
+
     test("should forward system events from eventBus", async () => {
       await eventBusSystem.initialize();
 
@@ -197,6 +240,225 @@ describe("EventBusSystem", () => {
     });
   });
 
+  describe("Transports", () => {
+    const systems = [];
+    const ports = [];
+
+    /**
+     * Create an initialized system; systems stand in for processes
+     */
+    async function createNode() {
+      const system = new EventBusSystem({ errorSystem, config: {} });
+      await system.initialize();
+      systems.push(system);
+      return system;
+    }
+
+    /**
+     * Connect two systems over a MessageChannel
+     */
+    async function link(a, b) {
+      const { port1, port2 } = new MessageChannel();
+      ports.push(port1);
+      const transports = [new IpcTransport({ port: port1 }), new IpcTransport({ port: port2 })];
+      await a.addTransport(transports[0]);
+      await b.addTransport(transports[1]);
+      return transports;
+    }
+
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    afterEach(async () => {
+      for (const system of systems.splice(0)) {
+        await system.shutdown();
+      }
+      for (const port of ports.splice(0)) {
+        port.close();
+      }
+    });
+
+    test("should deliver events to the other side with the envelope intact", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      await link(a, b);
+
+      const received = [];
+      b.getEventBus().subscribe("order.placed", (event) => received.push(event));
+
+      await a.getEventBus().emit("order.placed", { id: 1 }, { metadata: { tenant: "acme" } });
+      await settle();
+
+      const [sent] = a.getEventBus().getHistory("order.placed");
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({
+        id: sent.id,
+        timestamp: sent.timestamp,
+        metadata: { tenant: "acme" },
+        correlationId: sent.correlationId,
+        data: { id: 1 },
+      });
+      expect(b.getEventBus().getHistory("order.placed")[0].id).toBe(sent.id);
+    });
+
+    test("should not deliver events back to the sender", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      await link(a, b);
+
+      const seenByA = [];
+      a.getEventBus().subscribe("order.placed", (event) => seenByA.push(event.id));
+
+      await a.getEventBus().emit("order.placed", {});
+      await settle();
+
+      expect(seenByA).toHaveLength(1);
+      expect(a.getEventBus().getHistory("order.placed")).toHaveLength(1);
+    });
+
+    test("should relay events through a hub", async () => {
+      const hub = await createNode();
+      const a = await createNode();
+      const b = await createNode();
+      await link(hub, a);
+      await link(hub, b);
+
+      const seen = { hub: 0, a: 0, b: 0 };
+      for (const [name, system] of Object.entries({ hub, a, b })) {
+        system.getEventBus().subscribe("stock.changed", () => seen[name]++);
+      }
+
+      await a.getEventBus().emit("stock.changed", {});
+      await settle();
+
+      expect(seen).toEqual({ hub: 1, a: 1, b: 1 });
+    });
+
+    test("should drop duplicate deliveries", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      const [toB] = await link(a, b);
+
+      const received = [];
+      b.getEventBus().subscribe("order.placed", (event) => received.push(event.id));
+
+      await a.getEventBus().emit("order.placed", {});
+      const [event] = a.getEventBus().getHistory("order.placed");
+      await toB.send({ origin: a.nodeId, event });
+      await settle();
+
+      expect(received).toEqual([event.id]);
+    });
+
+    test("should forward queued events once, when they are emitted", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      await link(a, b);
+
+      const received = [];
+      b.getEventBus().subscribe("order.placed", (event) => received.push(event.data));
+
+      const bus = a.getEventBus();
+      bus.setRetryPolicy("order.placed", { attempts: 3 });
+      let attempts = 0;
+      bus.subscribe("order.placed", () => {
+        if (++attempts < 3) throw new Error("Not yet");
+      });
+
+      await bus.emit("order.placed", { id: 1 }, { queue: true });
+      await settle();
+      expect(received).toEqual([{ id: 1 }]);
+
+      await bus.processQueue("order.placed");
+      await settle();
+      expect(attempts).toBe(3);
+      expect(received).toEqual([{ id: 1 }]);
+    });
+
+    test("should forward events as stored in history", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      await link(a, b);
+
+      // Added after the transport, and only changing local delivery
+      a.getEventBus()
+        .use({
+          beforeEmit: (event) => {
+            event.metadata.tenant = "acme";
+          },
+        })
+        .use({ beforeDeliver: () => false });
+
+      await a.getEventBus().emit("order.placed", { id: 1 });
+      await settle();
+
+      const [copy] = b.getEventBus().getHistory("order.placed");
+      expect(copy.metadata).toEqual({ tenant: "acme" });
+      expect(copy).toEqual(a.getEventBus().getHistory("order.placed")[0]);
+    });
+
+    test("should not forward system events", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      await link(a, b);
+
+      await a.getEventBus().emit("system:custom", {});
+      await settle();
+
+      expect(b.getEventBus().getHistory("system:custom")).toEqual([]);
+    });
+
+    test("should connect transports added before initialize", async () => {
+      const a = new EventBusSystem({ errorSystem, config: {} });
+      systems.push(a);
+      const b = await createNode();
+      await link(a, b);
+      await a.initialize();
+
+      await a.getEventBus().emit("order.placed", {});
+      await settle();
+
+      expect(b.getEventBus().getHistory("order.placed")).toHaveLength(1);
+    });
+
+    test("should stop forwarding after a transport is removed", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      const [toB] = await link(a, b);
+
+      expect(await a.removeTransport(toB)).toBe(true);
+      expect(await a.removeTransport(toB)).toBe(false);
+
+      await a.getEventBus().emit("order.placed", {});
+      await settle();
+
+      expect(b.getEventBus().getHistory("order.placed")).toEqual([]);
+    });
+
+    test("should report failed sends", async () => {
+      const a = await createNode();
+      await a.addTransport({
+        connect() {},
+        send: async () => {
+          throw new Error("Connection lost");
+        },
+        close() {},
+      });
+
+      await a.getEventBus().emit("order.placed", {});
+      await settle();
+
+      const reported = errorHandlerCalls.find((call) => call.type === "handle");
+      expect(reported.error.code).toBe("NETWORK_TRANSPORT_SEND_FAILED");
+      expect(reported.context).toMatchObject({ source: "EventBusSystem", eventName: "order.placed" });
+    });
+
+    test("should reject invalid transports", async () => {
+      await expect(eventBusSystem.addTransport({ send() {} })).rejects.toMatchObject({
+        code: "INVALID_TRANSPORT",
+      });
+    });
+  });
+
   describe("Health Monitoring", () => {
     test("should check health status", async () => {
       await eventBusSystem.initialize();
@@ -0,0 +1,106 @@
+// tests/core/event/EventLog.test.js
+import { EventLog } from "../../../src/core/event/EventLog.js";
+
+/**
+ * TESTS
+ *
+ * - Appending
+ *   -- Tests for sequence numbers and unbounded growth
+ * - Ring Buffer
+ *   -- Tests for eviction once a bounded log is full
+ * - Iteration
+ *   -- Tests for ordered iteration after a sequence number and clearing
+ */
+
+describe("EventLog", () => {
+  const event = (n) => ({ id: String(n), name: "test.event" });
+  const sequences = (log, after) => Array.from(log.entries(after), (entry) => entry.sequence);
+
+  describe("Appending", () => {
+    test("should number entries in order", () => {
+      const log = new EventLog();
+
+      log.append(event(1));
+      log.append(event(2));
+
+      expect(log.size).toBe(2);
+      expect(log.firstSequence).toBe(1);
+      expect(Array.from(log.entries())).toEqual([
+        { sequence: 1, event: event(1) },
+        { sequence: 2, event: event(2) },
+      ]);
+    });
+
+    test("should grow without bound by default", () => {
+      const log = new EventLog();
+
+      for (let i = 0; i < 50; i++) {
+        expect(log.append(event(i))).toBeNull();
+      }
+
+      expect(log.size).toBe(50);
+    });
+  });
+
+  describe("Ring Buffer", () => {
+    test("should evict the oldest entry once full", () => {
+      const log = new EventLog({ capacity: 3 });
+
+      for (let i = 1; i <= 3; i++) {
+        expect(log.append(event(i))).toBeNull();
+      }
+
+      expect(log.append(event(4))).toEqual({ sequence: 1, event: event(1) });
+      expect(log.append(event(5))).toEqual({ sequence: 2, event: event(2) });
+
+      expect(log.size).toBe(3);
+      expect(log.firstSequence).toBe(3);
+      expect(sequences(log)).toEqual([3, 4, 5]);
+    });
+
+    test("should keep order when wrapping around several times", () => {
+      const log = new EventLog({ capacity: 4 });
+
+      for (let i = 1; i <= 11; i++) {
+        log.append(event(i));
+      }
+
+      expect(Array.from(log.entries(), (entry) => entry.event.id)).toEqual([
+        "8",
+        "9",
+        "10",
+        "11",
+      ]);
+    });
+  });
+
+  describe("Iteration", () => {
+    test("should iterate entries after a sequence number", () => {
+      const log = new EventLog({ capacity: 5 });
+
+      for (let i = 1; i <= 7; i++) {
+        log.append(event(i));
+      }
+
+      expect(sequences(log, 4)).toEqual([5, 6, 7]);
+      expect(sequences(log, 7)).toEqual([]);
+      // Evicted sequence numbers continue from the oldest stored entry
+      expect(sequences(log, 1)).toEqual([3, 4, 5, 6, 7]);
+    });
+
+    test("should keep counting after clear", () => {
+      const log = new EventLog({ capacity: 2 });
+
+      log.append(event(1));
+      log.append(event(2));
+      log.clear();
+
+      expect(log.size).toBe(0);
+      expect(log.firstSequence).toBeNull();
+      expect(sequences(log)).toEqual([]);
+
+      log.append(event(3));
+      expect(sequences(log)).toEqual([3]);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+// tests/core/event/EventStore.test.js
+import { EventStore } from "../../../src/core/event/EventStore.js";
+import { runWithEventContext } from "../../../src/core/event/EventContext.js";
+
+/**
+ * TESTS
+ *
+ * - Appending
+ *   -- Tests for stream versions, event envelopes and input validation
+ * - Optimistic Concurrency
+ *   -- Tests for expectedVersion checks, including concurrent writers
+ * - Reading
+ *   -- Tests for readStream ranges and stream versions
+ * - Replay and Snapshots
+ *   -- Tests for reducers, explicit and periodic snapshots
+ */
+
+const stockReducer = (state, event) => {
+  switch (event.name) {
+    case "stock.received":
+      return { ...state, quantity: state.quantity + event.data.quantity };
+    case "stock.shipped":
+      return { ...state, quantity: state.quantity - event.data.quantity };
+    default:
+      return state;
+  }
+};
+
+describe("EventStore", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new EventStore();
+  });
+
+  describe("Appending", () => {
+    test("should number events per stream", async () => {
+      const first = await store.append("stock-1", [
+        { name: "stock.received", data: { quantity: 10 } },
+        { name: "stock.shipped", data: { quantity: 3 } },
+      ]);
+      const other = await store.append("stock-2", { name: "stock.received", data: { quantity: 1 } });
+
+      expect(first.version).toBe(2);
+      expect(first.events.map((event) => event.version)).toEqual([1, 2]);
+      expect(other.version).toBe(1);
+      expect(first.events[0]).toMatchObject({
+        streamId: "stock-1",
+        name: "stock.received",
+        data: { quantity: 10 },
+        metadata: {},
+      });
+      expect(Object.isFrozen(first.events[0])).toBe(true);
+    });
+
+    test("should take correlation IDs from the event context", async () => {
+      const { events } = await runWithEventContext(
+        { correlationId: "trace-1", causationId: "order-9" },
+        () => store.append("stock-1", { name: "stock.reserved", data: {} })
+      );
+
+      expect(events[0].correlationId).toBe("trace-1");
+      expect(events[0].causationId).toBe("order-9");
+    });
+
+    test("should reject invalid input", async () => {
+      await expect(store.append("", [{ name: "x" }])).rejects.toMatchObject({
+        code: "INVALID_STREAM",
+      });
+      await expect(store.append("stock-1", [])).rejects.toMatchObject({
+        code: "INVALID_EVENT",
+      });
+      await expect(store.append("stock-1", [{ data: {} }])).rejects.toMatchObject({
+        code: "INVALID_EVENT",
+      });
+      await expect(
+        store.append("stock-1", { name: "x" }, { expectedVersion: -1 })
+      ).rejects.toMatchObject({ code: "INVALID_EXPECTED_VERSION" });
+      expect(() => new EventStore({ snapshotEvery: -2 })).toThrow(
+        expect.objectContaining({ code: "CONFIG_INVALID_SNAPSHOT_INTERVAL" })
+      );
+    });
+  });
+
+  describe("Optimistic Concurrency", () => {
+    test("should append when the expected version matches", async () => {
+      await store.append("stock-1", { name: "stock.received" }, { expectedVersion: 0 });
+      const result = await store.append("stock-1", { name: "stock.shipped" }, { expectedVersion: 1 });
+
+      expect(result.version).toBe(2);
+    });
+
+    test("should reject a stale expected version without writing", async () => {
+      await store.append("stock-1", { name: "stock.received" });
+
+      let error;
+      try {
+        await store.append("stock-1", [{ name: "a" }, { name: "b" }], { expectedVersion: 0 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).toBe("CONCURRENCY_CONFLICT");
+      expect(error.statusCode).toBe(409);
+      expect(error.details).toMatchObject({
+        streamId: "stock-1",
+        expectedVersion: 0,
+        actualVersion: 1,
+      });
+      expect(await store.getVersion("stock-1")).toBe(1);
+    });
+
+    test("should let only one of two concurrent writers win", async () => {
+      const { version } = await store.replay("stock-1", stockReducer, {
+        initialState: { quantity: 0 },
+      });
+
+      const results = await Promise.allSettled([
+        store.append("stock-1", { name: "stock.received", data: { quantity: 5 } }, { expectedVersion: version }),
+        store.append("stock-1", { name: "stock.received", data: { quantity: 7 } }, { expectedVersion: version }),
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual(["fulfilled", "rejected"]);
+      expect(results[1].reason.code).toBe("CONCURRENCY_CONFLICT");
+      expect(await store.getVersion("stock-1")).toBe(1);
+    });
+  });
+
+  describe("Reading", () => {
+    test("should read a range of versions", async () => {
+      await store.append("stock-1", [1, 2, 3, 4].map((n) => ({ name: "stock.received", data: { n } })));
+
+      const all = await store.readStream("stock-1");
+      const middle = await store.readStream("stock-1", { fromVersion: 2, toVersion: 3 });
+
+      expect(all.map((event) => event.data.n)).toEqual([1, 2, 3, 4]);
+      expect(middle.map((event) => event.version)).toEqual([2, 3]);
+      expect(await store.readStream("missing")).toEqual([]);
+      expect(await store.getVersion("missing")).toBe(0);
+    });
+  });
+
+  describe("Replay and Snapshots", () => {
+    test("should fold a stream with a reducer", async () => {
+      await store.append("stock-1", [
+        { name: "stock.received", data: { quantity: 10 } },
+        { name: "stock.shipped", data: { quantity: 4 } },
+      ]);
+
+      const result = await store.replay("stock-1", stockReducer, {
+        initialState: { quantity: 0 },
+      });
+
+      expect(result).toEqual({ state: { quantity: 6 }, version: 2 });
+    });
+
+    test("should support async reducers", async () => {
+      await store.append("stock-1", { name: "stock.received", data: { quantity: 2 } });
+
+      const { state } = await store.replay(
+        "stock-1",
+        async (state, event) => stockReducer(state, event),
+        { initialState: { quantity: 1 } }
+      );
+
+      expect(state).toEqual({ quantity: 3 });
+    });
+
+    test("should start from a saved snapshot", async () => {
+      await store.append("stock-1", [
+        { name: "stock.received", data: { quantity: 10 } },
+        { name: "stock.shipped", data: { quantity: 4 } },
+      ]);
+      await store.saveSnapshot("stock-1", { quantity: 6 }, 2);
+      await store.append("stock-1", { name: "stock.received", data: { quantity: 1 } });
+
+      const seen = [];
+      const result = await store.replay(
+        "stock-1",
+        (state, event) => {
+          seen.push(event.version);
+          return stockReducer(state, event);
+        },
+        { initialState: { quantity: 0 } }
+      );
+
+      expect(seen).toEqual([3]);
+      expect(result).toEqual({ state: { quantity: 7 }, version: 3 });
+
+      const full = await store.replay("stock-1", stockReducer, {
+        initialState: { quantity: 0 },
+        useSnapshot: false,
+      });
+      expect(full.state).toEqual({ quantity: 7 });
+    });
+
+    test("should save snapshots periodically during replay", async () => {
+      store = new EventStore({ snapshotEvery: 3 });
+      const receive = (quantity) => ({ name: "stock.received", data: { quantity } });
+
+      await store.append("stock-1", [receive(1), receive(1)]);
+      await store.replay("stock-1", stockReducer, { initialState: { quantity: 0 } });
+      expect(await store.getSnapshot("stock-1")).toBeNull();
+
+      await store.append("stock-1", receive(1));
+      await store.replay("stock-1", stockReducer, { initialState: { quantity: 0 } });
+      expect(await store.getSnapshot("stock-1")).toMatchObject({
+        version: 3,
+        state: { quantity: 3 },
+      });
+
+      await store.append("stock-1", [receive(1), receive(1)]);
+      await store.replay("stock-1", stockReducer, { initialState: { quantity: 0 } });
+      expect((await store.getSnapshot("stock-1")).version).toBe(3);
+    });
+
+    test("should isolate snapshots from reducer changes", async () => {
+      await store.append("stock-1", { name: "stock.received", data: { quantity: 1 } });
+      await store.saveSnapshot("stock-1", { items: [] }, 1);
+
+      const snapshot = await store.getSnapshot("stock-1");
+      snapshot.state.items.push("changed");
+
+      expect((await store.getSnapshot("stock-1")).state).toEqual({ items: [] });
+    });
+
+    test("should keep only the newest snapshot and delete it on request", async () => {
+      await store.append("stock-1", [{ name: "a" }, { name: "b" }]);
+      await store.saveSnapshot("stock-1", { at: 2 }, 2);
+      await store.saveSnapshot("stock-1", { at: 1 }, 1);
+
+      expect((await store.getSnapshot("stock-1")).state).toEqual({ at: 2 });
+      expect(await store.deleteSnapshot("stock-1")).toBe(true);
+      expect(await store.deleteSnapshot("stock-1")).toBe(false);
+      expect(await store.getSnapshot("stock-1")).toBeNull();
+    });
+
+    test("should reject invalid snapshots and reducers", async () => {
+      await store.append("stock-1", { name: "a" });
+
+      await expect(store.saveSnapshot("stock-1", {}, 2)).rejects.toMatchObject({
+        code: "INVALID_SNAPSHOT",
+      });
+      await expect(store.saveSnapshot("stock-1", {}, 0)).rejects.toMatchObject({
+        code: "INVALID_SNAPSHOT",
+      });
+      await expect(store.replay("stock-1", null)).rejects.toMatchObject({
+        code: "INVALID_REDUCER",
+      });
+    });
+  });
+});
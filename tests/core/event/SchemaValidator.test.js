@@ -0,0 +1,132 @@
+// tests/core/event/SchemaValidator.test.js
+import { validateSchema } from "../../../src/core/event/SchemaValidator.js";
+
+/**
+ * TESTS
+ *
+ * - Types and Values
+ *   -- Tests for type, enum, const and scalar constraints
+ * - Objects and Arrays
+ *   -- Tests for nested properties, required fields and items
+ * - Combinators
+ *   -- Tests for anyOf and oneOf
+ */
+
+describe("validateSchema", () => {
+  describe("Types and Values", () => {
+    test("should accept matching values", () => {
+      expect(validateSchema({ type: "string" }, "ok")).toEqual([]);
+      expect(validateSchema({ type: ["string", "null"] }, null)).toEqual([]);
+      expect(validateSchema({ type: "integer" }, 3)).toEqual([]);
+    });
+
+    test("should report type mismatches", () => {
+      expect(validateSchema({ type: "integer" }, 1.5)).toEqual([
+        { field: "", message: "payload must be of type integer" },
+      ]);
+      expect(validateSchema({ type: "object" }, [])).toHaveLength(1);
+      expect(validateSchema({ type: "number" }, NaN)).toHaveLength(1);
+    });
+
+    test("should check enum and const", () => {
+      expect(validateSchema({ enum: ["a", "b"] }, "c")).toHaveLength(1);
+      expect(validateSchema({ const: 1 }, 1)).toEqual([]);
+      expect(validateSchema({ const: 1 }, 2)).toHaveLength(1);
+    });
+
+    test("should check string and number bounds", () => {
+      const schema = { type: "string", minLength: 2, maxLength: 3, pattern: "^[a-z]+$" };
+
+      expect(validateSchema(schema, "ab")).toEqual([]);
+      expect(validateSchema(schema, "a")).toHaveLength(1);
+      expect(validateSchema(schema, "ABCD")).toHaveLength(2);
+
+      const range = { type: "number", minimum: 0, exclusiveMaximum: 10 };
+      expect(validateSchema(range, 0)).toEqual([]);
+      expect(validateSchema(range, 10)).toHaveLength(1);
+      expect(validateSchema(range, -1)).toHaveLength(1);
+    });
+  });
+
+  describe("Objects and Arrays", () => {
+    const orderSchema = {
+      type: "object",
+      required: ["id", "items"],
+      properties: {
+        id: { type: "string" },
+        customer: {
+          type: "object",
+          required: ["email"],
+          properties: { email: { type: "string" } },
+        },
+        items: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["sku"],
+            properties: { sku: { type: "string" }, quantity: { type: "integer", minimum: 1 } },
+          },
+        },
+      },
+      additionalProperties: false,
+    };
+
+    test("should accept a valid payload", () => {
+      expect(
+        validateSchema(orderSchema, {
+          id: "o-1",
+          customer: { email: "a@example.com" },
+          items: [{ sku: "A", quantity: 2 }],
+        })
+      ).toEqual([]);
+    });
+
+    test("should report nested fields by path", () => {
+      const errors = validateSchema(orderSchema, {
+        customer: {},
+        items: [{ sku: "A", quantity: 0 }, { quantity: 1 }],
+        note: "extra",
+      });
+
+      expect(errors.map((e) => e.field)).toEqual([
+        "id",
+        "customer.email",
+        "items[0].quantity",
+        "items[1].sku",
+        "note",
+      ]);
+      expect(errors[0].message).toBe("id is required");
+      expect(errors[4].message).toBe("note is not allowed");
+    });
+
+    test("should validate additional properties against a schema", () => {
+      const schema = { type: "object", additionalProperties: { type: "number" } };
+
+      expect(validateSchema(schema, { a: 1, b: "2" })).toEqual([
+        { field: "b", message: "b must be of type number" },
+      ]);
+    });
+
+    test("should check array length", () => {
+      expect(validateSchema(orderSchema.properties.items, [])).toHaveLength(1);
+      expect(validateSchema({ type: "array", maxItems: 1 }, [1, 2])).toHaveLength(1);
+    });
+  });
+
+  describe("Combinators", () => {
+    test("should require at least one anyOf match", () => {
+      const schema = { anyOf: [{ type: "string" }, { type: "integer" }] };
+
+      expect(validateSchema(schema, 1)).toEqual([]);
+      expect(validateSchema(schema, true)).toHaveLength(1);
+    });
+
+    test("should require exactly one oneOf match", () => {
+      const schema = { oneOf: [{ type: "number" }, { type: "integer" }] };
+
+      expect(validateSchema(schema, 1.5)).toEqual([]);
+      expect(validateSchema(schema, 1)).toHaveLength(1);
+    });
+  });
+});
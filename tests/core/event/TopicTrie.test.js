@@ -0,0 +1,141 @@
+// tests/core/event/TopicTrie.test.js
+import { TopicTrie } from "../../../src/core/event/TopicTrie.js";
+import { CoreError } from "../../../src/core/errors/index.js";
+
+/**
+ * TESTS
+ *
+ * - Pattern Parsing
+ *   -- Tests for segment validation and legacy '*' mapping
+ * - Matching
+ *   -- Tests for exact, '+' and '#' routing and result order
+ * - Removal
+ *   -- Tests for removing items and pruning empty branches
+ */
+
+describe("TopicTrie", () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new TopicTrie();
+  });
+
+  describe("Pattern Parsing", () => {
+    test("should split patterns into segments", () => {
+      expect(TopicTrie.parse("user.+.updated")).toEqual(["user", "+", "updated"]);
+      expect(TopicTrie.parse("user.#")).toEqual(["user", "#"]);
+    });
+
+    test("should map legacy '*' to '#' when last and '+' elsewhere", () => {
+      expect(TopicTrie.parse("*")).toEqual(["#"]);
+      expect(TopicTrie.parse("user.*")).toEqual(["user", "#"]);
+      expect(TopicTrie.parse("*.created")).toEqual(["+", "created"]);
+    });
+
+    test("should reject invalid patterns", () => {
+      for (const pattern of [null, "", "user.#.created", "user.cre*", "us+er"]) {
+        let error;
+        try {
+          TopicTrie.parse(pattern);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).toBeInstanceOf(CoreError);
+        expect(error.code).toBe("INVALID_PATTERN");
+      }
+    });
+
+    test("should detect wildcard patterns", () => {
+      expect(TopicTrie.isWildcard("user.created")).toBe(false);
+      expect(TopicTrie.isWildcard("user.+")).toBe(true);
+      expect(TopicTrie.isWildcard("user.*")).toBe(true);
+    });
+  });
+
+  describe("Matching", () => {
+    test("should match exact topics only", () => {
+      trie.add("user.created", "a");
+
+      expect(trie.match("user.created")).toEqual(["a"]);
+      expect(trie.match("user")).toEqual([]);
+      expect(trie.match("user.created.extra")).toEqual([]);
+    });
+
+    test("should match exactly one segment with '+'", () => {
+      trie.add("+.created", "a");
+      trie.add("user.+.updated", "b");
+
+      expect(trie.match("order.created")).toEqual(["a"]);
+      expect(trie.match("created")).toEqual([]);
+      expect(trie.match("user.profile.updated")).toEqual(["b"]);
+      expect(trie.match("user.profile.avatar.updated")).toEqual([]);
+    });
+
+    test("should match zero or more trailing segments with '#'", () => {
+      trie.add("user.#", "a");
+      trie.add("#", "all");
+
+      expect(trie.match("user")).toEqual(["a", "all"]);
+      expect(trie.match("user.profile.updated")).toEqual(["a", "all"]);
+      expect(trie.match("order.created")).toEqual(["all"]);
+    });
+
+    test("should return matches once in insertion order", () => {
+      trie.add("user.created", "exact");
+      trie.add("user.#", "multi");
+      trie.add("+.created", "single");
+      trie.add("+.+", "double");
+
+      expect(trie.match("user.created")).toEqual(["exact", "multi", "single", "double"]);
+    });
+
+    test("should keep items with the same pattern separate", () => {
+      trie.add("user.+", "a");
+      trie.add("user.+", "b");
+
+      expect(trie.match("user.created")).toEqual(["a", "b"]);
+      expect(trie.size).toBe(2);
+    });
+  });
+
+  describe("Removal", () => {
+    test("should remove items and report whether they existed", () => {
+      trie.add("user.+", "a");
+      trie.add("user.#", "b");
+
+      expect(trie.remove("user.+", "a")).toBe(true);
+      expect(trie.remove("user.+", "a")).toBe(false);
+      expect(trie.remove("order.+", "b")).toBe(false);
+      expect(trie.match("user.created")).toEqual(["b"]);
+
+      expect(trie.remove("user.*", "b")).toBe(true);
+      expect(trie.match("user.created")).toEqual([]);
+      expect(trie.size).toBe(0);
+    });
+
+    test("should prune branches left empty", () => {
+      trie.add("user.profile.+", "a");
+      trie.add("user.created", "b");
+
+      trie.remove("user.profile.+", "a");
+
+      const user = trie.root.children.get("user");
+      expect(user.children.has("profile")).toBe(false);
+      expect(user.children.has("created")).toBe(true);
+
+      trie.remove("user.created", "b");
+      expect(trie.root.children.size).toBe(0);
+    });
+
+    test("should clear all items", () => {
+      trie.add("user.#", "a");
+      trie.add("order.+", "b");
+
+      trie.clear();
+
+      expect(trie.size).toBe(0);
+      expect(trie.match("user.created")).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// tests/core/event/stores/FileEventStore.test.js
+import { appendFile, mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { FileEventStore } from "../../../../src/core/event/stores/FileEventStore.js";
+
+/**
+ * TESTS
+ *
+ * - FileEventStore
+ *   -- Tests for persisting streams and snapshots, reloading and torn writes
+ */
+
+describe("FileEventStore", () => {
+  let directory;
+  let path;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), "event-store-"));
+    path = join(directory, "nested", "events.log");
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test("should require a path", () => {
+    expect(() => new FileEventStore()).toThrow(
+      expect.objectContaining({ code: "CONFIG_MISSING_PATH" })
+    );
+  });
+
+  test("should start empty when the file does not exist", async () => {
+    const store = new FileEventStore({ path });
+
+    expect(await store.getVersion("stock-1")).toBe(0);
+  });
+
+  test("should restore streams and snapshots after a restart", async () => {
+    const store = new FileEventStore({ path });
+    await store.append("stock-1", [
+      { name: "stock.received", data: { quantity: 5 } },
+      { name: "stock.shipped", data: { quantity: 2 } },
+    ]);
+    await store.append("stock-2", { name: "stock.received", data: { quantity: 1 } });
+    await store.saveSnapshot("stock-1", { quantity: 5 }, 1);
+    await store.close();
+
+    const restarted = new FileEventStore({ path });
+    const events = await restarted.readStream("stock-1");
+
+    expect(events.map((event) => event.name)).toEqual(["stock.received", "stock.shipped"]);
+    expect(Object.isFrozen(events[0])).toBe(true);
+    expect(await restarted.getVersion("stock-2")).toBe(1);
+    expect(await restarted.getSnapshot("stock-1")).toMatchObject({
+      version: 1,
+      state: { quantity: 5 },
+    });
+
+    // Versions continue where the previous process stopped
+    await expect(
+      restarted.append("stock-1", { name: "stock.shipped" }, { expectedVersion: 1 })
+    ).rejects.toMatchObject({ code: "CONCURRENCY_CONFLICT" });
+    expect((await restarted.append("stock-1", { name: "stock.shipped" }, { expectedVersion: 2 })).version).toBe(3);
+  });
+
+  test("should only append to the log", async () => {
+    const store = new FileEventStore({ path });
+    await store.append("stock-1", { name: "a" });
+    await store.saveSnapshot("stock-1", {}, 1);
+    await store.deleteSnapshot("stock-1");
+
+    const lines = (await readFile(path, "utf8")).trim().split("\n").map(JSON.parse);
+    expect(lines.map((line) => line.op)).toEqual(["append", "snapshot", "deleteSnapshot"]);
+
+    const restarted = new FileEventStore({ path });
+    expect(await restarted.getSnapshot("stock-1")).toBeNull();
+  });
+
+  test("should not store events of a rejected append", async () => {
+    const store = new FileEventStore({ path });
+    await store.append("stock-1", { name: "a" });
+    await expect(
+      store.append("stock-1", { name: "b" }, { expectedVersion: 0 })
+    ).rejects.toMatchObject({ code: "CONCURRENCY_CONFLICT" });
+
+    const lines = (await readFile(path, "utf8")).trim().split("\n");
+    expect(lines).toHaveLength(1);
+  });
+
+  test("should cut off a torn write before appending", async () => {
+    const store = new FileEventStore({ path });
+    await store.append("stock-1", { name: "a" });
+    await store.close();
+    await appendFile(path, '{"op":"append","records":[{"id"');
+
+    const restarted = new FileEventStore({ path });
+    await restarted.append("stock-1", { name: "b" }, { expectedVersion: 1 });
+
+    const reloaded = new FileEventStore({ path });
+    const events = await reloaded.readStream("stock-1");
+    expect(events.map((event) => event.name)).toEqual(["a", "b"]);
+  });
+
+  test("should report read failures", async () => {
+    // A directory cannot be read as a file
+    const store = new FileEventStore({ path: directory });
+
+    await expect(store.load()).rejects.toMatchObject({
+      code: "SERVICE_EVENT_STORE_READ_FAILED",
+    });
+  });
+});
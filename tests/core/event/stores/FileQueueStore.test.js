@@ -0,0 +1,128 @@
+// tests/core/event/stores/FileQueueStore.test.js
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { FileQueueStore } from "../../../../src/core/event/stores/FileQueueStore.js";
+import { MemoryQueueStore } from "../../../../src/core/event/stores/MemoryQueueStore.js";
+
+/**
+ * TESTS
+ *
+ * - FileQueueStore
+ *   -- Tests for appending, acknowledging, replaying and compacting the log
+ * - MemoryQueueStore
+ *   -- Tests for the in-memory default
+ */
+
+const item = (id, queue = "user.created") => ({
+  id,
+  queue,
+  event: { id, name: queue, data: { id } },
+  options: { queue: true },
+  timestamp: new Date().toISOString(),
+});
+
+describe("FileQueueStore", () => {
+  let directory;
+  let path;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), "queue-store-"));
+    path = join(directory, "nested", "queue.log");
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test("should require a path", () => {
+    expect(() => new FileQueueStore()).toThrow(
+      expect.objectContaining({ code: "CONFIG_MISSING_PATH" })
+    );
+  });
+
+  test("should load nothing when the file does not exist", async () => {
+    const store = new FileQueueStore({ path });
+
+    expect(await store.load()).toEqual([]);
+  });
+
+  test("should replay items that were not acknowledged", async () => {
+    const store = new FileQueueStore({ path });
+    await store.append(item("1"));
+    await store.append(item("2"));
+    await store.append(item("3", "order.placed"));
+    expect(await store.ack("2")).toBe(true);
+    expect(await store.ack("2")).toBe(false);
+    await store.close();
+
+    const restarted = new FileQueueStore({ path });
+    const items = await restarted.load();
+
+    expect(items.map((i) => i.id)).toEqual(["1", "3"]);
+    expect(items[1].queue).toBe("order.placed");
+  });
+
+  test("should append without rewriting earlier records", async () => {
+    const store = new FileQueueStore({ path });
+    await store.append(item("1"));
+    await store.ack("1");
+
+    const lines = (await readFile(path, "utf8")).trim().split("\n").map(JSON.parse);
+    expect(lines.map((l) => l.op)).toEqual(["enqueue", "ack"]);
+  });
+
+  test("should compact the log on load", async () => {
+    const store = new FileQueueStore({ path });
+    await store.append(item("1"));
+    await store.append(item("2"));
+    await store.ack("1");
+
+    await new FileQueueStore({ path }).load();
+
+    const lines = (await readFile(path, "utf8")).trim().split("\n").map(JSON.parse);
+    expect(lines).toEqual([{ op: "enqueue", item: expect.objectContaining({ id: "2" }) }]);
+  });
+
+  test("should replace an item appended again with the same id", async () => {
+    const store = new FileQueueStore({ path });
+    await store.append(item("1"));
+    await store.append(item("2"));
+    await store.append({ ...item("1"), deadLetter: { attempts: [] } });
+
+    const items = await new FileQueueStore({ path }).load();
+    expect(items.map((i) => i.id)).toEqual(["1", "2"]);
+    expect(items[0].deadLetter).toEqual({ attempts: [] });
+  });
+
+  test("should drop everything after clear", async () => {
+    const store = new FileQueueStore({ path });
+    await store.append(item("1"));
+    await store.clear();
+    await store.append(item("2"));
+
+    expect((await new FileQueueStore({ path }).load()).map((i) => i.id)).toEqual(["2"]);
+  });
+
+  test("should skip a torn final record", async () => {
+    const store = new FileQueueStore({ path });
+    await store.append(item("1"));
+    await writeFile(path, (await readFile(path, "utf8")) + '{"op":"enq');
+
+    expect((await new FileQueueStore({ path }).load()).map((i) => i.id)).toEqual(["1"]);
+  });
+});
+
+describe("MemoryQueueStore", () => {
+  test("should keep unacknowledged items in order", async () => {
+    const store = new MemoryQueueStore();
+    await store.append(item("1"));
+    await store.append(item("2"));
+    await store.ack("1");
+
+    expect((await store.load()).map((i) => i.id)).toEqual(["2"]);
+
+    await store.clear();
+    expect(await store.load()).toEqual([]);
+  });
+});
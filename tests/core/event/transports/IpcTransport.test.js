@@ -0,0 +1,198 @@
+// tests/core/event/transports/IpcTransport.test.js
+import { EventEmitter } from "events";
+import { fork } from "child_process";
+import { fileURLToPath } from "url";
+import { MessageChannel, Worker } from "worker_threads";
+import { IpcTransport } from "../../../../src/core/event/transports/index.js";
+import { EventBusSystem } from "../../../../src/core/event/EventBusSystem.js";
+
+/**
+ * TESTS
+ *
+ * - Message Ports
+ *   -- Tests for postMessage-based ports, channel filtering and close
+ * - IPC Channels
+ *   -- Tests for send()-based channels and send failures
+ * - Worker Threads and Child Processes
+ *   -- Tests for round trips between EventBusSystems in real workers and children
+ */
+
+const fixture = fileURLToPath(new URL("./fixtures/pong-node.js", import.meta.url));
+
+/**
+ * Resolve with the next message passed to a receive callback
+ */
+function nextMessage(transport) {
+  return new Promise((resolve) => transport.connect(resolve));
+}
+
+describe("IpcTransport", () => {
+  test("should reject ports it cannot send on", () => {
+    for (const port of [undefined, {}, new EventEmitter()]) {
+      expect(() => new IpcTransport({ port })).toThrow(
+        expect.objectContaining({ code: "CONFIG_INVALID_PORT" })
+      );
+    }
+  });
+
+  describe("Message Ports", () => {
+    let channel;
+
+    beforeEach(() => {
+      channel = new MessageChannel();
+    });
+
+    afterEach(() => {
+      channel.port1.close();
+    });
+
+    test("should carry messages between ports unchanged", async () => {
+      const sender = new IpcTransport({ port: channel.port1 });
+      const receiver = new IpcTransport({ port: channel.port2 });
+      const received = nextMessage(receiver);
+
+      const message = { origin: "a", event: { id: "1", metadata: { tenant: "acme" } } };
+      await sender.send(message);
+
+      expect(await received).toEqual(message);
+      receiver.close();
+    });
+
+    test("should ignore messages of other channels", async () => {
+      const receiver = new IpcTransport({ port: channel.port2 });
+      const messages = [];
+      receiver.connect((message) => messages.push(message));
+
+      channel.port1.postMessage({ type: "unrelated" });
+      channel.port1.postMessage({ channel: "tsmis:eventbus", message: { n: 1 } });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(messages).toEqual([{ n: 1 }]);
+      receiver.close();
+    });
+
+    test("should stop receiving when closed", async () => {
+      const receiver = new IpcTransport({ port: channel.port2 });
+      const messages = [];
+      receiver.connect((message) => messages.push(message));
+      receiver.close();
+
+      await new IpcTransport({ port: channel.port1 }).send({ n: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(messages).toEqual([]);
+      expect(channel.port2.listenerCount("message")).toBe(0);
+    });
+  });
+
+  describe("IPC Channels", () => {
+    test("should send over an IPC channel and wait for the callback", async () => {
+      const sent = [];
+      const channel = new EventEmitter();
+      channel.send = (envelope, callback) => {
+        sent.push(envelope);
+        setTimeout(() => callback(null), 1);
+        return true;
+      };
+
+      const transport = new IpcTransport({ port: channel });
+      const received = nextMessage(transport);
+
+      await transport.send({ n: 1 });
+      channel.emit("message", sent[0]);
+
+      expect(sent).toEqual([{ channel: "tsmis:eventbus", message: { n: 1 } }]);
+      expect(await received).toEqual({ n: 1 });
+      transport.close();
+    });
+
+    test("should reject when the channel fails", async () => {
+      const failing = new EventEmitter();
+      failing.send = (envelope, callback) => callback(new Error("Channel closed"));
+      const throwing = new EventEmitter();
+      throwing.send = () => {
+        throw new Error("ERR_IPC_CHANNEL_CLOSED");
+      };
+
+      for (const port of [failing, throwing]) {
+        await expect(new IpcTransport({ port }).send({})).rejects.toMatchObject({
+          code: "NETWORK_IPC_SEND_FAILED",
+        });
+      }
+    });
+  });
+
+  describe("Worker Threads and Child Processes", () => {
+    let system;
+
+    beforeEach(async () => {
+      system = new EventBusSystem({ config: {} });
+      await system.initialize();
+    });
+
+    afterEach(async () => {
+      await system.shutdown();
+    });
+
+    /**
+     * Connect the system to a node running the pong fixture and ping it
+     */
+    async function pingPong(port) {
+      const eventBus = system.getEventBus();
+      const next = (name) => new Promise((resolve) => {
+        const id = eventBus.subscribe(name, (event) => {
+          eventBus.unsubscribe(id);
+          resolve(event);
+        });
+      });
+
+      const ready = next("pong.ready");
+      await system.addTransport(new IpcTransport({ port }));
+      await ready;
+
+      const pong = next("pong");
+      await eventBus.emit("ping", { n: 1 }, { metadata: { tenant: "acme" } });
+      const [ping] = eventBus.getHistory("ping");
+
+      return { ping, pong: await pong };
+    }
+
+    test("should exchange events with a worker thread", async () => {
+      const worker = new Worker(fixture);
+
+      try {
+        const { ping, pong } = await pingPong(worker);
+
+        expect(pong.data).toEqual({
+          pingId: ping.id,
+          pingTimestamp: ping.timestamp,
+          pingMetadata: { tenant: "acme" },
+          pingsSeen: 1,
+        });
+        // The pong was caused by the ping in the other thread
+        expect(pong.causationId).toBe(ping.id);
+        expect(pong.correlationId).toBe(ping.correlationId);
+        // The ping was not sent back
+        expect(system.getEventBus().getHistory("ping")).toHaveLength(1);
+      } finally {
+        await worker.terminate();
+      }
+    }, 10000);
+
+    test("should exchange events with a child process", async () => {
+      const child = fork(fixture, [], { stdio: "ignore" });
+
+      try {
+        const { ping, pong } = await pingPong(child);
+
+        expect(pong.data.pingId).toBe(ping.id);
+        expect(pong.data.pingMetadata).toEqual({ tenant: "acme" });
+        expect(system.getEventBus().getHistory("ping")).toHaveLength(1);
+      } finally {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+      }
+    }, 10000);
+  });
+});
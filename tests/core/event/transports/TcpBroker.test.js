@@ -0,0 +1,239 @@
+// tests/core/event/transports/TcpBroker.test.js
+import { connect } from "net";
+import { once } from "events";
+import { TcpBroker } from "../../../../src/core/event/transports/index.js";
+import { readFrames, writeFrame } from "../../../../src/core/event/transports/frames.js";
+
+/**
+ * TESTS
+ *
+ * - Publishing
+ *   -- Tests for fan-out, acknowledgements and resent publishes
+ * - Sessions
+ *   -- Tests for redelivery after reconnects, pending limits and expiry
+ * - Protocol
+ *   -- Tests for connections that break the protocol
+ */
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${condition}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe("TcpBroker", () => {
+  let broker;
+  let port;
+  const sockets = [];
+
+  /**
+   * Connect a raw protocol client that records the frames it gets
+   */
+  async function client(clientId, { hello = true } = {}) {
+    const socket = connect({ port });
+    sockets.push(socket);
+    await once(socket, "connect");
+
+    const frames = [];
+    readFrames(socket, (frame) => frames.push(frame));
+    socket.on("error", () => {});
+
+    const send = (frame) => writeFrame(socket, frame);
+    if (hello) {
+      const joined = once(broker, "client:connected");
+      send({ type: "hello", clientId });
+      await joined;
+    }
+
+    return { socket, frames, send };
+  }
+
+  /**
+   * Disconnect a raw client and wait for the broker to notice
+   */
+  async function disconnect(peer) {
+    const left = once(broker, "client:disconnected");
+    peer.socket.destroy();
+    await left;
+  }
+
+  const delivered = (peer) => peer.frames.filter((frame) => frame.type === "deliver");
+
+  beforeEach(async () => {
+    broker = new TcpBroker();
+    ({ port } = await broker.listen());
+  });
+
+  afterEach(async () => {
+    for (const socket of sockets.splice(0)) socket.destroy();
+    await broker.close();
+  });
+
+  test("should listen on a free port and stop on close", async () => {
+    expect(port).toBeGreaterThan(0);
+    expect(broker.server.address()).toMatchObject({ address: "127.0.0.1" });
+
+    // The port is taken while the broker runs
+    await expect(new TcpBroker({ port }).listen()).rejects.toMatchObject({ code: "EADDRINUSE" });
+
+    await broker.close();
+    const reused = new TcpBroker({ port });
+    await reused.listen();
+    await reused.close();
+  });
+
+  describe("Publishing", () => {
+    test("should deliver a publish to every other client and ack it", async () => {
+      const a = await client("a");
+      const b = await client("b");
+      const c = await client("c");
+
+      a.send({ type: "publish", seq: 1, message: { n: 1 } });
+      await waitFor(() => a.frames.length === 1 && delivered(b).length === 1 && delivered(c).length === 1);
+
+      expect(a.frames).toEqual([{ type: "ack", seq: 1 }]);
+      expect(delivered(b)).toEqual([{ type: "deliver", seq: 1, message: { n: 1 } }]);
+      expect(delivered(c)).toEqual([{ type: "deliver", seq: 1, message: { n: 1 } }]);
+    });
+
+    test("should only ack a publish that is sent again", async () => {
+      const a = await client("a");
+      const b = await client("b");
+
+      a.send({ type: "publish", seq: 1, message: { n: 1 } });
+      a.send({ type: "publish", seq: 1, message: { n: 1 } });
+      a.send({ type: "publish", seq: 2, message: { n: 2 } });
+      // A second delivery of n: 1 would arrive before n: 2
+      await waitFor(() => a.frames.length === 3 && delivered(b).some((frame) => frame.message.n === 2));
+
+      expect(a.frames.map((frame) => frame.seq)).toEqual([1, 1, 2]);
+      expect(delivered(b).map((frame) => frame.message)).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    test("should recognize resent publishes across connections", async () => {
+      const a = await client("a");
+      const b = await client("b");
+
+      a.send({ type: "publish", seq: 1, message: { n: 1 } });
+      await waitFor(() => a.frames.length === 1 && delivered(b).length === 1);
+      await disconnect(a);
+
+      const again = await client("a");
+      again.send({ type: "publish", seq: 1, message: { n: 1 } });
+      await waitFor(() => again.frames.length === 1);
+
+      expect(again.frames).toEqual([{ type: "ack", seq: 1 }]);
+      // Nothing new was sent to b, which has not acknowledged the first
+      expect(broker.sessions.get("b").pending.size).toBe(1);
+      expect(delivered(b)).toHaveLength(1);
+    });
+  });
+
+  describe("Sessions", () => {
+    test("should redeliver unacknowledged messages when a client reconnects", async () => {
+      const a = await client("a");
+      const b = await client("b");
+
+      a.send({ type: "publish", seq: 1, message: { n: 1 } });
+      a.send({ type: "publish", seq: 2, message: { n: 2 } });
+      await waitFor(() => delivered(b).length === 2);
+      b.send({ type: "ack", seq: 1 });
+      const session = broker.sessions.get("b");
+      await waitFor(() => session.pending.size === 1);
+      await disconnect(b);
+
+      // Delivered while b was away
+      a.send({ type: "publish", seq: 3, message: { n: 3 } });
+      await waitFor(() => session.pending.size === 2);
+
+      const again = await client("b");
+      await waitFor(() => delivered(again).length === 2);
+      expect(delivered(again)).toEqual([
+        { type: "deliver", seq: 2, message: { n: 2 } },
+        { type: "deliver", seq: 3, message: { n: 3 } },
+      ]);
+    });
+
+    test("should replace an older connection of the same client", async () => {
+      const first = await client("a");
+      const closed = once(first.socket, "close");
+      const second = await client("a");
+      await closed;
+
+      const b = await client("b");
+      b.send({ type: "publish", seq: 1, message: { n: 1 } });
+      await waitFor(() => delivered(second).length === 1);
+
+      expect(delivered(second)).toHaveLength(1);
+      expect(delivered(first)).toHaveLength(0);
+    });
+
+    test("should drop the oldest pending messages beyond maxPending", async () => {
+      await broker.close();
+      broker = new TcpBroker({ maxPending: 2 });
+      ({ port } = await broker.listen());
+      const dropped = [];
+      broker.on("message:dropped", (info) => dropped.push(info));
+
+      const a = await client("a");
+      const b = await client("b");
+      await disconnect(b);
+
+      for (const seq of [1, 2, 3]) {
+        a.send({ type: "publish", seq, message: { n: seq } });
+      }
+      await waitFor(() => a.frames.length === 3);
+
+      const again = await client("b");
+      await waitFor(() => delivered(again).length === 2);
+      expect(delivered(again).map((frame) => frame.message.n)).toEqual([2, 3]);
+      expect(dropped).toEqual([{ clientId: "b", seq: 1 }]);
+    });
+
+    test("should forget clients that stay away past sessionTimeout", async () => {
+      await broker.close();
+      broker = new TcpBroker({ sessionTimeout: 20 });
+      ({ port } = await broker.listen());
+
+      const a = await client("a");
+      const b = await client("b");
+      await disconnect(b);
+      await waitFor(() => !broker.sessions.has("b"));
+
+      a.send({ type: "publish", seq: 1, message: { n: 1 } });
+      await waitFor(() => a.frames.length === 1);
+
+      expect(broker.sessions.has("b")).toBe(false);
+      const again = await client("b");
+      expect(broker.sessions.get("b").pending.size).toBe(0);
+      expect(delivered(again)).toEqual([]);
+    });
+  });
+
+  describe("Protocol", () => {
+    test("should close connections that do not say hello first", async () => {
+      const stranger = await client("x", { hello: false });
+      const closed = once(stranger.socket, "close");
+
+      stranger.send({ type: "publish", seq: 1, message: {} });
+      await closed;
+
+      expect(broker.sessions.size).toBe(0);
+    });
+
+    test("should close connections that send malformed frames", async () => {
+      const a = await client("a");
+      const closed = once(a.socket, "close");
+
+      a.socket.write("not json\n");
+      await closed;
+
+      expect(broker.sessions.get("a").socket).toBeNull();
+    });
+  });
+});
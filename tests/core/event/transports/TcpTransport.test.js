@@ -0,0 +1,354 @@
+// tests/core/event/transports/TcpTransport.test.js
+import { createServer } from "net";
+import { once } from "events";
+import { TcpBroker, TcpTransport } from "../../../../src/core/event/transports/index.js";
+import { EventBusSystem } from "../../../../src/core/event/EventBusSystem.js";
+
+/**
+ * TESTS
+ *
+ * - Messaging
+ *   -- Tests for relaying messages between transports and acknowledging them
+ * - Reconnection
+ *   -- Tests for buffering while disconnected, resending and backoff
+ * - EventBusSystem
+ *   -- Tests for systems joined through a broker, duplicates and config
+ */
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${condition}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe("TcpTransport", () => {
+  let broker;
+  let port;
+  const transports = [];
+
+  /**
+   * Create a transport to the broker that retries quickly
+   */
+  function createTransport(options = {}) {
+    const transport = new TcpTransport({ port, reconnectDelay: 10, maxReconnectDelay: 50, ...options });
+    transports.push(transport);
+    return transport;
+  }
+
+  /**
+   * Connect a transport and wait until the broker has its session
+   */
+  async function connect(transport, receive = () => {}) {
+    const connected = once(broker, "client:connected");
+    transport.connect(receive);
+    await connected;
+  }
+
+  /**
+   * Restart the broker on the same port, forgetting every session
+   */
+  async function restartBroker() {
+    await broker.close();
+    broker = new TcpBroker({ port });
+    await broker.listen();
+  }
+
+  beforeEach(async () => {
+    broker = new TcpBroker();
+    ({ port } = await broker.listen());
+  });
+
+  afterEach(async () => {
+    for (const transport of transports.splice(0)) await transport.close();
+    await broker.close();
+  });
+
+  test("should require a broker port", () => {
+    for (const options of [undefined, {}, { port: "4300" }, { port: 0 }]) {
+      expect(() => new TcpTransport(options)).toThrow(
+        expect.objectContaining({ code: "CONFIG_INVALID_PORT" })
+      );
+    }
+  });
+
+  describe("Messaging", () => {
+    test("should relay messages to the other transports unchanged", async () => {
+      const a = createTransport();
+      const b = createTransport();
+      const c = createTransport();
+      const received = { a: [], b: [], c: [] };
+      await connect(a, (message) => received.a.push(message));
+      await connect(b, (message) => received.b.push(message));
+      await connect(c, (message) => received.c.push(message));
+
+      const message = { origin: "a", event: { id: "1", metadata: { tenant: "acme" } } };
+      await a.send(message);
+      // Acknowledged on both sides
+      const acknowledged = () => a.outbox.size === 0 &&
+        [...broker.sessions.values()].every((session) => session.pending.size === 0);
+      await waitFor(() => received.c.length === 1 && received.b.length === 1 && acknowledged());
+
+      expect(received).toEqual({ a: [], b: [message], c: [message] });
+    });
+
+    test("should acknowledge a delivery only once it is handled", async () => {
+      const a = createTransport();
+      const b = createTransport();
+      let finish;
+      await connect(a);
+      await connect(b, () => new Promise((resolve) => (finish = resolve)));
+
+      await a.send({ n: 1 });
+      await waitFor(() => finish);
+      const session = broker.sessions.get(b.clientId);
+      expect(session.pending.size).toBe(1);
+
+      finish();
+      await waitFor(() => session.pending.size === 0);
+    });
+
+    test("should reject sends once the buffer is full", async () => {
+      const transport = createTransport({ port: 1, maxBufferSize: 2 });
+      transport.connect(() => {});
+
+      await transport.send({ n: 1 });
+      await transport.send({ n: 2 });
+      await expect(transport.send({ n: 3 })).rejects.toMatchObject({
+        code: "NETWORK_BROKER_BUFFER_FULL",
+        details: { maxBufferSize: 2, connected: false },
+      });
+    });
+  });
+
+  describe("Reconnection", () => {
+    test("should buffer messages while disconnected and send them in order", async () => {
+      const a = createTransport();
+      const b = createTransport();
+      const received = [];
+      await connect(a);
+      await connect(b, (message) => received.push(message));
+
+      const reconnected = once(a, "connected");
+      a.socket.destroy();
+      await a.send({ n: 1 });
+      await a.send({ n: 2 });
+      expect(a.outbox.size).toBe(2);
+
+      await reconnected;
+      await waitFor(() => received.length === 2 && a.outbox.size === 0);
+
+      expect(received).toEqual([{ n: 1 }, { n: 2 }]);
+    });
+
+    test("should buffer messages until the broker is reachable", async () => {
+      await broker.close();
+
+      // The next attempt comes after b has joined the restarted broker
+      const a = createTransport({ reconnectDelay: 200 });
+      a.connect(() => {});
+      await a.send({ n: 1 });
+      // The first attempt failed and the next one is waiting
+      await waitFor(() => a.reconnectTimer);
+      expect(a.connected).toBe(false);
+
+      broker = new TcpBroker({ port });
+      await broker.listen();
+      const b = createTransport();
+      const received = [];
+      await connect(b, (message) => received.push(message));
+
+      await once(a, "connected");
+      await waitFor(() => received.length === 1);
+      expect(received).toEqual([{ n: 1 }]);
+    });
+
+    test("should reconnect after the broker restarts", async () => {
+      const a = createTransport();
+      const b = createTransport();
+      const received = [];
+      const events = [];
+      a.on("connected", () => events.push("connected"));
+      a.on("disconnected", () => events.push("disconnected"));
+      await connect(a);
+      await connect(b, (message) => received.push(message));
+
+      await restartBroker();
+      await Promise.all([once(a, "connected"), once(b, "connected")]);
+      // Both have said hello to the new broker
+      await waitFor(() => broker.sessions.size === 2);
+
+      await a.send({ n: 1 });
+      await waitFor(() => received.length === 1);
+
+      expect(received).toEqual([{ n: 1 }]);
+      expect(events).toEqual(["connected", "disconnected", "connected"]);
+    });
+
+    test("should back off between attempts up to maxReconnectDelay", async () => {
+      const transport = createTransport({ reconnectDelay: 20, maxReconnectDelay: 40 });
+      const attempts = [];
+      // Every attempt fails right away
+      transport.open = function () {
+        attempts.push(Date.now());
+        if (attempts.length < 5) this.scheduleReconnect();
+      };
+
+      transport.connect(() => {});
+      await waitFor(() => attempts.length === 5);
+
+      const gaps = attempts.slice(1).map((time, i) => time - attempts[i]);
+      expect(gaps).toHaveLength(4);
+      expect(gaps[0]).toBeGreaterThanOrEqual(19);
+      expect(gaps[1]).toBeGreaterThanOrEqual(39);
+      // Capped at maxReconnectDelay instead of doubling to 160
+      expect(gaps[3]).toBeGreaterThanOrEqual(39);
+      expect(gaps[3]).toBeLessThan(120);
+    });
+
+    test("should stop reconnecting when closed and resume on connect", async () => {
+      const a = createTransport();
+      const b = createTransport();
+      const received = [];
+      await connect(a);
+      await connect(b, (message) => received.push(message));
+
+      await a.close();
+      await a.send({ n: 1 });
+      // Nothing is left that could reconnect
+      expect(a.socket).toBeNull();
+      expect(a.reconnectTimer).toBeNull();
+      expect(a.outbox.size).toBe(1);
+
+      await connect(a);
+      await waitFor(() => received.length === 1);
+      expect(received).toEqual([{ n: 1 }]);
+    });
+
+    test("should close without waiting for the broker to end the connection", async () => {
+      // A broker that never answers nor ends its side
+      const sockets = [];
+      let timer;
+      const server = createServer({ allowHalfOpen: true }, (socket) => sockets.push(socket));
+      server.listen(0, "127.0.0.1");
+      await once(server, "listening");
+
+      try {
+        const transport = createTransport({ port: server.address().port });
+        const connected = once(transport, "connected");
+        transport.connect(() => {});
+        await connected;
+        await transport.send({ n: 1 });
+
+        const timeout = new Promise((resolve) => (timer = setTimeout(resolve, 1000, "timed out")));
+        await expect(Promise.race([transport.close(), timeout])).resolves.toBeUndefined();
+
+        expect(transport.socket).toBeNull();
+        expect(transport.outbox.size).toBe(1);
+      } finally {
+        clearTimeout(timer);
+        for (const socket of sockets) socket.destroy();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("EventBusSystem", () => {
+    const systems = [];
+
+    /**
+     * Create an initialized system joined to the broker
+     */
+    async function createNode(options = {}) {
+      const system = new EventBusSystem({ config: {} });
+      await system.initialize();
+      systems.push(system);
+
+      const transport = createTransport(options);
+      const connected = once(broker, "client:connected");
+      await system.addTransport(transport);
+      await connected;
+      return { system, transport, eventBus: system.getEventBus() };
+    }
+
+    afterEach(async () => {
+      for (const system of systems.splice(0)) await system.shutdown();
+    });
+
+    test("should deliver events between systems through the broker", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      const c = await createNode();
+      const seen = [];
+      b.eventBus.subscribe("order.created", (event) => seen.push(["b", event.data]));
+      c.eventBus.subscribe("order.created", (event) => seen.push(["c", event.data]));
+
+      await a.eventBus.emit("order.created", { id: 7 }, { metadata: { tenant: "acme" } });
+      await waitFor(() => seen.length === 2);
+
+      expect(seen.sort()).toEqual([["b", { id: 7 }], ["c", { id: 7 }]]);
+      const [original] = a.eventBus.getHistory("order.created");
+      const [copy] = b.eventBus.getHistory("order.created");
+      expect(copy).toEqual(original);
+      expect(a.eventBus.getHistory("order.created")).toHaveLength(1);
+    });
+
+    test("should deliver events emitted while the broker was down", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      const seen = [];
+      b.eventBus.subscribe("order.created", (event) => seen.push(event.data));
+
+      const reconnected = once(a.transport, "connected");
+      a.transport.socket.destroy();
+      await a.eventBus.emit("order.created", { id: 1 });
+      await a.eventBus.emit("order.created", { id: 2 });
+      expect(seen).toEqual([]);
+
+      await reconnected;
+      await waitFor(() => seen.length === 2);
+      expect(seen).toEqual([{ id: 1 }, { id: 2 }]);
+    });
+
+    test("should handle an event delivered twice only once", async () => {
+      const a = await createNode();
+      const b = await createNode();
+      const seen = [];
+      b.eventBus.subscribe("order.created", (event) => seen.push(event.data));
+
+      const session = broker.sessions.get(b.transport.clientId);
+      await a.eventBus.emit("order.created", { id: 1 });
+      await waitFor(() => seen.length === 1 && session.pending.size === 0);
+      // The broker sends it again, as after a lost acknowledgement
+      const [event] = a.eventBus.getHistory("order.created");
+      broker.enqueue(session, { origin: a.system.nodeId, event });
+      expect(session.pending.size).toBe(1);
+      // Acknowledged once b has handled it
+      await waitFor(() => session.pending.size === 0);
+
+      expect(seen).toEqual([{ id: 1 }]);
+    });
+
+    test("should join the broker given in config.eventBroker", async () => {
+      const a = await createNode();
+      const system = new EventBusSystem({ config: { eventBroker: { port, reconnectDelay: 10 } } });
+      systems.push(system);
+      const connected = once(broker, "client:connected");
+      await system.initialize();
+      await connected;
+
+      const seen = [];
+      system.getEventBus().subscribe("order.created", (event) => seen.push(event.data));
+      await a.eventBus.emit("order.created", { id: 1 });
+      await waitFor(() => seen.length === 1);
+
+      expect(system.brokerTransport).toBeInstanceOf(TcpTransport);
+      expect(system.transports.has(system.brokerTransport)).toBe(true);
+      expect(seen).toEqual([{ id: 1 }]);
+    });
+  });
+});
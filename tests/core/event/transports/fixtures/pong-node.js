@@ -0,0 +1,23 @@
+// tests/core/event/transports/fixtures/pong-node.js
+// Runs as a worker thread or a forked child: answers every 'ping' event
+// with a 'pong' event over an IpcTransport
+import { parentPort } from "worker_threads";
+import { EventBusSystem } from "../../../../../src/core/event/EventBusSystem.js";
+import { IpcTransport } from "../../../../../src/core/event/transports/index.js";
+
+const system = new EventBusSystem({ config: {} });
+await system.addTransport(new IpcTransport({ port: parentPort || process }));
+await system.initialize();
+
+const eventBus = system.getEventBus();
+eventBus.subscribe("ping", (event) =>
+  eventBus.emit("pong", {
+    pingId: event.id,
+    pingTimestamp: event.timestamp,
+    pingMetadata: event.metadata,
+    pingsSeen: eventBus.getHistory("ping").length,
+  })
+);
+
+// Tell the parent the node is listening
+eventBus.emit("pong.ready", {});